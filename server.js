@@ -2,12 +2,13 @@ require("dotenv").config();
 const express = require("express");
 const expressWs = require("express-ws");
 const VoiceResponse = require("twilio").twiml.VoiceResponse;
-const textToSpeech = require("@google-cloud/text-to-speech");
-const path = require("path");
-const fs = require("fs");
+const { createLogger } = require("./src/logging");
+
+const log = createLogger("server");
 
 // Initialize Twilio client for REST API calls (optional for recording)
 const twilio = require('twilio');
+const { createTwilioAuth, getPublicBaseUrl, getStreamTokenSubject } = require("./src/security");
 let twilioClient = null;
 
 if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
@@ -17,19 +18,38 @@ if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
     const authToken = process.env.TWILIO_AUTH_TOKEN.trim();
     
     twilioClient = twilio(accountSid, authToken);
-    console.log("✅ Twilio client initialized for recording functionality");
+    log.info("Twilio client initialized for recording functionality");
   } catch (error) {
-    console.warn("⚠️ Failed to initialize Twilio client:", error.message);
+    log.warn("Failed to initialize Twilio client", { error });
   }
 } else {
-  console.warn("⚠️ Twilio credentials not found in environment variables");
-  console.warn("📝 Add TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN to .env file to enable recording");
+  log.warn("Twilio credentials not found; add TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN to .env to enable recording");
 }
 
+// Webhook signatures and media stream tokens (see src/security)
+const twilioAuth = createTwilioAuth({
+  authToken: process.env.TWILIO_AUTH_TOKEN ? process.env.TWILIO_AUTH_TOKEN.trim() : null,
+});
+
 // Import the streaming services
 const StreamingAccentConverterV2 = require("./src/services/StreamingAccentConverterV2");
 const DeepgramStreamingService = require("./src/services/DeepgramStreamingService");
-const { TTS_CONFIG } = require("./src/config/tts-config");
+const TranscriptAssembler = require("./src/services/TranscriptAssembler");
+const VoiceActivityDetector = require("./src/services/VoiceActivityDetector");
+const CallBridgeService = require("./src/services/CallBridgeService");
+const LexiconService = require("./src/services/LexiconService");
+const TranscriptStore = require("./src/services/TranscriptStore");
+const CallMonitor = require("./src/services/CallMonitor");
+const ShutdownCoordinator = require("./src/services/ShutdownCoordinator");
+const { createAdminRouter } = require("./src/routes/admin");
+const { createCallsRouter } = require("./src/routes/calls");
+const { createMonitorHandler } = require("./src/routes/monitor");
+const { resolveVoice } = require("./src/config/tts-config");
+const { CALL_CONFIG } = require("./src/config/call-config");
+const { resolveProfile, listProfiles } = require("./src/config/accent-profiles");
+const { getTenant, findTenantByNumber } = require("./src/config/tenant-config");
+const { getSTTProvider } = require("./src/services/stt");
+const { registry, metrics, CONTENT_TYPE } = require("./src/metrics");
 
 const PORT = process.env.PORT || 4001;
 
@@ -40,67 +60,218 @@ expressWs(app, server);
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 
-// Initialize TTS client
-let ttsClient;
 // Add a global cache for TTS results to speed up repeated conversions
 const ttsCache = new Map();
-// Store active connections
+// Active calls by call SID: { ws, streamSid } plus the admin API's call controls
 const activeConnections = new Map();
 
-const credentialsPath = path.join(__dirname, "config/creds.json");
+// Initialize streaming services (the TTS provider validates its own credentials)
+let streamingAccentConverter;
+let deepgramService;
 
-if (fs.existsSync(credentialsPath)) {
-  console.log("✅ Using Google Cloud credentials from config/creds.json");
-  ttsClient = new textToSpeech.TextToSpeechClient({
-    keyFilename: credentialsPath,
-  });
-} else {
-  console.log("❌ No credentials file found at config/creds.json");
-  console.log(
-    "📝 Please create config/creds.json with your Google Cloud service account credentials"
-  );
+try {
+  streamingAccentConverter = new StreamingAccentConverterV2();
+  deepgramService = new DeepgramStreamingService();
+} catch (error) {
+  log.error("Failed to initialize streaming services", { error });
   process.exit(1);
 }
 
-// Initialize streaming services
-let streamingAccentConverter = new StreamingAccentConverterV2();
-let deepgramService = new DeepgramStreamingService();
+// Live counts are read when /metrics is scraped
+metrics.activeCalls.setCollector(() => activeConnections.size);
+metrics.sttSessions.setCollector(() => deepgramService.activeStreams.size);
+metrics.ttsSessions.setCollector(() => streamingAccentConverter.streamingTTS.getActiveSessionCount());
+
+// Pairs callers with dialed remote parties in two-party bridge mode; forwarded
+// audio shares each stream's playback queue with converted speech
+const callBridge = new CallBridgeService(twilioClient, {
+  getPlaybackQueue: (streamSid) => streamingAccentConverter.getPlaybackQueue(streamSid),
+});
+
+// Pronunciation lexicons, shared with the STT and TTS services
+const lexiconService = new LexiconService();
+
+// Cached legacy audio may use a pronunciation that was just edited
+lexiconService.on("lexiconUpdated", () => {
+  ttsCache.clear();
+});
 
-// Setup error handling for streaming services
+// Both sides of converted speech, kept after the call for calls that opt in
+const transcriptStore = new TranscriptStore();
+
+streamingAccentConverter.on("segmentCompleted", ({ callSid, track, segment }) => {
+  transcriptStore.recordSegment(callSid, { track, segment });
+});
+
+// Live event feed of every call for supervisors
+const callMonitor = new CallMonitor();
+callMonitor.watch({ deepgramService, streamingAccentConverter });
+
+// Turns new calls away and drains the rest on SIGTERM/SIGINT
+const shutdownCoordinator = new ShutdownCoordinator({ getActiveCalls: () => activeConnections.size });
+
+app.use("/admin", createAdminRouter({
+  lexiconService,
+  calls: activeConnections,
+  listVoices: () => streamingAccentConverter.listVoices(),
+}));
+app.use("/calls", createCallsRouter({ transcriptStore }));
+app.ws("/monitor", createMonitorHandler({ callMonitor }));
+
+// Setup error handling for streaming services; the services log the details
 streamingAccentConverter.on("error", (errorData) => {
-  console.error(
-    `❌ StreamingAccentConverter error for session ${errorData.sessionId}:`,
-    errorData.error.message
-  );
+  log.debug("StreamingAccentConverter error", { sessionId: errorData.sessionId, error: errorData.error });
 });
 
 deepgramService.on("error", (errorData) => {
-  console.error(
-    `❌ DeepgramStreamingService error for session ${errorData.sessionId}:`,
-    errorData.error.message
-  );
+  log.debug("DeepgramStreamingService error", { sessionId: errorData.sessionId, error: errorData.error });
+});
+
+callBridge.on("error", (errorData) => {
+  log.debug("CallBridgeService error", { bridgeId: errorData.bridgeId, error: errorData.error });
 });
 
+// Per-call options for /voice: the query string wins over the tenant's
+// settings, and the profile falls back to the one for the dialed number
+function selectCallOptions(req) {
+  const tenant = req.query.tenant ? getTenant(req.query.tenant) : findTenantByNumber(req.body.To);
+  const tenantOption = (name) => (tenant && tenant[name]) || null;
+
+  let profile;
+  try {
+    profile = resolveProfile({
+      profile: req.query.profile || tenantOption("profile"),
+      phoneNumber: req.body.To,
+    });
+  } catch (error) {
+    log.warn("Using the default profile", { callSid: req.body.CallSid, error });
+    profile = resolveProfile();
+  }
+
+  return {
+    tenant: tenant ? tenant.id : null,
+    profile: profile.id,
+    voice: req.query.voice || tenantOption("voice"),
+    latency: req.query.latency || tenantOption("latency"),
+    bargeIn: booleanOption(req.query.bargeIn, tenant && tenant.bargeIn),
+    sttProvider: checkSTTProvider(req.query.sttProvider || tenantOption("sttProvider"), log.child({ callSid: req.body.CallSid })),
+  };
+}
+
+// An STT provider name if it can be used, else null (the deployment's STT_PROVIDER)
+function checkSTTProvider(name, logger) {
+  if (!name) return null;
+
+  try {
+    return getSTTProvider(name).name;
+  } catch (error) {
+    logger.warn("Using the default STT provider", { sttProvider: name, error });
+    return null;
+  }
+}
+
+// A boolean option as a Stream parameter value: "true" or "false" from the
+// query string, else the tenant's setting, else null (the deployment default)
+function booleanOption(queryValue, tenantValue) {
+  if (queryValue === "true" || queryValue === "false") return queryValue;
+  return typeof tenantValue === "boolean" ? String(tenantValue) : null;
+}
+
+// Pass per-call options to the media stream as <Parameter>s
+function addCallParameters(stream, callOptions) {
+  for (const [name, value] of Object.entries(callOptions)) {
+    if (value) {
+      stream.parameter({ name, value });
+    }
+  }
+}
+
 // Handle incoming voice calls
-app.post("/voice", (req, res) => {
+app.post("/voice", twilioAuth.requireSignature, async (req, res) => {
   const callSid = req.body.CallSid;
-  console.log(`Incoming call: ${callSid}`);
-
   const twiml = new VoiceResponse();
 
-  // Brief welcome
-  twiml.say("Welcome to Accent Conversion AI. Speak now.");
+  if (shutdownCoordinator.isDraining()) {
+    log.info("Turning away call, shutting down", { callSid });
+    twiml.say(CALL_CONFIG.shutdown.message);
+    twiml.hangup();
+    res.type("text/xml");
+    return res.send(twiml.toString());
+  }
 
-  // Use Connect Stream for bidirectional streaming
-  const connect = twiml.connect();
-  connect.stream({
-    url: `wss://${req.get("host")}/stream`,
-  });
+  log.info("Incoming call", { callSid });
+  // Twilio is pointed back at the URL it called, e.g. the ngrok URL behind a proxy
+  const baseUrl = getPublicBaseUrl(req);
+  const streamUrl = `${baseUrl.replace(/^http/, "ws")}/stream`;
+  const destination = req.query.to || CALL_CONFIG.bridge.destination;
+  const remoteVoice = req.query.remoteVoice || CALL_CONFIG.bridge.remoteVoice;
+
+  const callOptions = selectCallOptions(req);
+
+  if (destination) {
+    // Two-party bridge: dial the remote party, who hears the converted voice
+    try {
+      if (!/^\+[1-9]\d{6,14}$/.test(destination)) {
+        throw new Error(`Invalid destination number "${destination}"`);
+      }
+
+      // With a remote voice, the remote party is re-voiced for the caller too
+      callBridge.createBridge(callSid, {
+        destination,
+        remoteConversion: remoteVoice ? { voice: resolveVoice(remoteVoice) } : null,
+      });
+      await callBridge.dialRemoteParty(callSid, {
+        from: CALL_CONFIG.bridge.callerId || req.body.To,
+        streamUrl,
+        statusCallback: `${baseUrl}/bridge/status?bridgeId=${callSid}`,
+        streamParameters: {
+          token: twilioAuth.createStreamToken(getStreamTokenSubject({ callSid, bridgeId: callSid, leg: "remote" })),
+        },
+      });
+
+      twiml.say("Please hold while we connect your call.");
+
+      const stream = twiml.connect().stream({ url: streamUrl });
+      stream.parameter({ name: "bridgeId", value: callSid });
+      stream.parameter({ name: "leg", value: "caller" });
+      addCallParameters(stream, { ...callOptions, token: twilioAuth.createStreamToken(callSid) });
+    } catch (error) {
+      log.error("Failed to bridge call", { callSid, error });
+      await callBridge.endBridge(callSid, { hangUp: false });
+
+      twiml.say("Sorry, we could not connect your call. Please try again later.");
+      twiml.hangup();
+    }
+  } else {
+    // Brief welcome
+    twiml.say("Welcome to Accent Conversion AI. Speak now.");
+
+    // Use Connect Stream for bidirectional streaming
+    const connect = twiml.connect();
+    const stream = connect.stream({
+      url: streamUrl,
+    });
+    addCallParameters(stream, { ...callOptions, token: twilioAuth.createStreamToken(callSid) });
+  }
 
   res.type("text/xml");
   res.send(twiml.toString());
 });
 
+// Status callback for the dialed remote party: end the bridge if it never
+// answered or hung up before its media stream connected
+app.post("/bridge/status", twilioAuth.requireSignature, async (req, res) => {
+  const { bridgeId } = req.query;
+  const status = req.body.CallStatus;
+
+  if (bridgeId && ["busy", "no-answer", "failed", "canceled", "completed"].includes(status)) {
+    log.info("Remote party finished", { bridgeId, status });
+    await callBridge.endBridge(bridgeId);
+  }
+
+  res.sendStatus(204);
+});
+
 // WebSocket endpoint for media streaming
 app.ws("/stream", (ws, req) => {
   let conversionState = { current: 0 };
@@ -108,373 +279,378 @@ app.ws("/stream", (ws, req) => {
 
   let callSid = null;
   let streamSid = null;
-  let deepgramSession = null;
-  let audioChunks = [];
+  // Fields every log line of the call carries, set when the stream starts
+  let logContext = {};
+  let callLog = log;
   let streamDestroyed = false;
-  let lastConvertedText = "";
-  let lastConversionTime = 0;
-  let isCurrentlySpeaking = false;
-  let lastSpeechTime = 0;
-  let conversationHistory = [];
-  let lastAudioSentTime = 0;
-  let previousInterimText = "";
-  let isInitialPhaseComplete = false;
-  let firstAudioChunkSent = false;
-  
-  // Enhanced tracking for better accuracy
-  let completedSentences = new Set(); // Track completed final sentences
-  let currentSentenceBuffer = ""; // Buffer for current sentence being built
-  let lastSentTimestamp = 0;
-  let interimBuffer = ""; // Track interim progress
-  let pendingContent = ""; // Track content waiting to be sent
-  let cumulativeSentContent = ""; // Track all content sent for current speech segment
-
-  // Streaming TTS session
-  let streamingSession = null;
+  let connectedAt = null;
+  let conversionPaused = false; // Set from the admin API: speech is recognized but not converted
+
+  // Per-call options from the stream's <Parameter>s (see selectCallOptions)
+  let profile = null; // Accent profile of the speaker (see src/config/accent-profiles.js)
+  let voice = null;   // Voice overriding the profile's target voice
+  let lexicons = [];  // Tenant lexicons applied on top of the profile's
+  let transcripts = CALL_CONFIG.transcripts.enabled; // Keep the call's transcript (see TranscriptStore)
+  let bargeIn = CALL_CONFIG.bargeIn.enabled; // Clear queued speech when the speaker starts a new utterance
+  let sttProvider = null; // Recognizer overriding STT_PROVIDER
+  let latency = CALL_CONFIG.latency.modes[CALL_CONFIG.latency.defaultMode];
+
+  // One conversion pipeline (STT, transcript assembly, TTS) per media track
+  const pipelines = new Map();
+
+  // Two-party bridge state
+  let bridge = null;
+  let bridgeId = null;
+  let leg = null;
 
   // Get host for recording callback
   const host = req.get('host') || 'localhost:4001';
 
-  // Handle Deepgram transcription results
-  function handleDeepgramTranscription(data) {
-    const { transcript, isFinal, words, confidence } = data;
-    
-    // Update speech activity tracking
-    lastSpeechTime = Date.now();
-    isCurrentlySpeaking = true;
-
-    if (isFinal) {
-      handleFinalTranscript(transcript);
-    } else {
-      handleInterimTranscript(transcript);
+  // Whether speech on a track is converted (otherwise it is forwarded or ignored)
+  function shouldConvertTrack(track) {
+    if (leg === "remote" && track === "inbound") {
+      return Boolean(bridge && bridge.remoteConversion);
     }
+    return CALL_CONFIG.tracks.convert.includes(track);
   }
 
-  // Reset state when a speech segment ends
-  function resetSegmentState() {
-    isInitialPhaseComplete = false;
-    interimBuffer = "";
-    currentSentenceBuffer = "";
-    previousInterimText = "";
-    cumulativeSentContent = ""; // Reset cumulative tracking
-  }
-
-  // Handle final transcript with robust deduplication
-  async function handleFinalTranscript(transcript) {
-    const cleanTranscript = transcript.trim();
-    if (!cleanTranscript) return;
+  // Converted speech is played to the party opposite the speaker: the inbound
+  // speaker's opposite is the bridged peer (or the caller themselves in the
+  // echo demo); the outbound track is what this leg hears, so it plays here.
+  function resolveOutputTarget(track) {
+    const self = { ws, streamSid };
 
-    // Create unique identifier for this sentence
-    const sentenceId = generateSentenceId(cleanTranscript);
-    
-    // Skip if we've already processed this exact sentence
-    if (completedSentences.has(sentenceId)) {
-      return;
+    if (track === "outbound" || !bridge) {
+      return self;
     }
+    return bridge.getPeer(leg);
+  }
 
-    // Mark as completed
-    completedSentences.add(sentenceId);
-    
-    // Clean up old completed sentences (keep only last 10)
-    if (completedSentences.size > 10) {
-      const oldestIds = Array.from(completedSentences).slice(0, -10);
-      oldestIds.forEach(id => completedSentences.delete(id));
-    }
+  // Create the STT session and transcript assembly for a track
+  function createPipeline(track) {
+    const pipeline = {
+      track,
+      sessionId: StreamingAccentConverterV2.getSessionKey(callSid, track),
+      deepgramSession: null,
+      streamingSession: null,
+      outputTarget: null,
+      conversionOptions: { profile, lexicons, bargeIn, ...(voice && { voice }) },
+      audioChunks: [],
+      firstAudioChunkSent: false,
+      sttFailed: false,
+      // Turns interim/final results into "speak this new text" commits
+      assembler: new TranscriptAssembler({ holdbackWords: latency.holdbackWords }),
+      // Local speech detection on the track's audio, ahead of the recognizer
+      vad: CALL_CONFIG.vad.enabled ? new VoiceActivityDetector() : null,
+    };
+
+    pipeline.assembler.on("commit", ({ text, words }) => {
+      sendToTTS(pipeline, text, words);
+    });
 
-    // For final transcript, compare against cumulative content sent during interim processing
-    const newContent = extractNewContent(cleanTranscript, cumulativeSentContent);
-    
-    if (newContent && newContent.trim()) {
-      // Update tracking to include the complete final transcript
-      lastConvertedText = cleanTranscript;
-      cumulativeSentContent = cleanTranscript;
-      await sendToTTS(newContent, true);
+    if (pipeline.vad) {
+      // The speaker starting again delimits utterances and makes converted
+      // speech still queued at Twilio stale, well before STT hears a word
+      pipeline.vad.on("speechStart", () => {
+        resetSegmentState(pipeline);
+        handleBargeIn(pipeline, "speechStart");
+      });
+
+      // Held-back words will not change much once the speaker is quiet
+      pipeline.vad.on("speechEnd", () => {
+        flushSTTBatch(pipeline);
+        pipeline.assembler.flush();
+      });
     } else {
-      // Update tracking even if no new content
-      lastConvertedText = cleanTranscript;
-      cumulativeSentContent = cleanTranscript;
+      // A new utterance makes converted speech still queued at Twilio stale
+      pipeline.assembler.on("segmentStart", () => {
+        handleBargeIn(pipeline, "segmentStart");
+      });
+    }
+
+    // Create Deepgram streaming session
+    try {
+      pipeline.deepgramSession = deepgramService.createStreamingSession(pipeline.sessionId, {
+        track,
+        ...(sttProvider && { provider: sttProvider }),
+        profile,
+        lexicons,
+        logContext,
+      });
+      pipeline.deepgramSession.on('transcription', (data) => handleDeepgramTranscription(pipeline, data));
+      pipeline.deepgramSession.on('utteranceEnd', () => handleUtteranceEnd(pipeline));
+    } catch (error) {
+      callLog.error("Error creating STT session, transcription disabled", { track, error });
+      pipeline.sttFailed = true;
     }
 
-    // Reset interim state for next segment
-    resetSegmentState();
+    pipelines.set(track, pipeline);
+    refreshOutput(pipeline);
+    return pipeline;
   }
 
-  // Handle interim transcript with immediate response
-  async function handleInterimTranscript(transcript) {
-    const cleanTranscript = transcript.trim();
-    if (!cleanTranscript) return;
-
-    // Phase 1: Immediate response for first words (faster than before)
-    if (!isInitialPhaseComplete) {
-      // Start processing immediately with first meaningful content
-      const words = cleanTranscript.split(/\s+/);
-      if (words.length >= 1) { // Immediate processing
-        isInitialPhaseComplete = true;
-        interimBuffer = cleanTranscript;
-        currentSentenceBuffer = cleanTranscript;
-        cumulativeSentContent = cleanTranscript; // Start tracking cumulative content
-        
-        await sendToTTS(cleanTranscript, false);
-        return;
-      }
+  // Close a track's STT and TTS sessions
+  function closePipeline(pipeline) {
+    if (pipeline.vad && pipeline.vad.options.sttGating !== "off") {
+      const { forwardedRatio, processedMs } = pipeline.vad.getState();
+      callLog.info("VAD forwarded audio to STT", { track: pipeline.track, forwardedRatio, processedMs });
     }
 
-    // Phase 2: Stream incremental additions
-    const newContent = extractNewContent(cleanTranscript, interimBuffer);
-    
-    if (newContent && newContent.trim()) {
-      interimBuffer = cleanTranscript;
-      currentSentenceBuffer = cleanTranscript;
-      
-      // Update cumulative tracking with the new content
-      if (cumulativeSentContent) {
-        // Only add the new part to cumulative content
-        cumulativeSentContent = cleanTranscript;
-      } else {
-        cumulativeSentContent = newContent;
+    if (pipeline.deepgramSession) {
+      try {
+        pipeline.deepgramSession.close();
+      } catch (error) {
+        callLog.debug("Error closing STT session", { track: pipeline.track, error });
       }
-      
-      // Send new content immediately for responsiveness
-      await sendToTTS(newContent, false);
     }
-  }
 
-  // Improved text extraction with better accuracy
-  function extractNewContent(currentText, previousText) {
-    if (!previousText || previousText.trim() === "") {
-      return currentText;
-    }
+    // Close streaming TTS session
+    stopConversion(pipeline);
+  }
 
-    // Normalize texts for comparison
-    const currentWords = currentText.trim().split(/\s+/);
-    const previousWords = previousText.trim().split(/\s+/);
+  // Handle Deepgram transcription results
+  function handleDeepgramTranscription(pipeline, data) {
+    pipeline.assembler.push(data);
+  }
 
-    // Find longest common prefix using word-level comparison
-    let commonPrefixLength = 0;
-    const minLength = Math.min(currentWords.length, previousWords.length);
+  // The recognizer heard the speaker stop: speak what is still held back and
+  // start a new segment, even if no final result arrived
+  function handleUtteranceEnd(pipeline) {
+    pipeline.assembler.flush();
+    resetSegmentState(pipeline);
+  }
 
-    for (let i = 0; i < minLength; i++) {
-      const currentWord = normalizeWord(currentWords[i]);
-      const previousWord = normalizeWord(previousWords[i]);
+  // Forward inbound audio to the track's STT session in small batches
+  function sendToSTT(pipeline, audioData) {
+    if (!pipeline.deepgramSession || pipeline.sttFailed) return;
 
-      if (currentWord === previousWord && currentWord !== "") {
-        commonPrefixLength = i + 1;
-      } else {
-        break;
+    if (!pipeline.firstAudioChunkSent) {
+      try {
+        pipeline.deepgramSession.send(audioData);
+        pipeline.firstAudioChunkSent = true;
+      } catch (error) {
+        callLog.warn("Error sending audio to STT, transcription stopped", { track: pipeline.track, error });
+        pipeline.sttFailed = true;
+        pipeline.audioChunks.push(audioData);
       }
+      return;
     }
 
-    // Handle different scenarios
-    if (currentWords.length <= previousWords.length) {
-      // Text might be corrected or shortened
-      if (commonPrefixLength < currentWords.length) {
-        // Return the corrected portion
-        return currentWords.slice(commonPrefixLength).join(" ");
-      }
-      return ""; // No new content
+    pipeline.audioChunks.push(audioData);
+    // Batch size follows the call's latency mode
+    if (pipeline.audioChunks.length >= latency.sttBatchChunks) {
+      flushSTTBatch(pipeline);
     }
+  }
+
+  // Send the audio batched for a track's STT session
+  function flushSTTBatch(pipeline) {
+    if (!pipeline.deepgramSession || pipeline.audioChunks.length === 0) return;
+
+    const combinedAudio = Buffer.concat(pipeline.audioChunks);
+    pipeline.audioChunks = [];
 
-    // Text is longer - extract new words
-    const newWords = currentWords.slice(commonPrefixLength);
-    return newWords.length > 0 ? newWords.join(" ") : "";
+    try {
+      if (!pipeline.sttFailed) {
+        pipeline.deepgramSession.send(combinedAudio);
+      } else {
+        pipeline.audioChunks.unshift(combinedAudio);
+      }
+    } catch (error) {
+      callLog.warn("Error sending audio to STT, transcription stopped", { track: pipeline.track, error });
+      pipeline.audioChunks.unshift(combinedAudio);
+      pipeline.sttFailed = true;
+    }
   }
 
-  // Normalize words for accurate comparison
-  function normalizeWord(word) {
-    return word.toLowerCase()
-      .replace(/[^\w'-]/g, "") // Keep apostrophes and hyphens
-      .trim();
+  // Close the current speech segment; the next words start a new one
+  function resetSegmentState(pipeline) {
+    pipeline.assembler.endSegment();
   }
 
-  // Generate unique ID for sentences to prevent duplicates
-  function generateSentenceId(text) {
-    // Create a stable hash-like ID based on normalized text
-    const normalized = text.toLowerCase()
-      .replace(/[^\w\s]/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
-    
-    // Simple hash function for sentence identification
-    let hash = 0;
-    for (let i = 0; i < normalized.length; i++) {
-      const char = normalized.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return `${hash}_${normalized.length}`;
+  // Clear stale converted speech when the speaker starts talking again
+  function handleBargeIn(pipeline, reason) {
+    if (pipeline.streamingSession && pipeline.streamingSession.isActive()) {
+      pipeline.streamingSession.bargeIn(reason);
+      return;
+    }
+
+    // Legacy path: drop conversions still in flight and clear Twilio's buffer
+    const target = pipeline.outputTarget;
+    const queue = target && streamingAccentConverter.getPlaybackQueue(target.streamSid);
+    if (bargeIn && queue && target.ws.readyState === target.ws.OPEN) {
+      target.ws.conversionState.current++;
+      queue.clear(["speech", "filler"]);
+      target.ws.send(JSON.stringify({ event: "clear", streamSid: target.streamSid }));
+    }
   }
 
-  // Send content to TTS with proper routing
-  async function sendToTTS(content, isFinal) {
+  // Send content to TTS with proper routing; word timings carry the speaker's pauses
+  async function sendToTTS(pipeline, content, words = []) {
     if (!content || !content.trim()) return;
 
     const cleanContent = content.trim();
-    
-    // Update tracking
-    lastConversionTime = Date.now();
+
+    // Paused from the admin API; recognition goes on so the STT stream stays open
+    if (conversionPaused) {
+      callLog.debug("Conversion paused, text dropped", { track: pipeline.track, text: cleanContent });
+      return;
+    }
 
     try {
-      if (streamingSession && streamingSession.isActive()) {
+      if (pipeline.streamingSession && pipeline.streamingSession.isActive()) {
         // Use streaming TTS
-        streamingSession.addText(cleanContent);
-      } else {
+        // When the speaker said the words, for the mouth-to-ear delay and the transcript
+        const wallTime = (seconds) => (pipeline.deepgramSession ? pipeline.deepgramSession.getWallTime(seconds) : null);
+        const startedAt = words.length > 0 ? wallTime(words[0].start) : null;
+        const spokenAt = words.length > 0 ? wallTime(words[words.length - 1].end) : null;
+        pipeline.streamingSession.addText(cleanContent, { words, startedAt, spokenAt });
+      } else if (pipeline.outputTarget) {
         // Fallback to legacy TTS
-        await convertAndSendAudio(cleanContent, ws, streamSid, Date.now(), isFinal);
-        lastAudioSentTime = Date.now();
+        const target = pipeline.outputTarget;
+        await convertAndSendAudio(cleanContent, target.ws, target.streamSid, {
+          ...pipeline.conversionOptions,
+          words,
+        });
       }
     } catch (error) {
-      // Silent error handling
+      callLog.warn("Error sending text to TTS", { track: pipeline.track, error });
     }
   }
 
-  ws.on("message", async (message) => {
+  // Start converting a track's speech for the leg that will hear it
+  function startConversion(pipeline, target) {
+    pipeline.outputTarget = target;
+
+    // Re-voicing the remote party uses the bridge's own voice selection
+    if (leg === "remote" && pipeline.track === "inbound") {
+      pipeline.conversionOptions = { profile, lexicons, bargeIn, ...bridge.remoteConversion };
+    }
+
+    if (!streamingAccentConverter) return;
+
     try {
-      const msg = JSON.parse(message);
+      pipeline.streamingSession = streamingAccentConverter.createSession(
+        callSid,
+        target.streamSid,
+        target.ws,
+        { ...pipeline.conversionOptions, track: pipeline.track, logContext }
+      );
+
+      // Setup fallback mechanism for streaming failures
+      pipeline.streamingSession.fallbackToLegacy = false;
+    } catch (error) {
+      callLog.warn("Error creating streaming TTS session, using legacy TTS", { track: pipeline.track, error });
+      pipeline.streamingSession = null;
+    }
+  }
 
-      switch (msg.event) {
-        case "start":
-          callSid = msg.start.callSid;
-          streamSid = msg.start.streamSid;
+  // Stop converting when the leg hearing the converted speech goes away
+  function stopConversion(pipeline) {
+    pipeline.outputTarget = null;
 
-          activeConnections.set(callSid, { ws, streamSid });
+    if (pipeline.streamingSession) {
+      try {
+        pipeline.streamingSession.close();
+      } catch (error) {
+        callLog.debug("Error closing streaming TTS session", { track: pipeline.track, error });
+      }
+      pipeline.streamingSession = null;
+    }
+  }
 
-          // Start programmatic recording (optional)
-          if (twilioClient) {
-            try {
-              console.log(`🎥 Attempting to start recording for call ${callSid}...`);
-              const recording = await twilioClient.calls(callSid).recordings.create({
-                recordingChannels: 'dual',
-              });
-              console.log(`📹 Started recording for call ${callSid}: ${recording.sid}`);
-            } catch (recordingError) {
-              console.error(`❌ Failed to start recording for call ${callSid}:`);
-              console.error(`   Error code: ${recordingError.code}`);
-              console.error(`   Error message: ${recordingError.message}`);
-              if (recordingError.status === 401) {
-                console.error(`   🔑 This is an authentication error. Please verify your Twilio credentials.`);
-              }
-            }
-          } else {
-            console.log(`📝 Recording skipped for call ${callSid} (Twilio client not available)`);
-          }
+  // Start or stop conversion as the leg hearing a track comes and goes
+  function refreshOutput(pipeline) {
+    const target = resolveOutputTarget(pipeline.track);
 
-          // Create Deepgram streaming session
-          try {
-            deepgramSession = deepgramService.createStreamingSession(callSid);
-            deepgramService.on('transcription', handleDeepgramTranscription);
-          } catch (error) {
-            console.error(`❌ Error creating Deepgram session:`, error);
-            streamDestroyed = true;
-          }
+    if (target && !pipeline.outputTarget) {
+      startConversion(pipeline, target);
+    } else if (!target && pipeline.outputTarget) {
+      stopConversion(pipeline);
+    }
+  }
 
-          // Initialize streaming TTS session if enabled
-          if (streamingAccentConverter) {
-            try {
-              streamingSession = streamingAccentConverter.createSession(
-                callSid,
-                streamSid,
-                ws
-              );
+  // Join a two-party bridge as the caller or remote leg
+  function joinBridge(customParameters) {
+    bridgeId = customParameters.bridgeId;
+    leg = customParameters.leg === "remote" ? "remote" : "caller";
+    bridge = callBridge.attachLeg(bridgeId, leg, { ws, streamSid, callSid });
 
-              // Setup fallback mechanism for streaming failures
-              streamingSession.fallbackToLegacy = false;
-            } catch (error) {
-              streamingSession = null;
-            }
-          }
+    if (!bridge) return;
 
-          break;
+    // Converted speech starts once the other party's stream is connected
+    bridge.on("legAttached", () => {
+      pipelines.forEach(refreshOutput);
+    });
 
-        case "media":
-          if (deepgramSession && !streamDestroyed && msg.media && msg.media.payload) {
-            const audioData = Buffer.from(msg.media.payload, "base64");
-
-            if (!firstAudioChunkSent) {
-              try {
-                deepgramSession.send(audioData);
-                firstAudioChunkSent = true;
-              } catch (error) {
-                streamDestroyed = true;
-                audioChunks.push(audioData);
-              }
-            } else {
-              audioChunks.push(audioData);
-              // Reduced batch size for faster response
-              if (audioChunks.length >= 3) { // Reduced from 5 to 3
-                const combinedAudio = Buffer.concat(audioChunks);
-                audioChunks = [];
-
-                try {
-                  if (deepgramSession && !streamDestroyed) {
-                    deepgramSession.send(combinedAudio);
-                    lastAudioSentTime = Date.now();
-                  } else {
-                    audioChunks.unshift(combinedAudio);
-                  }
-                } catch (error) {
-                  audioChunks.unshift(combinedAudio);
-                  streamDestroyed = true;
-                }
-              }
-            }
-          }
-          break;
+    bridge.on("legDetached", () => {
+      pipelines.forEach(refreshOutput);
+    });
+  }
 
-        case "stop":
-          streamDestroyed = true;
-          if (deepgramSession) {
-            try {
-              deepgramSession.close();
-            } catch (error) {
-              // Silent error handling
-            }
-          }
+  // Leave the bridge; the other party is hung up
+  function leaveBridge() {
+    if (bridgeId && leg) {
+      callBridge.detachLeg(bridgeId, leg);
+    }
+    bridge = null;
+  }
 
-          // Close streaming TTS session
-          if (streamingSession) {
-            try {
-              streamingSession.close();
-            } catch (error) {
-              // Silent error handling
-            }
-            streamingSession = null;
-          }
+  // Apply the per-call options passed as Stream parameters by /voice
+  function applyCallParameters(customParameters) {
+    try {
+      profile = resolveProfile({ profile: customParameters.profile });
+    } catch (error) {
+      callLog.warn("Using the default profile", { error });
+      profile = resolveProfile();
+    }
 
-          activeConnections.delete(callSid);
+    if (customParameters.voice) {
+      voice = resolveVoice(customParameters.voice);
+    }
 
-          // Cleanup inactive sessions
-          if (streamingAccentConverter) {
-            streamingAccentConverter.cleanupInactiveSessions();
-          }
-          if (deepgramService) {
-            deepgramService.cleanupInactiveSessions();
-          }
-          break;
+    const tenant = customParameters.tenant ? getTenant(customParameters.tenant) : null;
+    if (tenant && tenant.lexicon) {
+      lexicons = [tenant.lexicon];
+    }
+    if (tenant && typeof tenant.transcripts === "boolean") {
+      transcripts = tenant.transcripts;
+    }
+
+    if (customParameters.bargeIn) {
+      bargeIn = customParameters.bargeIn === "true";
+    }
+
+    sttProvider = checkSTTProvider(customParameters.sttProvider, callLog);
+
+    if (customParameters.latency) {
+      if (CALL_CONFIG.latency.modes[customParameters.latency]) {
+        latency = CALL_CONFIG.latency.modes[customParameters.latency];
+      } else {
+        callLog.warn("Unknown latency mode", { latency: customParameters.latency });
       }
-    } catch (error) {
-      // Silent error handling
     }
-  });
+  }
 
-  ws.on("close", () => {
+  // Tear down every track and the bridge when the stream ends; runs once, whichever
+  // of stop, close, error or the admin API comes first
+  function closeStream() {
+    if (streamDestroyed) return;
     streamDestroyed = true;
 
-    if (deepgramSession) {
-      try {
-        deepgramSession.close();
-      } catch (error) {
-        // Silent error handling
-      }
+    pipelines.forEach(closePipeline);
+    pipelines.clear();
+    leaveBridge();
+
+    // Closing the pipelines settled their last segments
+    if (callSid) {
+      transcriptStore.endCall(callSid);
+      callMonitor.callEnded(callSid);
     }
 
-    // Close streaming TTS session
-    if (streamingSession) {
-      try {
-        streamingSession.close();
-      } catch (error) {
-        // Silent error handling
-      }
-      streamingSession = null;
+    // Converted speech and prompts still queued for this stream are dropped
+    if (streamSid) {
+      streamingAccentConverter.releasePlaybackQueue(streamSid);
     }
 
     if (callSid) {
@@ -488,195 +664,390 @@ app.ws("/stream", (ws, req) => {
     if (deepgramService) {
       deepgramService.cleanupInactiveSessions();
     }
-  });
+  }
 
-  ws.on("error", (error) => {
-    streamDestroyed = true;
+  // Call controls for the admin API (see src/routes/admin.js)
+
+  // Snapshot of the call and its converted tracks
+  function getCallStatus() {
+    return {
+      callSid,
+      streamSid,
+      tenant: logContext.tenant || null,
+      profile: profile ? profile.id : null,
+      voice: voice ? voice.name : null,
+      bridgeId,
+      leg,
+      startedAt: new Date(connectedAt).toISOString(),
+      conversionPaused,
+      tracks: [...pipelines.values()].map((pipeline) => ({
+        track: pipeline.track,
+        converting: Boolean(pipeline.outputTarget),
+        sttFailed: pipeline.sttFailed,
+        session: pipeline.streamingSession ? pipeline.streamingSession.getMetrics() : null,
+      })),
+    };
+  }
 
-    // Close streaming TTS session on error
-    if (streamingSession) {
-      try {
-        streamingSession.close();
-      } catch (error) {
-        // Silent error handling
-      }
-      streamingSession = null;
-    }
+  // End the call: with nothing after <Connect><Stream> in the TwiML, Twilio
+  // hangs up once the stream closes (a bridged party is hung up by leaveBridge)
+  function forceClose(reason = "admin") {
+    callLog.warn("Closing call", { reason });
+    closeStream();
+    ws.close();
+  }
 
-    // Cleanup inactive sessions
-    if (streamingAccentConverter) {
-      streamingAccentConverter.cleanupInactiveSessions();
+  // Stop or restart converting the speaker; in a bridge the other party hears
+  // the original voice meanwhile. Converted speech already queued still plays.
+  function setConversionPaused(paused) {
+    if (conversionPaused === paused) return;
+
+    conversionPaused = paused;
+    callLog.info(paused ? "Conversion paused" : "Conversion resumed");
+  }
+
+  // Switch the target voice of every converted track, or of one track;
+  // returns the tracks that now speak in it
+  function switchVoice(voiceName, track) {
+    const selected = resolveVoice(voiceName);
+    const switched = [];
+
+    if (!track) {
+      voice = selected; // Tracks that start converting later use it too
     }
-    if (deepgramService) {
-      deepgramService.cleanupInactiveSessions();
+
+    for (const pipeline of pipelines.values()) {
+      if (track && pipeline.track !== track) continue;
+
+      pipeline.conversionOptions = { ...pipeline.conversionOptions, voice: selected };
+
+      // Without a streaming session the next legacy conversion picks it up
+      const session = pipeline.streamingSession;
+      if (!session || !session.isActive() || session.setVoice(selected) || session.getMetrics().voice === selected.name) {
+        switched.push(pipeline.track);
+      }
     }
-  });
 
-  // Natural conversation decision making
-  function shouldConvertNaturally(text, isFinal) {
-    const cleanText = cleanForComparison(text);
+    callLog.info("Voice switched", { voice: selected.name, tracks: switched });
+    return switched;
+  }
 
-    // Always convert the first message
-    if (conversationHistory.length === 0) {
-      return true;
+  // Speak an announcement to this leg, ahead of queued converted speech
+  function announce(text, { voice: voiceName, interrupt = false } = {}) {
+    if (streamDestroyed) {
+      return Promise.reject(new Error("The stream has ended"));
     }
 
-    // Check timing - allow more frequent conversions for natural flow
-    const timeSinceLastAudio = Date.now() - lastAudioSentTime;
-    const timeSinceLastConversion = Date.now() - lastConversionTime;
+    const announcementVoice = voiceName ? resolveVoice(voiceName) : voice;
+    return streamingAccentConverter.playPrompt(streamSid, text, {
+      profile,
+      ...(announcementVoice && { voice: announcementVoice }),
+      interrupt,
+    });
+  }
 
-    // For final results, be more permissive
-    if (isFinal) {
-      // Allow if enough time has passed OR content is different enough
-      if (timeSinceLastConversion > 3000) {
-        // 3 seconds for final
-        return true;
-      }
+  ws.on("message", async (message) => {
+    try {
+      const msg = JSON.parse(message);
 
-      // Check if content is meaningfully different
-      const lastItem = conversationHistory[conversationHistory.length - 1];
-      if (lastItem) {
-        const similarity = calculateSimilarity(cleanText, lastItem.cleanText);
-        if (similarity < 0.8) {
-          // 80% threshold - more permissive
-          return true;
-        } else {
-          return false;
-        }
-      }
-      return true;
-    } else {
-      // For interim results, be selective but not too restrictive
-      if (timeSinceLastAudio < 1500) {
-        // 1.5 seconds minimum for interim
-        return false;
-      }
+      switch (msg.event) {
+        case "start": {
+          if (streamSid || streamDestroyed) break; // A stream starts once
+
+          const customParameters = msg.start.customParameters || {};
+
+          // Only streams /voice set up for a call may start STT and TTS sessions
+          const rejection = twilioAuth.verifyStreamToken(
+            customParameters.token,
+            getStreamTokenSubject({
+              callSid: msg.start.callSid,
+              bridgeId: customParameters.bridgeId,
+              leg: customParameters.leg,
+            })
+          );
+          if (rejection) {
+            log.warn("Rejected media stream", {
+              callSid: msg.start.callSid,
+              streamSid: msg.start.streamSid,
+              reason: rejection,
+              ip: req.ip,
+            });
+            streamDestroyed = true;
+            ws.close(1008, "Unauthorized");
+            break;
+          }
 
-      // Check for natural speech patterns
-      const hasNaturalBreak =
-        /[.!?]$/.test(text.trim()) ||
-        /\b(and|but|so|because|however|also|now|then|actually)\b/i.test(text);
+          // While draining only the remote leg of a bridge in progress may still connect
+          if (shutdownCoordinator.isDraining() && customParameters.leg !== "remote") {
+            log.warn("Rejected media stream, shutting down", {
+              callSid: msg.start.callSid,
+              streamSid: msg.start.streamSid,
+            });
+            streamDestroyed = true;
+            ws.close(1001, "Server shutting down");
+            break;
+          }
 
-      if (!hasNaturalBreak && text.split(" ").length < 8) {
-        return false;
-      }
+          callSid = msg.start.callSid;
+          streamSid = msg.start.streamSid;
 
-      // Check similarity with recent history
-      const recentItems = conversationHistory.slice(-2); // Last 2 items
-      for (const item of recentItems) {
-        const similarity = calculateSimilarity(cleanText, item.cleanText);
-        if (similarity > 0.75) {
-          // 75% threshold for interim
-          return false;
+          // Everything played on this stream goes through its playback queue,
+          // released again by closeStream
+          streamingAccentConverter.createPlaybackQueue(streamSid, ws);
+
+          connectedAt = Date.now();
+          activeConnections.set(callSid, {
+            ws,
+            streamSid,
+            getStatus: getCallStatus,
+            close: forceClose,
+            setConversionPaused,
+            switchVoice,
+            announce,
+          });
+
+          logContext = { callSid, streamSid, ...(customParameters.tenant && { tenant: customParameters.tenant }) };
+          callLog = log.child(logContext);
+          callLog.info("Media stream started");
+          applyCallParameters(customParameters);
+
+          if (customParameters.bridgeId) {
+            joinBridge(customParameters);
+
+            if (!bridge) {
+              // The bridge already ended (e.g. the other party hung up)
+              callLog.warn("Bridge not found", { bridgeId, leg });
+              closeStream();
+              ws.close();
+              break;
+            }
+          }
+
+          callMonitor.callStarted(callSid, {
+            streamSid,
+            tenant: customParameters.tenant || null,
+            profile: profile.id
+          });
+
+          if (transcripts) {
+            transcriptStore.startCall(callSid, {
+              streamSid,
+              tenant: customParameters.tenant || null,
+              profile: profile.id
+            });
+          }
+
+          // Start programmatic recording (optional); the caller's recording
+          // already holds both sides of a bridged call
+          if (leg === "remote") {
+            // Nothing to record separately
+          } else if (twilioClient) {
+            try {
+              callLog.debug("Starting recording");
+              const recording = await twilioClient.calls(callSid).recordings.create({
+                recordingChannels: 'dual',
+              });
+              callLog.info("Started recording", { recordingSid: recording.sid });
+            } catch (recordingError) {
+              callLog.error(
+                recordingError.status === 401 ?
+                  "Failed to start recording: authentication error, verify your Twilio credentials" :
+                  "Failed to start recording",
+                { error: recordingError }
+              );
+            }
+          } else {
+            callLog.info("Recording skipped (Twilio client not available)");
+          }
+
+          // Inbound speech is ready as soon as the stream starts; other
+          // tracks get their pipeline when their first media arrives
+          if (!streamDestroyed && shouldConvertTrack("inbound")) {
+            createPipeline("inbound");
+          }
+
+          break;
         }
-      }
 
-      return true;
-    }
-  }
+        case "media": {
+          // Media before an accepted start has no call to belong to
+          if (streamDestroyed || !streamSid || !msg.media || !msg.media.payload) break;
 
-  // Clean text for comparison
-  function cleanForComparison(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, "") // Remove punctuation
-      .replace(/\s+/g, " ") // Normalize spaces
-      .trim();
-  }
+          const track = msg.media.track || "inbound";
+          const audioData = Buffer.from(msg.media.payload, "base64");
+          metrics.audioBytes.inc({ direction: "in" }, audioData.length);
 
-  // Calculate similarity between two texts
-  function calculateSimilarity(text1, text2) {
-    const words1 = text1.split(" ");
-    const words2 = text2.split(" ");
+          // Unconverted speech in a bridge reaches the other party as-is
+          const converted = shouldConvertTrack(track);
+          if (bridge && track === "inbound" && (!converted || conversionPaused)) {
+            callBridge.forwardAudio(bridgeId, leg, msg.media.payload);
+          }
+          if (!converted) break;
 
-    // Use Jaccard similarity for better semantic comparison
-    const set1 = new Set(words1);
-    const set2 = new Set(words2);
+          const pipeline = pipelines.get(track) || createPipeline(track);
 
-    const intersection = new Set([...set1].filter((x) => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
+          if (pipeline.vad) {
+            // The detector passes on only the audio its STT gating keeps
+            for (const frame of pipeline.vad.process(audioData)) {
+              sendToSTT(pipeline, frame);
+            }
+          } else {
+            sendToSTT(pipeline, audioData);
+          }
+          break;
+        }
 
-    return intersection.size / union.size;
-  }
+        case "mark":
+          // Twilio echoes a mark once all audio sent before it has played; in
+          // a bridge it belongs to the other party's converted speech
+          if (msg.mark && msg.mark.name) {
+            streamingAccentConverter.handleStreamMark(streamSid, msg.mark.name);
+          }
+          break;
+
+        case "stop":
+          callLog.info("Media stream stopped");
+          closeStream();
+          break;
+      }
+    } catch (error) {
+      callLog.warn("Error handling stream message", { error });
+    }
+  });
+
+  ws.on("close", () => {
+    closeStream();
+  });
+
+  ws.on("error", (error) => {
+    callLog.warn("Stream WebSocket error", { error });
+    closeStream();
+  });
+});
+
+// List the accent profiles a call can select
+app.get("/profiles", (req, res) => {
+  res.json({ profiles: listProfiles() });
 });
 
-// Health check
+// Health check; draining answers 503 so load balancers stop sending calls here
 app.get("/health", (req, res) => {
-  res.json({
-    status: "healthy",
+  const draining = shutdownCoordinator.isDraining();
+
+  res.status(draining ? 503 : 200).json({
+    status: draining ? "draining" : "healthy",
     activeConnections: activeConnections.size,
+    ...(draining && { shutdown: shutdownCoordinator.getStatus() }),
   });
 });
 
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", CONTENT_TYPE);
+  res.send(registry.render());
+});
+
 // Start server
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Webhook URL: https://your-ngrok-url.ngrok.io/voice`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
+  log.info("Server running", {
+    port: PORT,
+    webhookUrl: "https://your-ngrok-url.ngrok.io/voice",
+    healthCheck: `http://localhost:${PORT}/health`,
+  });
 });
 
+// After draining, release every stream to Deepgram and the TTS provider
+shutdownCoordinator.addStep("close remaining calls", () => {
+  activeConnections.forEach((call) => call.close("shutdown"));
+});
+shutdownCoordinator.addStep("close TTS sessions", () => {
+  streamingAccentConverter.closeAllSessions();
+  streamingAccentConverter.streamingTTS.closeAllSessions();
+});
+shutdownCoordinator.addStep("close STT sessions", () => {
+  deepgramService.closeAllSessions();
+});
+shutdownCoordinator.addStep("flush transcripts", () => transcriptStore.flush());
+shutdownCoordinator.addStep("disconnect monitors", () => {
+  callMonitor.closeAll();
+});
+shutdownCoordinator.addStep("stop HTTP server", () => {
+  server.close();
+  server.closeIdleConnections();
+});
+
+// A second signal skips the drain
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    if (shutdownCoordinator.isDraining()) {
+      log.warn("Second signal, exiting now", { signal });
+      process.exit(1);
+    }
+    shutdownCoordinator.shutdown(signal)
+      .then(() => process.exit(0))
+      .catch((error) => {
+        log.error("Shutdown failed", { error });
+        process.exit(1);
+      });
+  });
+}
+
 // Function to convert text to British accent and send back
-async function convertAndSendAudio(text, ws, streamSid, startTime, isFinal) {
+async function convertAndSendAudio(text, ws, streamSid, options = {}) {
   try {
     // Mark this conversion request with a unique ID for cancellation of outdated conversions
     const currentConversionId = ++ws.conversionState.current;
-    const conversionStartTime = Date.now();
 
     // Check if WebSocket is still open
     if (ws.readyState !== ws.OPEN) {
       return;
     }
 
-    // Check if TTS result is cached
-    if (ttsCache.has(text)) {
+    // Check if TTS result is cached; the same text sounds different per profile and voice
+    // (pauses are not part of the key: a cached phrase keeps the rhythm it was first spoken with)
+    const cacheKey = [
+      options.profile ? options.profile.id : "",
+      options.voice ? options.voice.name : "",
+      (options.lexicons || []).join(","),
+      text,
+    ].join("|");
+    metrics.ttsCacheRequests.inc({ result: ttsCache.has(cacheKey) ? "hit" : "miss" });
+    if (ttsCache.has(cacheKey)) {
       if (currentConversionId !== ws.conversionState.current) {
         return;
       }
-      const cachedAudioContent = ttsCache.get(text);
-      const audioBase64 = cachedAudioContent.toString("base64");
-      const mediaMessage = {
-        event: "media",
-        streamSid: streamSid,
-        media: {
-          payload: audioBase64,
-        },
-      };
-      ws.send(JSON.stringify(mediaMessage));
+      sendLegacyAudio(streamSid, ttsCache.get(cacheKey), currentConversionId);
       return;
     }
 
-    // Convert to British English speech with optimized settings
-    const [response] = await ttsClient.synthesizeSpeech({
-      input: { text },
-      voice: TTS_CONFIG.voice,
-      audioConfig: TTS_CONFIG.streamingAudioConfig,
-    });
+    // Convert to the target accent of the call's profile
+    const audioContent = await streamingAccentConverter.synthesize(text, options);
 
-    if (response.audioContent && ws.readyState === ws.OPEN) {
+    if (audioContent.length > 0 && ws.readyState === ws.OPEN) {
       if (currentConversionId !== ws.conversionState.current) {
         return;
       }
       // Cache the TTS result for future requests
-      ttsCache.set(text, response.audioContent);
-
-      // Send the audio as one message for smooth playback
-      const audioBase64 = response.audioContent.toString("base64");
-
-      const mediaMessage = {
-        event: "media",
-        streamSid: streamSid,
-        media: {
-          payload: audioBase64,
-        },
-      };
+      ttsCache.set(cacheKey, audioContent);
 
       try {
-        ws.send(JSON.stringify(mediaMessage));
+        sendLegacyAudio(streamSid, audioContent, currentConversionId);
       } catch (wsError) {
-        // Silent error handling
+        log.warn("Error queuing legacy audio", { streamSid, error: wsError });
       }
     }
   } catch (error) {
-    // Silent error handling
+    log.warn("Error converting text with legacy TTS", { streamSid, error });
   }
 }
+
+// Queue a legacy utterance as converted speech on the stream's playback
+// queue, followed by a named mark so playback can be traced; a conversion
+// finishing after the stream ended is dropped
+function sendLegacyAudio(streamSid, audioContent, conversionId) {
+  const queue = streamingAccentConverter.getPlaybackQueue(streamSid);
+  if (!queue) return;
+
+  queue.enqueueAudio(audioContent, "speech");
+  queue.enqueueMark(`legacy-${conversionId}`, "speech");
+}
@@ -0,0 +1,71 @@
+/**
+ * Frame-level signal measurements on PCM16 samples
+ */
+
+// Floor for silent frames so dBFS stays finite
+const MIN_DBFS = -100;
+
+/**
+ * Root mean square of a frame
+ * @param {Int16Array} samples - Samples
+ * @returns {number} - RMS on the 16-bit scale (0 to 32768)
+ */
+function rms(samples) {
+  if (samples.length === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * RMS level relative to full scale
+ * @param {Int16Array} samples - Samples
+ * @returns {number} - Level in dBFS (MIN_DBFS to 0)
+ */
+function rmsDb(samples) {
+  const level = rms(samples);
+  return level > 0 ? Math.max(MIN_DBFS, 20 * Math.log10(level / 32768)) : MIN_DBFS;
+}
+
+/**
+ * Fraction of adjacent sample pairs that change sign
+ * High for noise and fricatives, low for voiced speech and hum.
+ * @param {Int16Array} samples - Samples
+ * @returns {number} - Rate between 0 and 1
+ */
+function zeroCrossingRate(samples) {
+  if (samples.length < 2) return 0;
+
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+      crossings++;
+    }
+  }
+  return crossings / (samples.length - 1);
+}
+
+/**
+ * RMS of each fixed-size frame
+ * @param {Int16Array} samples - Samples
+ * @param {number} frameSize - Samples per frame
+ * @returns {Array<number>} - RMS per frame; a trailing partial frame is included
+ */
+function frameRms(samples, frameSize) {
+  const levels = [];
+  for (let offset = 0; offset < samples.length; offset += frameSize) {
+    levels.push(rms(samples.subarray(offset, offset + frameSize)));
+  }
+  return levels;
+}
+
+module.exports = {
+  MIN_DBFS,
+  rms,
+  rmsDb,
+  zeroCrossingRate,
+  frameRms
+};
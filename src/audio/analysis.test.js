@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_DBFS, rms, rmsDb, zeroCrossingRate, frameRms } = require('./analysis');
+
+/**
+ * Generate one second of a sine tone at 8 kHz
+ * @param {number} frequency - Tone frequency in Hz
+ * @param {number} peak - Peak amplitude
+ * @returns {Int16Array} - Samples
+ */
+function tone(frequency, peak) {
+  return Int16Array.from({ length: 8000 }, (_, i) => Math.round(peak * Math.sin((2 * Math.PI * frequency * i) / 8000)));
+}
+
+describe('level analysis', () => {
+  it('measures silence as zero and the dBFS floor', () => {
+    const silence = new Int16Array(160);
+
+    assert.equal(rms(silence), 0);
+    assert.equal(rmsDb(silence), MIN_DBFS);
+    assert.equal(rms(new Int16Array(0)), 0);
+    assert.equal(rmsDb(new Int16Array(0)), MIN_DBFS);
+  });
+
+  it('measures a sine tone at peak / sqrt(2)', () => {
+    const samples = tone(1000, 16384);
+
+    assert.ok(Math.abs(rms(samples) - 16384 / Math.SQRT2) < 1);
+    // Half scale is -6 dBFS at the peak, -9 dBFS RMS
+    assert.ok(Math.abs(rmsDb(samples) - (20 * Math.log10(0.5) - 3.0103)) < 0.01);
+    assert.ok(Math.abs(rmsDb(tone(1000, 32767)) + 3.01) < 0.01);
+  });
+
+  it('measures a constant signal exactly', () => {
+    assert.equal(rms(new Int16Array(160).fill(-1000)), 1000);
+  });
+
+  it('measures a one-bit signal above the floor', () => {
+    assert.ok(Math.abs(rmsDb(Int16Array.from([1, -1])) + 90.31) < 0.01);
+  });
+
+  it('counts zero crossings', () => {
+    assert.equal(zeroCrossingRate(Int16Array.from([1, -1, 1, -1, 1])), 1);
+    assert.equal(zeroCrossingRate(new Int16Array(10).fill(5)), 0);
+    assert.equal(zeroCrossingRate(Int16Array.from([1])), 0);
+    // A 1 kHz tone at 8 kHz crosses zero twice per 8 samples
+    assert.ok(Math.abs(zeroCrossingRate(tone(1000, 10000)) - 0.25) < 0.01);
+  });
+
+  it('measures each frame with a trailing partial frame', () => {
+    const samples = Int16Array.from([...new Int16Array(160), ...new Int16Array(160).fill(100), 300]);
+
+    assert.deepEqual(frameRms(samples, 160), [0, 100, 300]);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * G.711 mu-law and A-law codecs
+ * Samples are signed 16-bit integers; encoded audio is one byte per sample.
+ * Twilio media streams carry mu-law; A-law is used by European telephony.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Byte values that decode to (near) silence
+const MULAW_SILENCE = 0xff;
+const ALAW_SILENCE = 0xd5;
+
+/**
+ * Encode a 16-bit linear PCM sample as G.711 mu-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} - Mu-law byte
+ */
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decode a G.711 mu-law byte to a 16-bit linear PCM sample
+ * @param {number} byte - Mu-law byte
+ * @returns {number} - Signed 16-bit sample
+ */
+function mulawToLinear(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * Encode a 16-bit linear PCM sample as G.711 A-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} - A-law byte
+ */
+function linearToAlaw(sample) {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(sample >= 0 ? sample : -sample - 1, 32767) >> 3;
+
+  let encoded;
+  if (magnitude < 32) {
+    encoded = magnitude >> 1;
+  } else {
+    let exponent = 1;
+    while (magnitude >> (exponent + 5) > 0 && exponent < 7) {
+      exponent++;
+    }
+    encoded = (exponent << 4) | ((magnitude >> exponent) & 0x0f);
+  }
+
+  return (sign | encoded) ^ 0x55;
+}
+
+/**
+ * Decode a G.711 A-law byte to a 16-bit linear PCM sample
+ * @param {number} byte - A-law byte
+ * @returns {number} - Signed 16-bit sample
+ */
+function alawToLinear(byte) {
+  const value = byte ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+
+  let magnitude = exponent === 0 ?
+    (mantissa << 4) + 8 :
+    ((mantissa << 4) + 0x108) << (exponent - 1);
+
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+// Decoding is a table lookup; 256 entries each
+const MULAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => mulawToLinear(byte));
+const ALAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => alawToLinear(byte));
+
+/**
+ * Encode PCM16 samples as mu-law
+ * @param {Int16Array} samples - Signed 16-bit samples
+ * @returns {Buffer} - Mu-law bytes
+ */
+function encodeMulaw(samples) {
+  const encoded = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    encoded[i] = linearToMulaw(samples[i]);
+  }
+  return encoded;
+}
+
+/**
+ * Decode mu-law bytes to PCM16 samples
+ * @param {Buffer} data - Mu-law bytes
+ * @returns {Int16Array} - Signed 16-bit samples
+ */
+function decodeMulaw(data) {
+  const samples = new Int16Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    samples[i] = MULAW_DECODE_TABLE[data[i]];
+  }
+  return samples;
+}
+
+/**
+ * Encode PCM16 samples as A-law
+ * @param {Int16Array} samples - Signed 16-bit samples
+ * @returns {Buffer} - A-law bytes
+ */
+function encodeAlaw(samples) {
+  const encoded = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    encoded[i] = linearToAlaw(samples[i]);
+  }
+  return encoded;
+}
+
+/**
+ * Decode A-law bytes to PCM16 samples
+ * @param {Buffer} data - A-law bytes
+ * @returns {Int16Array} - Signed 16-bit samples
+ */
+function decodeAlaw(data) {
+  const samples = new Int16Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    samples[i] = ALAW_DECODE_TABLE[data[i]];
+  }
+  return samples;
+}
+
+module.exports = {
+  MULAW_SILENCE,
+  ALAW_SILENCE,
+  linearToMulaw,
+  mulawToLinear,
+  linearToAlaw,
+  alawToLinear,
+  encodeMulaw,
+  decodeMulaw,
+  encodeAlaw,
+  decodeAlaw
+};
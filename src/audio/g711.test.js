@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MULAW_SILENCE,
+  ALAW_SILENCE,
+  linearToMulaw,
+  mulawToLinear,
+  linearToAlaw,
+  alawToLinear,
+  encodeMulaw,
+  decodeMulaw,
+  encodeAlaw,
+  decodeAlaw
+} = require('./g711');
+
+/**
+ * Largest round-trip error a G.711 codec may make on a sample
+ * Quantization steps grow with the segment: at most 8 near zero, and
+ * within 1/16 of the magnitude above that.
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} - Allowed absolute error
+ */
+function maxError(sample) {
+  return Math.max(8, Math.abs(sample) / 16);
+}
+
+describe('G.711 mu-law', () => {
+  it('decodes to the ITU-T G.711 table', () => {
+    assert.equal(mulawToLinear(0x00), -32124);
+    assert.equal(mulawToLinear(0x01), -31100);
+    assert.equal(mulawToLinear(0x78), -56);
+    assert.equal(mulawToLinear(0x7e), -8);
+    assert.equal(mulawToLinear(0x80), 32124);
+    assert.equal(mulawToLinear(0xfe), 8);
+    assert.equal(mulawToLinear(MULAW_SILENCE), 0);
+  });
+
+  it('encodes silence and full scale', () => {
+    assert.equal(linearToMulaw(0), MULAW_SILENCE);
+    assert.equal(linearToMulaw(32767), 0x80);
+    assert.equal(linearToMulaw(-32768), 0x00);
+  });
+
+  it('re-encodes every decoded byte to itself', () => {
+    for (let byte = 0; byte < 256; byte++) {
+      // 0x7f is negative zero, which encodes as positive zero
+      const expected = byte === 0x7f ? MULAW_SILENCE : byte;
+      assert.equal(linearToMulaw(mulawToLinear(byte)), expected, `byte 0x${byte.toString(16)}`);
+    }
+  });
+
+  it('round-trips every sample within the quantization step', () => {
+    for (let sample = -32635; sample <= 32635; sample++) {
+      const error = Math.abs(mulawToLinear(linearToMulaw(sample)) - sample);
+      assert.ok(error <= maxError(sample), `sample ${sample} off by ${error}`);
+    }
+  });
+
+  it('clips samples beyond the mu-law range', () => {
+    assert.equal(mulawToLinear(linearToMulaw(32767)), 32124);
+    assert.equal(mulawToLinear(linearToMulaw(-32768)), -32124);
+  });
+
+  it('encodes and decodes sample runs', () => {
+    const samples = Int16Array.from([0, 1000, -1000, 32124, -32124]);
+    const encoded = encodeMulaw(samples);
+
+    assert.ok(Buffer.isBuffer(encoded));
+    assert.equal(encoded.length, samples.length);
+    assert.deepEqual([...encoded], [...samples].map(linearToMulaw));
+    assert.deepEqual([...decodeMulaw(encoded)], [...encoded].map(mulawToLinear));
+  });
+});
+
+describe('G.711 A-law', () => {
+  it('decodes to the ITU-T G.711 table', () => {
+    assert.equal(alawToLinear(0x00), -5504);
+    assert.equal(alawToLinear(0x01), -5248);
+    assert.equal(alawToLinear(0x80), 5504);
+    assert.equal(alawToLinear(0x2a), -32256);
+    assert.equal(alawToLinear(0xaa), 32256);
+    assert.equal(alawToLinear(0x55), -8);
+    assert.equal(alawToLinear(ALAW_SILENCE), 8);
+  });
+
+  it('encodes silence and full scale', () => {
+    assert.equal(linearToAlaw(0), ALAW_SILENCE);
+    assert.equal(linearToAlaw(32767), 0xaa);
+    assert.equal(linearToAlaw(-32768), 0x2a);
+  });
+
+  it('re-encodes every decoded byte to itself', () => {
+    for (let byte = 0; byte < 256; byte++) {
+      assert.equal(linearToAlaw(alawToLinear(byte)), byte, `byte 0x${byte.toString(16)}`);
+    }
+  });
+
+  it('round-trips every sample within the quantization step', () => {
+    for (let sample = -32768; sample <= 32767; sample++) {
+      const error = Math.abs(alawToLinear(linearToAlaw(sample)) - sample);
+      assert.ok(error <= maxError(sample), `sample ${sample} off by ${error}`);
+    }
+  });
+
+  it('encodes and decodes sample runs', () => {
+    const samples = Int16Array.from([0, 1000, -1000, 32256, -32256]);
+    const encoded = encodeAlaw(samples);
+
+    assert.ok(Buffer.isBuffer(encoded));
+    assert.equal(encoded.length, samples.length);
+    assert.deepEqual([...encoded], [...samples].map(linearToAlaw));
+    assert.deepEqual([...decodeAlaw(encoded)], [...encoded].map(alawToLinear));
+  });
+});
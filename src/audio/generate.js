@@ -0,0 +1,39 @@
+/**
+ * Generated signals: silence and comfort noise
+ * Comfort noise fills pauses so a line does not sound dead; it is white
+ * noise at a low, fixed level.
+ */
+
+const { samplesPerFrame } = require('./pcm');
+
+/**
+ * Silent samples
+ * @param {number} durationMs - Duration in milliseconds
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Int16Array} - Samples
+ */
+function silence(durationMs, sampleRate = 8000) {
+  return new Int16Array(samplesPerFrame(sampleRate, durationMs));
+}
+
+/**
+ * White noise at a given RMS level
+ * @param {number} durationMs - Duration in milliseconds
+ * @param {Object} options - { levelDb: RMS level in dBFS (default -60), sampleRate }
+ * @returns {Int16Array} - Samples
+ */
+function comfortNoise(durationMs, { levelDb = -60, sampleRate = 8000 } = {}) {
+  // Uniform noise in [-a, a] has an RMS of a / sqrt(3)
+  const amplitude = 32768 * Math.pow(10, levelDb / 20) * Math.sqrt(3);
+  const samples = silence(durationMs, sampleRate);
+
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round((Math.random() * 2 - 1) * amplitude);
+  }
+  return samples;
+}
+
+module.exports = {
+  silence,
+  comfortNoise
+};
@@ -0,0 +1,19 @@
+/**
+ * Audio toolkit - pure JS codecs, framing, resampling, WAV, level analysis
+ * and generated signals
+ *
+ * Everything works on mono Int16Array PCM16 samples; mu-law/A-law and
+ * PCM16 bytes are Buffers. Twilio media payloads are base64 mu-law at 8 kHz:
+ *
+ *   const samples = decodeMulaw(Buffer.from(payload, 'base64'));
+ *   const wideband = resample(samples, 8000, 16000);
+ */
+
+module.exports = {
+  ...require('./g711'),
+  ...require('./pcm'),
+  ...require('./resample'),
+  ...require('./wav'),
+  ...require('./analysis'),
+  ...require('./generate')
+};
@@ -0,0 +1,154 @@
+/**
+ * PCM16 helpers
+ * Linear audio is handled as Int16Array samples (mono); on the wire it is
+ * little-endian signed 16-bit, as used by WAV, Deepgram linear16 and Google LINEAR16.
+ */
+
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 24000, 48000];
+
+// Twilio sends and expects 20 ms frames
+const DEFAULT_FRAME_MS = 20;
+
+/**
+ * Read little-endian PCM16 bytes as samples
+ * @param {Buffer} data - PCM16 bytes; a trailing odd byte is ignored
+ * @returns {Int16Array} - Samples
+ */
+function bufferToInt16(data) {
+  const samples = new Int16Array(Math.floor(data.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = data.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * Write samples as little-endian PCM16 bytes
+ * @param {Int16Array|Array<number>} samples - Samples, clamped to 16 bits
+ * @returns {Buffer} - PCM16 bytes
+ */
+function int16ToBuffer(samples) {
+  const data = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    data.writeInt16LE(clampSample(samples[i]), i * 2);
+  }
+  return data;
+}
+
+/**
+ * Round and clamp a sample to the signed 16-bit range
+ * @param {number} value - Sample value
+ * @returns {number} - Signed 16-bit sample
+ */
+function clampSample(value) {
+  return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+/**
+ * Number of samples in one frame
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} frameMs - Frame length in milliseconds
+ * @returns {number} - Samples per frame
+ */
+function samplesPerFrame(sampleRate, frameMs = DEFAULT_FRAME_MS) {
+  return Math.round((sampleRate * frameMs) / 1000);
+}
+
+/**
+ * Duration of a number of samples
+ * @param {number} sampleCount - Sample count
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} - Duration in milliseconds
+ */
+function durationMs(sampleCount, sampleRate) {
+  return (sampleCount * 1000) / sampleRate;
+}
+
+/**
+ * Split samples into fixed-size frames
+ * @param {Int16Array} samples - Samples
+ * @param {number} frameSize - Samples per frame
+ * @returns {Array<Int16Array>} - Frames; the last one may be shorter
+ */
+function splitFrames(samples, frameSize) {
+  const frames = [];
+  for (let offset = 0; offset < samples.length; offset += frameSize) {
+    frames.push(samples.subarray(offset, offset + frameSize));
+  }
+  return frames;
+}
+
+/**
+ * FrameBuffer - Re-chunks arbitrarily sized sample runs into fixed-size frames
+ *
+ * Media arrives in whatever chunk size the sender chose; analysis and the
+ * outbound pacing work on whole frames. Leftover samples are kept for the
+ * next push.
+ */
+class FrameBuffer {
+  /**
+   * @param {Object} options - { sampleRate, frameMs }
+   */
+  constructor({ sampleRate = 8000, frameMs = DEFAULT_FRAME_MS } = {}) {
+    this.sampleRate = sampleRate;
+    this.frameMs = frameMs;
+    this.frameSize = samplesPerFrame(sampleRate, frameMs);
+    this.pending = new Int16Array(0);
+  }
+
+  /**
+   * Add samples
+   * @param {Int16Array} samples - Samples
+   * @returns {Array<Int16Array>} - Frames completed by this push
+   */
+  push(samples) {
+    const combined = new Int16Array(this.pending.length + samples.length);
+    combined.set(this.pending);
+    combined.set(samples, this.pending.length);
+
+    const complete = combined.length - (combined.length % this.frameSize);
+    this.pending = combined.slice(complete);
+
+    return splitFrames(combined.subarray(0, complete), this.frameSize);
+  }
+
+  /**
+   * Emit the partial frame, zero padded to a full frame
+   * @returns {Int16Array|null} - Final frame or null if nothing is pending
+   */
+  flush() {
+    if (this.pending.length === 0) return null;
+
+    const frame = new Int16Array(this.frameSize);
+    frame.set(this.pending);
+    this.pending = new Int16Array(0);
+    return frame;
+  }
+
+  /**
+   * Drop pending samples
+   */
+  reset() {
+    this.pending = new Int16Array(0);
+  }
+
+  /**
+   * Samples waiting for a full frame
+   * @returns {number} - Pending sample count
+   */
+  getPendingSamples() {
+    return this.pending.length;
+  }
+}
+
+module.exports = {
+  SUPPORTED_SAMPLE_RATES,
+  DEFAULT_FRAME_MS,
+  bufferToInt16,
+  int16ToBuffer,
+  clampSample,
+  samplesPerFrame,
+  durationMs,
+  splitFrames,
+  FrameBuffer
+};
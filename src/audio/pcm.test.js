@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  bufferToInt16,
+  int16ToBuffer,
+  clampSample,
+  samplesPerFrame,
+  durationMs,
+  splitFrames,
+  FrameBuffer
+} = require('./pcm');
+
+/**
+ * Samples numbered from a start value
+ * @param {number} length - Sample count
+ * @param {number} start - First value
+ * @returns {Int16Array} - start, start + 1, ...
+ */
+function sequence(length, start = 0) {
+  return Int16Array.from({ length }, (_, i) => start + i);
+}
+
+describe('PCM16 helpers', () => {
+  it('converts between little-endian bytes and samples', () => {
+    const data = int16ToBuffer([1, -2, 40000, -40000]);
+
+    assert.deepEqual([...data], [0x01, 0x00, 0xfe, 0xff, 0xff, 0x7f, 0x00, 0x80]);
+    assert.deepEqual([...bufferToInt16(data)], [1, -2, 32767, -32768]);
+    assert.deepEqual([...bufferToInt16(Buffer.from([0x01, 0x00, 0x02]))], [1]);
+  });
+
+  it('rounds and clamps samples', () => {
+    assert.equal(clampSample(1.6), 2);
+    assert.equal(clampSample(99999), 32767);
+    assert.equal(clampSample(-99999), -32768);
+  });
+
+  it('sizes frames and durations', () => {
+    assert.equal(samplesPerFrame(8000), 160);
+    assert.equal(samplesPerFrame(16000), 320);
+    assert.equal(samplesPerFrame(48000, 10), 480);
+    assert.equal(durationMs(160, 8000), 20);
+  });
+
+  it('splits samples into frames with a short last frame', () => {
+    const frames = splitFrames(sequence(350), 160);
+
+    assert.deepEqual(frames.map((frame) => frame.length), [160, 160, 30]);
+    assert.equal(frames[2][0], 320);
+  });
+});
+
+describe('FrameBuffer', () => {
+  it('re-chunks Twilio-sized media into 160-sample frames', () => {
+    const buffer = new FrameBuffer();
+
+    assert.equal(buffer.frameSize, 160);
+    assert.deepEqual(buffer.push(sequence(100)), []);
+    assert.equal(buffer.getPendingSamples(), 100);
+
+    const frames = buffer.push(sequence(300, 100));
+    assert.deepEqual(frames.map((frame) => frame.length), [160, 160]);
+    assert.deepEqual([...frames[0]], [...sequence(160)]);
+    assert.deepEqual([...frames[1]], [...sequence(160, 160)]);
+    assert.equal(buffer.getPendingSamples(), 80);
+  });
+
+  it('emits exact frames without leftovers', () => {
+    const buffer = new FrameBuffer();
+
+    assert.equal(buffer.push(sequence(480)).length, 3);
+    assert.equal(buffer.getPendingSamples(), 0);
+    assert.equal(buffer.flush(), null);
+  });
+
+  it('keeps its frames when later samples are pushed', () => {
+    const buffer = new FrameBuffer();
+    const [frame] = buffer.push(sequence(170));
+
+    buffer.push(sequence(160, 1000));
+    assert.deepEqual([...frame], [...sequence(160)]);
+  });
+
+  it('zero pads the partial frame on flush', () => {
+    const buffer = new FrameBuffer();
+    buffer.push(sequence(200, 1));
+
+    const frame = buffer.flush();
+    assert.equal(frame.length, 160);
+    assert.deepEqual([...frame.subarray(0, 40)], [...sequence(40, 161)]);
+    assert.ok(frame.subarray(40).every((sample) => sample === 0));
+    assert.equal(buffer.getPendingSamples(), 0);
+  });
+
+  it('sizes frames from the sample rate and frame length', () => {
+    const buffer = new FrameBuffer({ sampleRate: 16000, frameMs: 10 });
+
+    assert.equal(buffer.frameSize, 160);
+    assert.equal(new FrameBuffer({ sampleRate: 24000 }).frameSize, 480);
+  });
+
+  it('drops pending samples on reset', () => {
+    const buffer = new FrameBuffer();
+    buffer.push(sequence(100));
+    buffer.reset();
+
+    assert.equal(buffer.getPendingSamples(), 0);
+    assert.equal(buffer.push(sequence(160, 5))[0][0], 5);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Sample rate conversion between the telephony and synthesis rates
+ *
+ * Linear interpolation is adequate for speech between 8/16/24/48 kHz. When
+ * downsampling, each output sample averages the input samples centred on
+ * it, a box low-pass that keeps the worst aliasing out of narrowband audio.
+ */
+
+const { SUPPORTED_SAMPLE_RATES, clampSample } = require('./pcm');
+
+/**
+ * Resample PCM16 samples
+ * @param {Int16Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Int16Array} - Resampled samples
+ */
+function resample(samples, fromRate, toRate) {
+  for (const rate of [fromRate, toRate]) {
+    if (!SUPPORTED_SAMPLE_RATES.includes(rate)) {
+      throw new Error(`Unsupported sample rate ${rate}, expected one of ${SUPPORTED_SAMPLE_RATES.join(', ')}`);
+    }
+  }
+
+  if (fromRate === toRate) {
+    return Int16Array.from(samples);
+  }
+
+  return toRate > fromRate ?
+    upsample(samples, fromRate / toRate, Math.round((samples.length * toRate) / fromRate)) :
+    downsample(samples, fromRate / toRate, Math.round((samples.length * toRate) / fromRate));
+}
+
+/**
+ * Upsample by linear interpolation
+ * @param {Int16Array} samples - Input samples
+ * @param {number} step - Input samples per output sample (< 1)
+ * @param {number} length - Output length
+ * @returns {Int16Array} - Output samples
+ */
+function upsample(samples, step, length) {
+  const output = new Int16Array(length);
+  const last = samples.length - 1;
+
+  for (let i = 0; i < length; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, last);
+    const fraction = position - index;
+    output[i] = clampSample(samples[index] + (samples[next] - samples[index]) * fraction);
+  }
+  return output;
+}
+
+/**
+ * Downsample by averaging the input samples around each output position
+ * @param {Int16Array} samples - Input samples
+ * @param {number} step - Input samples per output sample (> 1)
+ * @param {number} length - Output length
+ * @returns {Int16Array} - Output samples
+ */
+function downsample(samples, step, length) {
+  const output = new Int16Array(length);
+  const halfWidth = Math.floor(step / 2);
+
+  for (let i = 0; i < length; i++) {
+    const center = Math.round(i * step);
+    const start = Math.max(0, center - halfWidth);
+    const end = Math.min(samples.length - 1, center + halfWidth);
+    let sum = 0;
+    for (let j = start; j <= end; j++) {
+      sum += samples[j];
+    }
+    output[i] = clampSample(sum / (end - start + 1));
+  }
+  return output;
+}
+
+module.exports = {
+  resample
+};
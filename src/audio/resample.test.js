@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resample } = require('./resample');
+const { rms, rmsDb, zeroCrossingRate } = require('./analysis');
+
+/**
+ * Generate a sine tone
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} length - Sample count
+ * @param {number} frequency - Tone frequency in Hz
+ * @returns {Int16Array} - Samples at 10000 peak
+ */
+function tone(sampleRate, length, frequency = 440) {
+  return Int16Array.from({ length }, (_, i) => Math.round(10000 * Math.sin((2 * Math.PI * frequency * i) / sampleRate)));
+}
+
+const CONVERSIONS = [
+  [8000, 16000],
+  [8000, 24000],
+  [8000, 48000],
+  [16000, 8000],
+  [24000, 8000],
+  [48000, 8000]
+];
+
+describe('resample', () => {
+  for (const [fromRate, toRate] of CONVERSIONS) {
+    describe(`${fromRate} Hz -> ${toRate} Hz`, () => {
+      it('scales the length by the rate ratio', () => {
+        // One 20 ms frame, and a length that does not divide evenly
+        const frame = (fromRate * 20) / 1000;
+        assert.equal(resample(new Int16Array(frame), fromRate, toRate).length, (toRate * 20) / 1000);
+        assert.equal(resample(new Int16Array(1001), fromRate, toRate).length, Math.round((1001 * toRate) / fromRate));
+      });
+
+      it('preserves a 440 Hz tone', () => {
+        const output = resample(tone(fromRate, fromRate / 10), fromRate, toRate);
+        const expected = tone(toRate, output.length);
+
+        assert.ok(Math.abs(rmsDb(output) - rmsDb(expected)) < 0.5, 'level changed');
+        assert.ok(Math.abs(zeroCrossingRate(output) - zeroCrossingRate(expected)) < 0.005, 'pitch changed');
+
+        const error = rms(Int16Array.from(output, (sample, i) => sample - expected[i]));
+        assert.ok(error < rms(expected) * 0.02, `error ${error.toFixed(1)} too large`);
+      });
+    });
+  }
+
+  it('returns a copy for equal rates', () => {
+    const samples = Int16Array.from([1, 2, 3]);
+    const output = resample(samples, 16000, 16000);
+
+    assert.deepEqual([...output], [1, 2, 3]);
+    assert.notEqual(output, samples);
+  });
+
+  it('interpolates between input samples when upsampling', () => {
+    assert.deepEqual([...resample(Int16Array.from([0, 100]), 8000, 16000)], [0, 50, 100, 100]);
+  });
+
+  it('averages the input samples around each output sample when downsampling', () => {
+    const ramp = Int16Array.from({ length: 8 }, (_, i) => i * 30);
+    // Halving the rate averages samples i-1..i+1 around every second sample
+    assert.deepEqual([...resample(ramp, 16000, 8000)], [15, 60, 120, 180]);
+  });
+
+  it('rejects unsupported sample rates', () => {
+    assert.throws(() => resample(new Int16Array(10), 8000, 44100), /Unsupported sample rate 44100/);
+    assert.throws(() => resample(new Int16Array(10), 11025, 8000), /Unsupported sample rate 11025/);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * WAV (RIFF/WAVE) container reading and writing
+ * Supports mono or multi-channel PCM16, A-law and mu-law, the formats
+ * telephony recordings and fixtures come in.
+ */
+
+const WAV_FORMATS = {
+  PCM: 1,
+  ALAW: 6,
+  MULAW: 7
+};
+
+// Format code -> name, as used in the format option
+const FORMAT_NAMES = {
+  [WAV_FORMATS.PCM]: 'pcm16',
+  [WAV_FORMATS.ALAW]: 'alaw',
+  [WAV_FORMATS.MULAW]: 'mulaw'
+};
+
+/**
+ * Parse a WAV file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { format, sampleRate, channels, bitsPerSample, data, samples }
+ *   data holds the raw sample bytes; samples is an Int16Array for pcm16 only
+ */
+function readWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      fmt = {
+        formatCode: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      // Streamed recordings may leave the size unset; take what is there
+      data = buffer.subarray(body, Math.min(buffer.length, body + chunkSize));
+    }
+
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!fmt || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+
+  const format = FORMAT_NAMES[fmt.formatCode];
+  if (!format) {
+    throw new Error(`Unsupported WAV format code ${fmt.formatCode}`);
+  }
+  if (format === 'pcm16' && fmt.bitsPerSample !== 16) {
+    throw new Error(`Unsupported PCM bit depth ${fmt.bitsPerSample}`);
+  }
+
+  const result = {
+    format,
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    bitsPerSample: fmt.bitsPerSample,
+    data
+  };
+
+  if (format === 'pcm16') {
+    result.samples = new Int16Array(Math.floor(data.length / 2));
+    for (let i = 0; i < result.samples.length; i++) {
+      result.samples[i] = data.readInt16LE(i * 2);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build a WAV file
+ * @param {Object} options - { samples, data, sampleRate, channels, format }
+ * @param {Int16Array} options.samples - PCM16 samples (format 'pcm16')
+ * @param {Buffer} options.data - Raw sample bytes, e.g. mu-law straight from Twilio
+ * @param {string} options.format - 'pcm16', 'alaw' or 'mulaw'
+ * @returns {Buffer} - File contents
+ */
+function writeWav({ samples, data, sampleRate = 8000, channels = 1, format = 'pcm16' }) {
+  const formatCode = Number(Object.keys(FORMAT_NAMES).find((code) => FORMAT_NAMES[code] === format));
+  if (!formatCode) {
+    throw new Error(`Unsupported WAV format "${format}"`);
+  }
+
+  let payload = data;
+  if (!payload) {
+    if (format !== 'pcm16' || !samples) {
+      throw new Error('writeWav needs samples for pcm16 or data for other formats');
+    }
+    payload = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+      payload.writeInt16LE(samples[i], i * 2);
+    }
+  }
+
+  const bitsPerSample = format === 'pcm16' ? 16 : 8;
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const padding = payload.length % 2;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + payload.length + padding, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(formatCode, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(payload.length, 40);
+
+  return Buffer.concat([header, payload, Buffer.alloc(padding)]);
+}
+
+module.exports = {
+  WAV_FORMATS,
+  readWav,
+  writeWav
+};
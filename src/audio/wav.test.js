@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readWav, writeWav } = require('./wav');
+
+/**
+ * Build a RIFF chunk, padded to an even size
+ * @param {string} id - Four-character chunk ID
+ * @param {Buffer} body - Chunk body
+ * @param {number} size - Size written in the header (default the body length)
+ * @returns {Buffer} - Chunk bytes
+ */
+function chunk(id, body, size = body.length) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(size, 4);
+  return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+}
+
+/**
+ * Build a mono 8 kHz fmt chunk
+ * @param {number} formatCode - WAV format code
+ * @param {number} bitsPerSample - Bits per sample
+ * @returns {Buffer} - fmt chunk
+ */
+function fmtChunk(formatCode, bitsPerSample) {
+  const body = Buffer.alloc(16);
+  body.writeUInt16LE(formatCode, 0);
+  body.writeUInt16LE(1, 2);
+  body.writeUInt32LE(8000, 4);
+  body.writeUInt32LE((8000 * bitsPerSample) / 8, 8);
+  body.writeUInt16LE(bitsPerSample / 8, 12);
+  body.writeUInt16LE(bitsPerSample, 14);
+  return chunk('fmt ', body);
+}
+
+/**
+ * Wrap chunks in a RIFF/WAVE header
+ * @param {Array<Buffer>} chunks - Chunks
+ * @returns {Buffer} - File contents
+ */
+function riff(chunks) {
+  const body = Buffer.concat([Buffer.from('WAVE', 'ascii'), ...chunks]);
+  return chunk('RIFF', body);
+}
+
+describe('writeWav / readWav', () => {
+  it('round-trips PCM16 samples', () => {
+    const samples = Int16Array.from([0, 1, -1, 32767, -32768, 1234]);
+    const file = writeWav({ samples, sampleRate: 16000 });
+    const wav = readWav(file);
+
+    assert.equal(file.length, 44 + samples.length * 2);
+    assert.equal(wav.format, 'pcm16');
+    assert.equal(wav.sampleRate, 16000);
+    assert.equal(wav.channels, 1);
+    assert.equal(wav.bitsPerSample, 16);
+    assert.deepEqual([...wav.samples], [...samples]);
+  });
+
+  it('writes a canonical 44-byte header', () => {
+    const file = writeWav({ samples: new Int16Array(4), sampleRate: 8000, channels: 2 });
+
+    assert.equal(file.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(file.readUInt32LE(4), file.length - 8);
+    assert.equal(file.toString('ascii', 8, 16), 'WAVEfmt ');
+    assert.equal(file.readUInt16LE(20), 1);
+    assert.equal(file.readUInt16LE(22), 2);
+    assert.equal(file.readUInt32LE(28), 32000);
+    assert.equal(file.readUInt16LE(32), 4);
+    assert.equal(file.toString('ascii', 36, 40), 'data');
+    assert.equal(file.readUInt32LE(40), 8);
+  });
+
+  it('round-trips mu-law and A-law bytes', () => {
+    for (const format of ['mulaw', 'alaw']) {
+      const data = Buffer.from([0xff, 0x00, 0x80, 0x7f]);
+      const wav = readWav(writeWav({ data, format }));
+
+      assert.equal(wav.format, format);
+      assert.equal(wav.bitsPerSample, 8);
+      assert.deepEqual(wav.data, data);
+      assert.equal(wav.samples, undefined);
+    }
+  });
+
+  it('pads an odd-length data chunk without counting the pad byte', () => {
+    const data = Buffer.from([1, 2, 3]);
+    const file = writeWav({ data, format: 'mulaw' });
+
+    assert.equal(file.length, 44 + 4);
+    assert.equal(file.readUInt32LE(40), 3);
+    assert.equal(file.readUInt32LE(4), file.length - 8);
+    assert.equal(file[47], 0);
+    assert.deepEqual(readWav(file).data, data);
+  });
+
+  it('skips the pad byte after an odd-length chunk', () => {
+    const file = riff([
+      fmtChunk(7, 8),
+      chunk('LIST', Buffer.from('odd')),
+      chunk('data', Buffer.from([0x10, 0x20]))
+    ]);
+
+    assert.deepEqual(readWav(file).data, Buffer.from([0x10, 0x20]));
+  });
+
+  it('reads a data chunk whose size was never filled in', () => {
+    const file = riff([fmtChunk(1, 16), chunk('data', Buffer.from([1, 0, 2, 0]), 0xffffffff)]);
+
+    assert.deepEqual([...readWav(file).samples], [1, 2]);
+  });
+
+  it('rejects files it cannot read', () => {
+    assert.throws(() => readWav(Buffer.from('not a wav file')), /Not a RIFF\/WAVE file/);
+    assert.throws(() => readWav(riff([fmtChunk(1, 16)])), /missing its fmt or data chunk/);
+    assert.throws(() => readWav(riff([fmtChunk(3, 32), chunk('data', Buffer.alloc(4))])), /Unsupported WAV format code 3/);
+    assert.throws(() => readWav(riff([fmtChunk(1, 8), chunk('data', Buffer.alloc(4))])), /Unsupported PCM bit depth 8/);
+  });
+
+  it('rejects options it cannot write', () => {
+    assert.throws(() => writeWav({ data: Buffer.alloc(2), format: 'mp3' }), /Unsupported WAV format "mp3"/);
+    assert.throws(() => writeWav({ format: 'mulaw' }), /needs samples for pcm16 or data/);
+  });
+});
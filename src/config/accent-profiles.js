@@ -0,0 +1,226 @@
+/**
+ * Accent Profiles
+ * Named source -> target accent pairs. A profile bundles everything that
+ * depends on the accents involved: how the caller is recognized (STT language
+ * and model), how the converted speech sounds (TTS voice and speaking rate),
+ * how recognized text is rewritten before synthesis (normalization rules)
+ * and which pronunciation lexicon applies (config/lexicons, see LexiconService).
+ *
+ * A call picks its profile by, in order of precedence:
+ * - an explicit profile id (TwiML Stream parameter, /voice?profile= or the API)
+ * - the Twilio number that was dialed (ACCENT_PROFILE_NUMBERS)
+ * - the deployment default (ACCENT_PROFILE)
+ */
+
+const { TTS_CONFIG, resolveVoice } = require('./tts-config');
+
+const ACCENT_PROFILES = {
+  'en-IN-en-GB': {
+    description: 'Indian English to British English',
+    source: 'en-IN',
+    target: 'en-GB',
+    stt: {
+      language: 'en-IN',
+      providers: {
+        deepgram: { model: 'nova-3' },
+        google: { model: 'phone_call' }
+      }
+    },
+    tts: {
+      voice: TTS_CONFIG.voice.name,
+      speakingRate: 1.0
+    },
+    // Names and terms the recognizer mis-hears or the target voice mispronounces
+    lexicon: 'en-IN',
+    normalization: [
+      // Indian digit grouping (1,50,000) reads as "one, fifty, zero zero zero"
+      { pattern: '\\b(\\d{1,2}),(\\d{2}),(\\d{3})\\b', replacement: '$1$2$3' },
+      { pattern: '\\bRs\\.?\\s*(?=\\d)', replacement: 'rupees ' }
+    ]
+  },
+
+  'en-IN-en-US': {
+    description: 'Indian English to American English',
+    source: 'en-IN',
+    target: 'en-US',
+    stt: {
+      language: 'en-IN',
+      providers: {
+        deepgram: { model: 'nova-3' },
+        google: { model: 'phone_call' }
+      }
+    },
+    tts: {
+      voice: 'en-US-Chirp3-HD-Charon',
+      speakingRate: 1.0
+    },
+    lexicon: 'en-IN',
+    normalization: [
+      { pattern: '\\b(\\d{1,2}),(\\d{2}),(\\d{3})\\b', replacement: '$1$2$3' },
+      { pattern: '\\bRs\\.?\\s*(?=\\d)', replacement: 'rupees ' }
+    ]
+  },
+
+  'en-PH-en-AU': {
+    description: 'Philippine English to Australian English',
+    source: 'en-PH',
+    target: 'en-AU',
+    stt: {
+      language: 'en-PH',
+      providers: {
+        // Deepgram has no Philippine English model; use its general English one
+        deepgram: { model: 'nova-3', language: 'en' },
+        google: { model: 'default' }
+      }
+    },
+    tts: {
+      voice: 'en-AU-Chirp3-HD-Aoede',
+      speakingRate: 0.95
+    },
+    lexicon: 'en-PH',
+    normalization: [
+      { pattern: '\\bPhp\\s*(?=\\d)', replacement: 'pesos ' }
+    ]
+  },
+
+  'en-NG-en-GB': {
+    description: 'Nigerian English to British English',
+    source: 'en-NG',
+    target: 'en-GB',
+    stt: {
+      language: 'en-NG',
+      providers: {
+        // Deepgram has no Nigerian English model; use its general English one
+        deepgram: { model: 'nova-3', language: 'en' },
+        google: { model: 'default' }
+      }
+    },
+    tts: {
+      voice: 'en-GB-Neural2-B',
+      speakingRate: 1.0
+    },
+    lexicon: 'en-NG',
+    normalization: [
+      { pattern: '\\bN(?=\\d)', replacement: 'naira ' }
+    ]
+  }
+};
+
+const PROFILE_CONFIG = {
+  // Profile used when a call does not select one
+  defaultProfile: process.env.ACCENT_PROFILE || 'en-IN-en-GB',
+
+  // Dialed Twilio number -> profile id, e.g. "+15550001111=en-PH-en-AU,+15550002222=en-NG-en-GB"
+  numbers: parseNumberMap(process.env.ACCENT_PROFILE_NUMBERS)
+};
+
+/**
+ * Parse a "number=profile,number=profile" list
+ * @param {string} value - Raw environment value
+ * @returns {Object} - Number to profile id map
+ */
+function parseNumberMap(value) {
+  const numbers = {};
+
+  for (const entry of (value || '').split(',')) {
+    const [number, profileId] = entry.split('=').map((part) => part.trim());
+    if (number && profileId) {
+      numbers[number] = profileId;
+    }
+  }
+  return numbers;
+}
+
+/**
+ * Get a profile by id
+ * @param {string} profileId - Profile id
+ * @returns {Object|null} - Profile (with its id) or null if unknown
+ */
+function getProfile(profileId) {
+  const profile = ACCENT_PROFILES[profileId];
+  return profile ? { id: profileId, ...profile } : null;
+}
+
+/**
+ * List all profiles
+ * @returns {Array} - Profile summaries
+ */
+function listProfiles() {
+  return Object.keys(ACCENT_PROFILES).map((id) => {
+    const { description, source, target, tts } = ACCENT_PROFILES[id];
+    return { id, description, source, target, voice: tts.voice, default: id === PROFILE_CONFIG.defaultProfile };
+  });
+}
+
+/**
+ * Pick the profile for a call
+ * @param {Object} selection - { profile, phoneNumber }
+ * @param {string|Object} selection.profile - Explicit profile id, or an already resolved profile
+ * @param {string} selection.phoneNumber - Twilio number the caller dialed
+ * @returns {Object} - Profile
+ */
+function resolveProfile({ profile, phoneNumber } = {}) {
+  if (profile && typeof profile === 'object') {
+    return profile;
+  }
+
+  const profileId = profile || PROFILE_CONFIG.numbers[phoneNumber] || PROFILE_CONFIG.defaultProfile;
+  const resolved = getProfile(profileId);
+  if (!resolved) {
+    throw new Error(`Unknown accent profile "${profileId}"`);
+  }
+  return resolved;
+}
+
+/**
+ * Get recognition options for a profile
+ * @param {Object} profile - Profile
+ * @param {string} providerName - STT provider the options are for
+ * @returns {Object} - { language, model, ... } for createStream
+ */
+function getSTTOptions(profile, providerName) {
+  const { language, providers = {} } = profile.stt;
+  return { language, ...providers[providerName] };
+}
+
+/**
+ * Get TTS session options for a profile
+ * @param {Object} profile - Profile
+ * @returns {Object} - { voice, streamingAudioConfig }
+ */
+function getTTSOptions(profile) {
+  return {
+    voice: resolveVoice(profile.tts.voice),
+    streamingAudioConfig: {
+      ...TTS_CONFIG.streamingAudioConfig,
+      speakingRate: profile.tts.speakingRate || TTS_CONFIG.streamingAudioConfig.speakingRate
+    }
+  };
+}
+
+/**
+ * Rewrite recognized text for the target voice
+ * @param {Object} profile - Profile
+ * @param {string} text - Recognized text
+ * @returns {string} - Text to synthesize
+ */
+function normalizeText(profile, text) {
+  let result = text;
+
+  for (const { pattern, replacement, flags = 'g' } of profile.normalization || []) {
+    result = result.replace(new RegExp(pattern, flags), replacement);
+  }
+
+  return result;
+}
+
+module.exports = {
+  ACCENT_PROFILES,
+  PROFILE_CONFIG,
+  getProfile,
+  listProfiles,
+  resolveProfile,
+  getSTTOptions,
+  getTTSOptions,
+  normalizeText
+};
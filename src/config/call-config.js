@@ -0,0 +1,95 @@
+/**
+ * Centralized Call Configuration
+ * Per-call conversion behaviour; individual calls may override these defaults
+ */
+
+const path = require('path');
+
+const CALL_CONFIG = {
+  // Barge-in: when the caller starts a new utterance, clear converted speech
+  // still queued at Twilio and cancel in-flight synthesis (strict turn-taking).
+  // Disable per call for flows that want the converted speech to overlap.
+  bargeIn: {
+    enabled: process.env.BARGE_IN_ENABLED !== 'false',
+    minIntervalMs: 500 // Ignore repeated triggers within this window
+  },
+
+  // Two-party bridge: /voice dials a remote party who hears the caller's
+  // converted speech, while the caller hears the remote party unchanged.
+  // Without a destination, /voice runs the single-caller echo demo.
+  bridge: {
+    destination: process.env.BRIDGE_DESTINATION || null, // Overridden by /voice?to=+E164
+    callerId: process.env.BRIDGE_CALLER_ID || null,      // Defaults to the number the caller dialed
+    // Voice the remote party is re-voiced in for the caller (overridden by
+    // /voice?remoteVoice=); without one the caller hears the remote party unchanged
+    remoteVoice: process.env.BRIDGE_REMOTE_VOICE || null
+  },
+
+  // Media tracks converted on each stream. Bidirectional <Connect> streams only
+  // carry 'inbound'; 'outbound' appears on both_tracks streams.
+  tracks: {
+    convert: (process.env.CONVERT_TRACKS || 'inbound').split(',').map((track) => track.trim())
+  },
+
+  // Latency modes trade responsiveness against fewer revisions; a call picks
+  // one with the 'latency' Stream parameter (/voice?latency=, tenant config)
+  latency: {
+    defaultMode: process.env.LATENCY_MODE || 'balanced',
+    modes: {
+      low: { holdbackWords: 0, sttBatchChunks: 1 },      // Speak every word as soon as it is heard
+      balanced: { holdbackWords: 0, sttBatchChunks: 3 },
+      quality: { holdbackWords: 2, sttBatchChunks: 5 }   // Wait for interim words to stabilise
+    }
+  },
+
+  // Local voice activity detection on each converted track (see
+  // VoiceActivityDetector). Speech start/end delimit utterances; sttGating
+  // cuts the silence sent to the STT provider: 'off', 'thin' or 'gate'.
+  vad: {
+    enabled: process.env.VAD_ENABLED !== 'false',
+    sttGating: process.env.VAD_STT_GATING || 'off',
+    frameMs: 20,       // Twilio media frame
+    minDb: -45,        // Frames quieter than this (dBFS) are never speech
+    marginDb: 10,      // Speech must be this far above the noise floor
+    maxZcr: 0.4,       // Quiet frames crossing zero more often are noise
+    startMs: 100,      // Speech needed before speechStart
+    hangoverMs: 600,   // Silence needed before speechEnd
+    prerollMs: 300,    // Audio replayed to STT at speech start when gating
+    thinEvery: 5,      // 'thin': forward one in this many silent frames
+    keepAliveMs: 5000  // 'gate': forward a silent frame this often
+  },
+
+  // Outbound audio is paced to Twilio in real time (see OutboundAudioScheduler)
+  outbound: {
+    frameMs: 20,                                          // 160 bytes of mu-law per media message
+    leadMs: Number(process.env.OUTBOUND_LEAD_MS) || 100,  // Audio kept buffered at Twilio
+    liveMaxDelayMs: 60                                    // Forwarded audio waiting longer is dropped, not played late
+  },
+
+  // Playback tracking with Twilio mark events
+  playback: {
+    markIdleMs: 150,        // Send marks once synthesized audio has been idle this long
+    maxTrackedSegments: 50  // Segments kept per session for the playback timeline
+  },
+
+  // Transcript store: what the speaker said and what was played for every
+  // converted segment, kept after the call ends (see TranscriptStore). Opt-in;
+  // a tenant's "transcripts" setting overrides the deployment default.
+  transcripts: {
+    enabled: process.env.TRANSCRIPTS_ENABLED === 'true',
+    backend: process.env.TRANSCRIPT_BACKEND || 'jsonl', // jsonl (files on disk) or memory
+    directory: process.env.TRANSCRIPT_DIR || path.join(__dirname, '../../data/transcripts')
+  },
+
+  // Graceful shutdown (see ShutdownCoordinator): on SIGTERM/SIGINT new calls
+  // are turned away while calls in progress get up to drainTimeoutMs to end
+  shutdown: {
+    drainTimeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || '25000', 10),
+    // Turned-away callers hear this instead of the conversion
+    message: process.env.SHUTDOWN_MESSAGE || 'Sorry, we are performing maintenance right now. Please call again in a few minutes.'
+  }
+};
+
+module.exports = {
+  CALL_CONFIG
+};
@@ -0,0 +1,36 @@
+/**
+ * Centralized Logging Configuration
+ * Levels and output format of the shared logger (see src/logging)
+ */
+
+const LOG_CONFIG = {
+  // Level for modules without their own: error, warn, info (default), verbose, debug or silly
+  level: process.env.LOG_LEVEL || 'info',
+
+  // Per-module levels, e.g. "StreamingTTS=debug,server=warn"; changeable at runtime
+  moduleLevels: parseModuleLevels(process.env.LOG_LEVELS),
+
+  // json (default): one JSON object per line; pretty: human-readable, for local development
+  format: process.env.LOG_FORMAT || 'json'
+};
+
+/**
+ * Parse a "module=level,module=level" list
+ * @param {string} value - Raw environment value
+ * @returns {Object} - Module to level map
+ */
+function parseModuleLevels(value) {
+  const levels = {};
+
+  for (const entry of (value || '').split(',')) {
+    const [module, level] = entry.split('=').map((part) => part.trim());
+    if (module && level) {
+      levels[module] = level;
+    }
+  }
+  return levels;
+}
+
+module.exports = {
+  LOG_CONFIG
+};
@@ -0,0 +1,39 @@
+/**
+ * Security Configuration
+ * Who may reach the Twilio endpoints: /voice and /bridge/status must carry a
+ * valid X-Twilio-Signature, and a /stream connection must present the
+ * short-lived token /voice issued for the call (see src/security).
+ * Both checks are on by default and fail closed without the secrets they need.
+ */
+
+const SECURITY_CONFIG = {
+  twilioSignature: {
+    enabled: process.env.TWILIO_SIGNATURE_VALIDATION !== 'false',
+    // Base URL Twilio calls, e.g. https://abc123.ngrok.io; Twilio signs the full
+    // public URL, which a proxy may hide (defaults to https://<Host header>)
+    publicBaseUrl: process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') : null
+  },
+
+  streamToken: {
+    enabled: process.env.STREAM_TOKEN_VALIDATION !== 'false',
+    // HMAC key of stream tokens (defaults to TWILIO_AUTH_TOKEN)
+    secret: process.env.STREAM_TOKEN_SECRET || null,
+    // Covers the welcome message and, in a bridge, the remote party answering
+    ttlMs: parseSeconds(process.env.STREAM_TOKEN_TTL_SECONDS, 120) * 1000
+  }
+};
+
+/**
+ * Parse a duration setting in seconds
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value when unset or not a positive number
+ * @returns {number} - Seconds
+ */
+function parseSeconds(value, fallback) {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : fallback;
+}
+
+module.exports = {
+  SECURITY_CONFIG
+};
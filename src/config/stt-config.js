@@ -0,0 +1,71 @@
+/**
+ * Centralized STT Configuration
+ * Manages recognizer selection and provider defaults for streaming transcription
+ */
+
+const path = require('path');
+
+const STT_CONFIG = {
+  // Provider used when a session does not ask for one explicitly
+  defaultProvider: process.env.STT_PROVIDER || 'deepgram',
+
+  // Inbound audio format as delivered by Twilio media streams
+  audio: {
+    encoding: 'mulaw',
+    sampleRate: 8000,
+    channels: 1
+  },
+
+  // Boost applied to lexicon keyterms (Deepgram keywords, Google speech contexts)
+  keytermBoost: 5,
+
+  // Speech boundaries reported by the recognizer. Deepgram takes all three
+  // settings; Google only reports voice activity events.
+  endpointing: {
+    // Silence (ms) after which a result is finalized as the end of speech; 0 disables
+    endpointingMs: parseMs(process.env.STT_ENDPOINTING_MS, 300),
+    // Gap between words (ms) that ends an utterance; 0 disables (Deepgram recommends >= 1000)
+    utteranceEndMs: parseMs(process.env.STT_UTTERANCE_END_MS, 1000),
+    // Report the start of speech
+    vadEvents: process.env.STT_VAD_EVENTS !== 'false'
+  },
+
+  // Deepgram live transcription defaults
+  deepgram: {
+    model: 'nova-3',
+    language: 'en-IN',
+    smart_format: true,
+    interim_results: true
+  },
+
+  // Google Cloud Speech streaming defaults
+  google: {
+    languageCode: 'en-IN',
+    model: 'phone_call',
+    useEnhanced: true,
+    enableAutomaticPunctuation: true,
+    streamingLimitMs: 290 * 1000 // Restart before Google's ~5 minute stream limit
+  },
+
+  // Scripted stub defaults (offline runs and tests)
+  scripted: {
+    fixturePath: process.env.STT_FIXTURE_PATH ||
+      path.join(__dirname, '../../fixtures/stt/sample-call.json'),
+    flushOnFinish: true
+  }
+};
+
+/**
+ * Parse a millisecond setting
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} - Milliseconds
+ */
+function parseMs(value, fallback) {
+  const ms = Number.parseInt(value, 10);
+  return Number.isNaN(ms) || ms < 0 ? fallback : ms;
+}
+
+module.exports = {
+  STT_CONFIG
+};
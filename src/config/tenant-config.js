@@ -0,0 +1,63 @@
+/**
+ * Tenant Configuration
+ * Per-tenant call defaults (accent profile, voice, latency mode, STT provider, lexicon,
+ * transcripts, barge-in), loaded from the JSON file named by TENANT_CONFIG_PATH
+ * (see config/tenants.example.json).
+ * A call belongs to a tenant through /voice?tenant= or the number it dialed.
+ */
+
+const fs = require('fs');
+const { createLogger } = require('../logging');
+
+const log = createLogger('tenant-config');
+
+const TENANT_CONFIG = {
+  path: process.env.TENANT_CONFIG_PATH || null,
+  tenants: loadTenants(process.env.TENANT_CONFIG_PATH)
+};
+
+/**
+ * Load tenants from a JSON file
+ * @param {string} filePath - Path to the tenant file
+ * @returns {Object} - Tenant id to tenant settings map
+ */
+function loadTenants(filePath) {
+  if (!filePath) return {};
+
+  try {
+    const { tenants = {} } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return tenants;
+  } catch (error) {
+    log.error('Failed to load tenant config', { path: filePath, error });
+    return {};
+  }
+}
+
+/**
+ * Get a tenant by id
+ * @param {string} tenantId - Tenant id
+ * @returns {Object|null} - Tenant (with its id) or null if unknown
+ */
+function getTenant(tenantId) {
+  const tenant = TENANT_CONFIG.tenants[tenantId];
+  return tenant ? { id: tenantId, ...tenant } : null;
+}
+
+/**
+ * Find the tenant that owns a Twilio number
+ * @param {string} phoneNumber - Dialed number (E.164)
+ * @returns {Object|null} - Tenant or null if no tenant owns the number
+ */
+function findTenantByNumber(phoneNumber) {
+  if (!phoneNumber) return null;
+
+  const tenantId = Object.keys(TENANT_CONFIG.tenants)
+    .find((id) => (TENANT_CONFIG.tenants[id].numbers || []).includes(phoneNumber));
+  return tenantId ? getTenant(tenantId) : null;
+}
+
+module.exports = {
+  TENANT_CONFIG,
+  getTenant,
+  findTenantByNumber
+};
@@ -4,6 +4,9 @@
  */
 
 const TTS_CONFIG = {
+  // Synthesizer backend: google (default) or local (offline tones, no credentials)
+  provider: process.env.TTS_PROVIDER || 'google',
+
   // Voice configuration for British accent conversion
   voice: {
     languageCode: 'en-GB',
@@ -27,9 +30,36 @@ const TTS_CONFIG = {
     maxReconnectAttempts: 3,       // Maximum reconnection attempts
     reconnectBackoffMs: 1000,      // Base backoff time for reconnections
     maxInactiveTimeMs: 5 * 60 * 1000, // 5 minutes max inactive time
+    reconfigIdleMs: 300,           // Swap streams for a new config only after this much quiet
     textOptimization: true         // Enable text optimization for better prosody
   },
 
+  // SSML prosody from the speaker's word timings (see SSMLBuilder)
+  prosody: {
+    enabled: process.env.SSML_PROSODY !== 'false',
+    minBreakMs: 200,        // Shorter gaps are ordinary word spacing
+    maxBreakMs: 1200,       // Longer pauses are shortened to this
+    questionWords: 2,       // Trailing words of a question spoken with rising pitch
+    questionPitch: '+15%'
+  },
+
+  // Adaptive speaking rate (see SpeakingRateController): follow the caller's
+  // pace and speed up while converted audio is piling up unplayed
+  adaptiveRate: {
+    enabled: process.env.ADAPTIVE_RATE !== 'false',
+    minRate: 0.85,
+    maxRate: 1.25,
+    referenceWpm: 160,            // Caller pace that maps to the base rate
+    paceWeight: 0.5,              // How closely the rate follows the caller's pace
+    minWords: 3,                  // Words needed before a pace is measured
+    pauseThresholdMs: 300,        // Longer gaps are pauses, not articulation
+    smoothing: 0.3,               // Weight of the newest pace measurement
+    backlogTargetMs: 1500,        // Unplayed audio tolerated before speeding up
+    backlogGainPerSecond: 0.05,   // Rate added per second of excess backlog
+    step: 0.05,                   // Rates are rounded to this step
+    minChangeIntervalMs: 2000     // Avoid audible rate flapping
+  },
+
   // Alternative voice options (for fallback or customization)
   alternativeVoices: {
     'en-GB-Neural2-B': {
@@ -71,6 +101,29 @@ function getConfigWithVoice(voiceName) {
   };
 }
 
+/**
+ * Resolve a voice name into a voice selection
+ * Known alternative voices keep their metadata; any other Google-style name
+ * (e.g. en-AU-Neural2-B) is used as-is with the language code it starts with.
+ * @param {string} voiceName - Name of the voice to use
+ * @returns {Object} Voice selection ({ languageCode, name, ... })
+ */
+function resolveVoice(voiceName) {
+  if (!voiceName) {
+    return { ...TTS_CONFIG.voice };
+  }
+
+  if (TTS_CONFIG.alternativeVoices[voiceName]) {
+    const { description, ...voice } = TTS_CONFIG.alternativeVoices[voiceName];
+    return voice;
+  }
+
+  return {
+    languageCode: voiceName.split('-').slice(0, 2).join('-'),
+    name: voiceName
+  };
+}
+
 /**
  * Merge custom options with default configuration
  * @param {Object} customOptions - Custom configuration options
@@ -92,5 +145,6 @@ module.exports = {
   TTS_CONFIG,
   getDefaultConfig,
   getConfigWithVoice,
+  resolveVoice,
   mergeConfig
 }; 
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Shared structured logger
+ *
+ * Every module logs through a child of one winston logger that tags its
+ * entries with { module }. Sessions derive their own children carrying
+ * callSid, streamSid and tenant, so every line of a call can be correlated:
+ *
+ *   const log = createLogger('StreamingTTS');
+ *   const callLog = log.child({ callSid, streamSid, tenant });
+ *   callLog.warn('Stream not ready, text dropped', { text });
+ *
+ * Each module logs at LOG_CONFIG.level unless given its own level, which can
+ * be changed at runtime (setLogLevel, or the admin API). An unknown level in
+ * the environment is reported and ignored rather than stopping the server.
+ */
+
+const winston = require('winston');
+const { LOG_CONFIG } = require('../config/log-config');
+
+const LEVELS = winston.config.npm.levels;
+const DEFAULT_LEVEL = 'info';
+
+// Levels from the environment that were ignored, reported once the logger exists
+const ignoredLevels = [];
+
+const levels = {
+  default: configuredLevel('LOG_LEVEL', LOG_CONFIG.level) || DEFAULT_LEVEL,
+  modules: new Map(Object.entries(LOG_CONFIG.moduleLevels)
+    .filter(([module, level]) => configuredLevel(`LOG_LEVELS ${module}`, level)))
+};
+
+/**
+ * Drop entries below their module's level
+ */
+const moduleLevelFilter = winston.format((info) => {
+  const level = levels.modules.get(info.module) || levels.default;
+  return LEVELS[info.level] <= LEVELS[level] ? info : false;
+});
+
+/**
+ * Turn Error values into plain objects; JSON.stringify would drop their fields
+ */
+const serializeErrors = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[key] = {
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        stack: value.stack
+      };
+    }
+  }
+  return info;
+});
+
+/**
+ * One line per entry: time, level, module, message, then the remaining fields
+ */
+const prettyFormat = winston.format.printf(({ timestamp, level, module, message, ...fields }) => {
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${timestamp} ${level} [${module}] ${message}${extra}`;
+});
+
+const rootLogger = winston.createLogger({
+  level: mostVerboseLevel(),
+  format: winston.format.combine(
+    moduleLevelFilter(),
+    serializeErrors(),
+    winston.format.timestamp(),
+    LOG_CONFIG.format === 'pretty' ?
+      winston.format.combine(winston.format.colorize(), prettyFormat) :
+      winston.format.json()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+for (const { setting, level } of ignoredLevels) {
+  createLogger('logging').warn('Unknown log level, ignored', { setting, value: level, expected: Object.keys(LEVELS) });
+}
+
+/**
+ * Get the logger of a module
+ * @param {string} module - Module name, used for per-module levels
+ * @returns {winston.Logger} - Logger; call child() on it for per-call fields
+ */
+function createLogger(module) {
+  return rootLogger.child({ module });
+}
+
+/**
+ * Change a module's level at runtime
+ * @param {string} module - Module name, or 'default' for modules without their own level
+ * @param {string|null} level - New level, or null to fall back to the default level
+ */
+function setLogLevel(module, level) {
+  if (module === 'default') {
+    levels.default = validateLevel(level);
+  } else if (level === null) {
+    levels.modules.delete(module);
+  } else {
+    levels.modules.set(module, validateLevel(level));
+  }
+
+  // The root logger must pass everything the most verbose module wants
+  rootLogger.level = mostVerboseLevel();
+}
+
+/**
+ * Get the current levels
+ * @returns {Object} - { default, modules: { module: level } }
+ */
+function getLogLevels() {
+  return { default: levels.default, modules: Object.fromEntries(levels.modules) };
+}
+
+/**
+ * Check a level set in the environment
+ * @param {string} setting - Where it was set, for the warning
+ * @param {string} level - Level name
+ * @returns {string|null} - The level, or null if it is unknown
+ */
+function configuredLevel(setting, level) {
+  if (isLevel(level)) return level;
+
+  ignoredLevels.push({ setting, level });
+  return null;
+}
+
+/**
+ * Ensure a level name is known
+ * @param {string} level - Level name
+ * @returns {string} - The level
+ */
+function validateLevel(level) {
+  if (!isLevel(level)) {
+    throw new Error(`Unknown log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  return level;
+}
+
+/**
+ * Whether a level name is known
+ * @param {string} level - Level name
+ * @returns {boolean} - True for a winston npm level
+ */
+function isLevel(level) {
+  return typeof level === 'string' && Object.prototype.hasOwnProperty.call(LEVELS, level);
+}
+
+/**
+ * Get the most verbose of the default and module levels
+ * @returns {string} - Level name
+ */
+function mostVerboseLevel() {
+  return [levels.default, ...levels.modules.values()]
+    .reduce((most, level) => (LEVELS[level] > LEVELS[most] ? level : most));
+}
+
+module.exports = {
+  createLogger,
+  setLogLevel,
+  getLogLevels
+};
@@ -0,0 +1,45 @@
+process.env.LOG_LEVEL = 'verbos';
+process.env.LOG_LEVELS = 'StreamingTTS=dbug,server=warn';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Capture what the logger writes while it loads
+const written = [];
+const write = process.stdout.write;
+process.stdout.write = (chunk) => written.push(String(chunk));
+
+const { createLogger, setLogLevel, getLogLevels } = require('./index');
+
+process.stdout.write = write;
+
+describe('logging levels', () => {
+  it('ignores unknown levels from the environment instead of failing to load', () => {
+    assert.deepEqual(getLogLevels(), { default: 'info', modules: { server: 'warn' } });
+  });
+
+  it('warns about each ignored level', () => {
+    const warnings = written
+      .map((line) => JSON.parse(line))
+      .filter((entry) => entry.message === 'Unknown log level, ignored');
+
+    assert.deepEqual(warnings.map(({ setting, value }) => [setting, value]), [
+      ['LOG_LEVEL', 'verbos'],
+      ['LOG_LEVELS StreamingTTS', 'dbug']
+    ]);
+  });
+
+  it('still rejects unknown levels set at runtime', () => {
+    assert.throws(() => setLogLevel('default', 'verbos'), /Unknown log level "verbos"/);
+    assert.throws(() => setLogLevel('StreamingTTS', 'dbug'), /Unknown log level "dbug"/);
+    assert.deepEqual(getLogLevels(), { default: 'info', modules: { server: 'warn' } });
+  });
+
+  it('changes levels at runtime', () => {
+    setLogLevel('StreamingTTS', 'debug');
+    setLogLevel('server', null);
+
+    assert.deepEqual(getLogLevels(), { default: 'info', modules: { StreamingTTS: 'debug' } });
+    assert.equal(createLogger('StreamingTTS').isDebugEnabled(), true);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Conversion pipeline metrics, exposed in Prometheus format on /metrics
+ *
+ * Services record into these shared metrics directly; gauges for live
+ * counts are read at scrape time from collectors set up by the server.
+ */
+
+const { CONTENT_TYPE, Counter, Gauge, Histogram, Registry } = require('./registry');
+
+// Latency buckets in seconds, from sub-100 ms up to several seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+const registry = new Registry();
+
+const metrics = {
+  activeCalls: registry.register(new Gauge({
+    name: 'accent_active_calls',
+    help: 'Media streams currently connected'
+  })),
+
+  sttSessions: registry.register(new Gauge({
+    name: 'accent_stt_sessions',
+    help: 'Open speech-to-text sessions'
+  })),
+
+  ttsSessions: registry.register(new Gauge({
+    name: 'accent_tts_sessions',
+    help: 'Open streaming text-to-speech sessions'
+  })),
+
+  ttsReconnects: registry.register(new Counter({
+    name: 'accent_tts_reconnect_attempts_total',
+    help: 'Streaming TTS reconnect attempts after recoverable errors'
+  })),
+
+  ttsCacheRequests: registry.register(new Counter({
+    name: 'accent_tts_cache_requests_total',
+    help: 'Legacy TTS cache lookups by result (hit or miss)'
+  })),
+
+  audioBytes: registry.register(new Counter({
+    name: 'accent_audio_bytes_total',
+    help: 'Mu-law audio bytes received from (in) and sent to (out) Twilio'
+  })),
+
+  transcriptLatency: registry.register(new Histogram({
+    name: 'accent_transcript_latency_seconds',
+    help: 'Time from sending a final transcript\'s last word to the recognizer to receiving the transcript',
+    buckets: LATENCY_BUCKETS
+  })),
+
+  ttsFirstAudioLatency: registry.register(new Histogram({
+    name: 'accent_tts_first_audio_latency_seconds',
+    help: 'Time from sending text to the synthesizer to its first audio chunk',
+    buckets: LATENCY_BUCKETS
+  })),
+
+  mouthToEar: registry.register(new Histogram({
+    name: 'accent_mouth_to_ear_seconds',
+    help: 'Time from the speaker finishing a segment\'s words to the listener hearing it converted',
+    buckets: LATENCY_BUCKETS
+  }))
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  registry,
+  metrics
+};
@@ -0,0 +1,232 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms rendered in
+ * the text exposition format (version 0.0.4)
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Build the series key and label text for a label set
+ * @param {Object} labels - Label values
+ * @returns {string} - Label text, e.g. {direction="in"}, or '' without labels
+ */
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const text = entries
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+  return `{${text}}`;
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string} - Prometheus number
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Metric - Shared name/help/series handling
+ */
+class Metric {
+  /**
+   * @param {Object} options - { name, help }
+   * @param {string} type - Prometheus metric type
+   */
+  constructor({ name, help }, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map(); // label text -> value or state
+  }
+
+  /**
+   * Render the metric's HELP/TYPE header
+   * @returns {Array<string>} - Lines
+   */
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  /**
+   * Drop all series
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Counter - Monotonically increasing value
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @returns {number} - Current value
+   */
+  get(labels = {}) {
+    return this.series.get(formatLabels(labels)) || 0;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, value] of this.series) {
+      lines.push(`${this.name}${key} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge - Value that goes up and down, optionally read at scrape time
+ */
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - { name, help, collect }
+   * @param {Function} options.collect - Returns the value at scrape time
+   */
+  constructor(options) {
+    super(options, 'gauge');
+    this.collect = options.collect || null;
+  }
+
+  /**
+   * @param {Function} collect - Returns the value at scrape time
+   */
+  setCollector(collect) {
+    this.collect = collect;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels = {}, value) {
+    this.series.set(formatLabels(labels), value);
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.set('', this.collect());
+    }
+
+    const lines = this.header();
+    for (const [key, value] of this.series) {
+      lines.push(`${this.name}${key} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Histogram - Observations counted into cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - { name, help, buckets }
+   * @param {Array<number>} options.buckets - Upper bounds, ascending
+   */
+  constructor(options) {
+    super(options, 'histogram');
+    this.buckets = [...options.buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+    const key = formatLabels(labels);
+    let state = this.series.get(key);
+    if (!state) {
+      state = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, state);
+    }
+
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) {
+      state.counts[index]++;
+    }
+    state.sum += value;
+    state.count++;
+  }
+
+  render() {
+    const lines = this.header();
+
+    for (const [key, state] of this.series) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += state.counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...state.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...state.labels, le: '+Inf' })} ${state.count}`);
+      lines.push(`${this.name}_sum${key} ${formatValue(state.sum)}`);
+      lines.push(`${this.name}_count${key} ${state.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Registry - Named set of metrics rendered together
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Add a metric
+   * @param {Metric} metric - Metric
+   * @returns {Metric} - The metric
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics
+   * @returns {string} - Exposition text
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};
@@ -0,0 +1,274 @@
+const express = require('express');
+const crypto = require('crypto');
+const { setLogLevel, getLogLevels, createLogger } = require('../logging');
+const { resolveVoice } = require('../config/tts-config');
+
+const log = createLogger('admin');
+
+// Voices the TTS provider offers are listed again after this long
+const VOICE_LIST_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Admin API - Operational endpoints for the ops team
+ * Every request needs "Authorization: Bearer <ADMIN_API_TOKEN>"; without a
+ * configured token the admin API is disabled.
+ */
+
+/**
+ * Check a presented admin token
+ * @param {string|null} provided - Token from the request
+ * @returns {Object|null} - { status, error } if rejected, null if accepted
+ */
+function checkAdminToken(provided) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    return { status: 503, error: 'Admin API is disabled (ADMIN_API_TOKEN not set)' };
+  }
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided || '');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { status: 401, error: 'Unauthorized' };
+  }
+  return null;
+}
+
+/**
+ * Reject requests without the admin bearer token
+ */
+function requireAdminToken(req, res, next) {
+  const [scheme, provided] = (req.get('authorization') || '').split(' ');
+  const rejection = checkAdminToken(scheme === 'Bearer' ? provided : null);
+
+  if (rejection) {
+    return res.status(rejection.status).json({ error: rejection.error });
+  }
+  next();
+}
+
+/**
+ * Create the admin router
+ * @param {Object} services - { lexiconService, calls, listVoices }
+ * @param {Map} services.calls - Active calls by call SID, each with
+ *   { getStatus, close, setConversionPaused, switchVoice, announce }
+ * @param {Function} services.listVoices - Resolves to the voices the TTS provider offers ([{ name }])
+ * @returns {express.Router} - Router to mount under /admin
+ */
+function createAdminRouter({ lexiconService, calls, listVoices }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+  router.use(express.json());
+
+  // Voice names the TTS provider offers, listed on first use and when stale
+  let knownVoices = null;
+  let voicesListedAt = 0;
+
+  /**
+   * List the voice names the TTS provider offers and cache them
+   * @returns {Promise<Set<string>>} - Voice names
+   */
+  const listKnownVoices = async () => {
+    knownVoices = new Set((await listVoices()).map((voice) => voice.name));
+    voicesListedAt = Date.now();
+    return knownVoices;
+  };
+
+  /**
+   * Answer 400 for a voice the TTS provider does not offer, which would fail
+   * the call's synthesis once its stream is recreated
+   * @param {*} voiceName - Voice name from the request body
+   * @param {Object} res - Express response
+   * @returns {Promise<boolean>} - True if the request was answered
+   */
+  const rejectUnknownVoice = async (voiceName, res) => {
+    if (typeof voiceName !== 'string' || !voiceName) {
+      res.status(400).json({ error: 'voice must be a voice name' });
+      return true;
+    }
+
+    const { name } = resolveVoice(voiceName);
+    let known;
+    try {
+      const stale = !knownVoices || Date.now() - voicesListedAt > VOICE_LIST_TTL_MS;
+      known = (stale ? await listKnownVoices() : knownVoices).has(name);
+
+      // A voice missing from an earlier list may have been added since
+      if (!known && !stale) {
+        known = (await listKnownVoices()).has(name);
+      }
+    } catch (error) {
+      log.error('Error listing voices', { error });
+      res.status(502).json({ error: `Failed to list voices: ${error.message}` });
+      return true;
+    }
+
+    if (!known) {
+      res.status(400).json({ error: `Unknown voice "${voiceName}"` });
+      return true;
+    }
+    return false;
+  };
+
+  // Lexicons: pronunciations and recognition vocabulary (see LexiconService)
+  router.get('/lexicons', (req, res) => {
+    res.json({ lexicons: lexiconService.listLexicons() });
+  });
+
+  router.get('/lexicons/:id', (req, res) => {
+    const entries = lexiconService.getLexicon(req.params.id);
+    if (!entries) {
+      return res.status(404).json({ error: `Lexicon ${req.params.id} not found` });
+    }
+    res.json({ id: req.params.id, entries });
+  });
+
+  router.put('/lexicons/:id', (req, res) => {
+    try {
+      const entries = lexiconService.replaceLexicon(req.params.id, (req.body || {}).entries);
+      res.json({ id: req.params.id, entries });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/lexicons/:id', (req, res) => {
+    if (!lexiconService.deleteLexicon(req.params.id)) {
+      return res.status(404).json({ error: `Lexicon ${req.params.id} not found` });
+    }
+    res.status(204).end();
+  });
+
+  router.put('/lexicons/:id/entries/:term', (req, res) => {
+    try {
+      const entry = lexiconService.upsertEntry(req.params.id, { ...req.body, term: req.params.term });
+      res.json({ id: req.params.id, entry });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/lexicons/:id/entries/:term', (req, res) => {
+    if (!lexiconService.removeEntry(req.params.id, req.params.term)) {
+      return res.status(404).json({ error: `Entry ${req.params.term} not found in lexicon ${req.params.id}` });
+    }
+    res.status(204).end();
+  });
+
+  // Log levels: 'default' applies to modules without their own level
+  router.get('/log-levels', (req, res) => {
+    res.json(getLogLevels());
+  });
+
+  router.put('/log-levels/:module', (req, res) => {
+    try {
+      setLogLevel(req.params.module, (req.body || {}).level);
+      res.json(getLogLevels());
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/log-levels/:module', (req, res) => {
+    if (req.params.module === 'default') {
+      return res.status(400).json({ error: 'The default level cannot be removed' });
+    }
+    setLogLevel(req.params.module, null);
+    res.json(getLogLevels());
+  });
+
+  // Live calls: inspect, pause or resume conversion, switch voice, announce, hang up
+  const findCall = (req, res) => {
+    const call = calls.get(req.params.callSid);
+    if (!call) {
+      res.status(404).json({ error: `Call ${req.params.callSid} not found` });
+    }
+    return call;
+  };
+
+  router.get('/calls', (req, res) => {
+    res.json({ calls: [...calls.values()].map((call) => call.getStatus()) });
+  });
+
+  router.get('/calls/:callSid', (req, res) => {
+    const call = findCall(req, res);
+    if (call) res.json(call.getStatus());
+  });
+
+  router.delete('/calls/:callSid', (req, res) => {
+    const call = findCall(req, res);
+    if (!call) return;
+
+    call.close();
+    res.status(204).end();
+  });
+
+  router.post('/calls/:callSid/pause', (req, res) => {
+    const call = findCall(req, res);
+    if (!call) return;
+
+    call.setConversionPaused(true);
+    res.json(call.getStatus());
+  });
+
+  router.post('/calls/:callSid/resume', (req, res) => {
+    const call = findCall(req, res);
+    if (!call) return;
+
+    call.setConversionPaused(false);
+    res.json(call.getStatus());
+  });
+
+  router.put('/calls/:callSid/voice', async (req, res) => {
+    const call = findCall(req, res);
+    if (!call) return;
+
+    const { voice, track } = req.body || {};
+    if (!voice) {
+      return res.status(400).json({ error: 'voice is required' });
+    }
+
+    // Switching nothing would answer 200 for a change that never happens
+    const tracks = call.getStatus().tracks.map((entry) => entry.track);
+    if (tracks.length === 0) {
+      return res.status(400).json({ error: 'Call has no converted track yet' });
+    }
+    if (track !== undefined && !tracks.includes(track)) {
+      return res.status(400).json({ error: `Call has no "${track}" track, expected one of: ${tracks.join(', ')}` });
+    }
+    if (await rejectUnknownVoice(voice, res)) return;
+
+    const switched = call.switchVoice(voice, track);
+    if (switched.length === 0) {
+      return res.status(400).json({ error: `No track switched to voice "${voice}"` });
+    }
+    res.json({ ...call.getStatus(), switched });
+  });
+
+  router.post('/calls/:callSid/announcements', async (req, res) => {
+    const call = findCall(req, res);
+    if (!call) return;
+
+    const { text, voice, interrupt } = req.body || {};
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+    if (voice !== undefined && await rejectUnknownVoice(voice, res)) return;
+
+    try {
+      const prompt = await call.announce(text.trim(), { voice, interrupt: Boolean(interrupt) });
+      res.status(202).json(prompt);
+    } catch (error) {
+      log.error('Error playing announcement', { callSid: req.params.callSid, error });
+      res.status(502).json({ error: `Failed to play announcement: ${error.message}` });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  requireAdminToken,
+  checkAdminToken
+};
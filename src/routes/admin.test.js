@@ -0,0 +1,154 @@
+process.env.LOG_LEVEL = 'error';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createAdminRouter } = require('./admin');
+
+/**
+ * Live call as /stream registers it, recording the voice switches asked for
+ * @param {Array<string>} tracks - Converted tracks
+ * @returns {Object} - Call control object
+ */
+function fakeCall(tracks) {
+  const call = {
+    switches: [],
+    getStatus: () => ({ callSid: 'CA1', tracks: tracks.map((track) => ({ track })) }),
+    switchVoice: (voice, track) => {
+      call.switches.push([voice, track]);
+      return tracks.filter((name) => !track || name === track);
+    },
+    announce: async (text, options) => ({ name: 'prompt-1', durationMs: 500, text, options })
+  };
+  return call;
+}
+
+describe('admin API voices', () => {
+  const calls = new Map();
+  let voices;
+  let listed;
+  let server;
+  let baseUrl;
+
+  /**
+   * Send an admin request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under /admin
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}/admin${path}`, {
+      method,
+      headers: { authorization: 'Bearer test-admin-token', 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    const app = express();
+    app.use('/admin', createAdminRouter({
+      lexiconService: null,
+      calls,
+      listVoices: async () => {
+        listed++;
+        return voices.map((name) => ({ name }));
+      }
+    }));
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    voices = ['en-GB-Chirp3-HD-Kore', 'en-GB-Chirp3-HD-Charon'];
+    listed = 0;
+    calls.clear();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('switches every track, or the one asked for', async () => {
+    const call = fakeCall(['inbound', 'outbound']);
+    calls.set('CA1', call);
+
+    const all = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Kore' });
+    const one = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Kore', track: 'outbound' });
+
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.switched, ['inbound', 'outbound']);
+    assert.equal(one.status, 200);
+    assert.deepEqual(one.body.switched, ['outbound']);
+  });
+
+  it('rejects a track the call does not have', async () => {
+    const call = fakeCall(['inbound']);
+    calls.set('CA1', call);
+
+    const response = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Kore', track: 'outgoing' });
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /no "outgoing" track/);
+    assert.deepEqual(call.switches, []);
+  });
+
+  it('rejects a switch that changes no track', async () => {
+    calls.set('CA1', fakeCall([]));
+    const empty = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Kore' });
+
+    const call = fakeCall(['inbound']);
+    call.switchVoice = () => [];
+    calls.set('CA1', call);
+    const unswitched = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Kore' });
+
+    assert.equal(empty.status, 400);
+    assert.equal(unswitched.status, 400);
+    assert.match(unswitched.body.error, /No track switched/);
+  });
+
+  it('rejects voices the TTS provider does not offer', async () => {
+    calls.set('CA1', fakeCall(['inbound']));
+
+    const unknown = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Korre' });
+    const announcement = await request('POST', '/calls/CA1/announcements', { text: 'Please hold', voice: 'en-GB-Chirp3-HD-Korre' });
+
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown voice "en-GB-Chirp3-HD-Korre"/);
+    assert.equal(announcement.status, 400);
+  });
+
+  it('lists the voices again for a voice added since', async () => {
+    calls.set('CA1', fakeCall(['inbound']));
+    await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Kore' });
+    listed = 0;
+
+    voices.push('en-GB-Chirp3-HD-Puck');
+    const added = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Puck' });
+    const cached = await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Charon' });
+
+    assert.equal(added.status, 200);
+    assert.equal(cached.status, 200);
+    assert.equal(listed, 1);
+  });
+
+  it('stops accepting a removed voice once the list is stale', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    calls.set('CA1', fakeCall(['inbound']));
+    await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Charon' });
+
+    voices = ['en-GB-Chirp3-HD-Kore'];
+    assert.equal((await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Charon' })).status, 200);
+
+    mock.timers.tick(10 * 60 * 1000 + 1);
+    assert.equal((await request('PUT', '/calls/CA1/voice', { voice: 'en-GB-Chirp3-HD-Charon' })).status, 400);
+  });
+});
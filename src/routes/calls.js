@@ -0,0 +1,53 @@
+const express = require('express');
+const { requireAdminToken } = require('./admin');
+const { TRANSCRIPT_FORMATS, toText, toVtt } = require('../services/transcripts/formats');
+const { createLogger } = require('../logging');
+
+const log = createLogger('calls');
+
+/**
+ * Calls API - Per-call records kept after the call
+ * Protected by the admin bearer token, like the admin API.
+ */
+
+/**
+ * Create the calls router
+ * @param {Object} services - { transcriptStore }
+ * @returns {express.Router} - Router to mount under /calls
+ */
+function createCallsRouter({ transcriptStore }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // Transcript of both sides: ?format=json (default), txt or vtt
+  router.get('/:callSid/transcript', async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown format "${format}", expected one of ${TRANSCRIPT_FORMATS.join(', ')}` });
+    }
+
+    try {
+      const transcript = await transcriptStore.getTranscript(req.params.callSid);
+      if (!transcript) {
+        return res.status(404).json({ error: `No transcript for call ${req.params.callSid}` });
+      }
+
+      if (format === 'txt') {
+        return res.type('text/plain').send(toText(transcript));
+      }
+      if (format === 'vtt') {
+        return res.type('text/vtt').send(toVtt(transcript));
+      }
+      res.json(transcript);
+    } catch (error) {
+      log.error('Error reading transcript', { callSid: req.params.callSid, error });
+      res.status(500).json({ error: 'Failed to read transcript' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCallsRouter
+};
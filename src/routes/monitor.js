@@ -0,0 +1,38 @@
+const { checkAdminToken } = require('./admin');
+const { createLogger } = require('../logging');
+
+const log = createLogger('monitor');
+
+// WebSocket close code for a rejected connection (policy violation)
+const CLOSE_UNAUTHORIZED = 1008;
+
+/**
+ * Monitor feed - WS /monitor, live call events for supervisors (see CallMonitor)
+ * Needs the admin token, as "Authorization: Bearer <ADMIN_API_TOKEN>" or, for
+ * browsers, which cannot set headers on a WebSocket, as ?token=.
+ * ?callSid= watches one call; without it every call is watched.
+ */
+
+/**
+ * Create the WebSocket handler of the monitor feed
+ * @param {Object} services - { callMonitor }
+ * @returns {Function} - Handler for app.ws('/monitor', ...)
+ */
+function createMonitorHandler({ callMonitor }) {
+  return (ws, req) => {
+    const [scheme, headerToken] = (req.get('authorization') || '').split(' ');
+    const rejection = checkAdminToken(scheme === 'Bearer' ? headerToken : req.query.token);
+
+    if (rejection) {
+      log.warn('Monitor connection rejected', { status: rejection.status, ip: req.ip });
+      ws.close(CLOSE_UNAUTHORIZED, rejection.error);
+      return;
+    }
+
+    callMonitor.addSubscriber(ws, { callSid: req.query.callSid || null });
+  };
+}
+
+module.exports = {
+  createMonitorHandler
+};
@@ -0,0 +1,154 @@
+/**
+ * Twilio request authentication
+ *
+ * Webhooks (/voice, /bridge/status) are checked against their
+ * X-Twilio-Signature. /voice then hands the media stream a signed,
+ * short-lived, single-use token as a <Parameter>, which the stream's start
+ * message must present before any STT or TTS session is created:
+ *
+ *   token = <expiresAt>.<base64url HMAC-SHA256(secret, "<subject>.<expiresAt>")>
+ *
+ * The subject is the call SID, or "<bridgeId>:remote" for the remote leg of
+ * a bridge, whose call SID is not known when its TwiML is built.
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { SECURITY_CONFIG } = require('../config/security-config');
+const { createLogger } = require('../logging');
+
+const log = createLogger('security');
+
+/**
+ * Create the request checks for the Twilio endpoints
+ * @param {Object} options - { authToken } the Twilio auth token (signs webhooks
+ *   and, without STREAM_TOKEN_SECRET, stream tokens)
+ * @returns {Object} - { requireSignature, createStreamToken, verifyStreamToken }
+ */
+function createTwilioAuth({ authToken = null } = {}) {
+  const streamSecret = SECURITY_CONFIG.streamToken.secret || authToken;
+  const usedTokens = new Map(); // token -> expiresAt, so a token opens one stream
+
+  if (SECURITY_CONFIG.twilioSignature.enabled && !authToken) {
+    log.warn('TWILIO_AUTH_TOKEN not set: Twilio webhooks will be rejected (set TWILIO_SIGNATURE_VALIDATION=false to accept them unchecked)');
+  }
+  if (SECURITY_CONFIG.streamToken.enabled && !streamSecret) {
+    log.warn('No stream token secret: media streams will be rejected (set STREAM_TOKEN_SECRET or TWILIO_AUTH_TOKEN)');
+  }
+
+  /**
+   * Express middleware rejecting webhooks without a valid Twilio signature
+   */
+  function requireSignature(req, res, next) {
+    if (!SECURITY_CONFIG.twilioSignature.enabled) return next();
+
+    const reason = checkSignature(req);
+    if (reason) {
+      log.warn('Rejected webhook', { path: req.path, callSid: (req.body || {}).CallSid, reason, ip: req.ip });
+      return res.status(403).send('Forbidden');
+    }
+    next();
+  }
+
+  /**
+   * Check a webhook's signature
+   * @param {Object} req - Express request
+   * @returns {string|null} - Why the request is rejected, or null if it is valid
+   */
+  function checkSignature(req) {
+    const signature = req.get('x-twilio-signature');
+    if (!authToken) return 'auth token not configured';
+    if (!signature) return 'missing X-Twilio-Signature';
+
+    if (!twilio.validateRequest(authToken, signature, `${getPublicBaseUrl(req)}${req.originalUrl}`, req.body || {})) {
+      return 'invalid signature';
+    }
+    return null;
+  }
+
+  /**
+   * Issue a stream token
+   * @param {string} subject - Token subject (see getStreamTokenSubject)
+   * @returns {string|null} - Token, or null without a secret
+   */
+  function createStreamToken(subject) {
+    if (!streamSecret) return null;
+
+    const expiresAt = Date.now() + SECURITY_CONFIG.streamToken.ttlMs;
+    return `${expiresAt}.${sign(streamSecret, `${subject}.${expiresAt}`)}`;
+  }
+
+  /**
+   * Check the token a stream's start message presented; a valid token is used up
+   * @param {string} token - Token from the stream's parameters
+   * @param {string} subject - Expected subject (see getStreamTokenSubject)
+   * @returns {string|null} - Why the stream is rejected, or null if it may start
+   */
+  function verifyStreamToken(token, subject) {
+    if (!SECURITY_CONFIG.streamToken.enabled) return null;
+    if (!streamSecret) return 'stream token secret not configured';
+    if (!token) return 'missing stream token';
+
+    const [expiresAtText, signature] = String(token).split('.');
+    const expiresAt = Number(expiresAtText);
+    if (!Number.isFinite(expiresAt) || !signature) return 'malformed stream token';
+
+    const expected = Buffer.from(sign(streamSecret, `${subject}.${expiresAt}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return 'invalid stream token';
+    }
+
+    const now = Date.now();
+    if (expiresAt < now) return 'expired stream token';
+
+    for (const [usedToken, usedExpiresAt] of usedTokens) {
+      if (usedExpiresAt < now) usedTokens.delete(usedToken);
+    }
+    if (usedTokens.has(token)) return 'stream token already used';
+
+    usedTokens.set(token, expiresAt);
+    return null;
+  }
+
+  return {
+    requireSignature,
+    createStreamToken,
+    verifyStreamToken
+  };
+}
+
+/**
+ * Get the base URL Twilio reaches this server at, which webhook signatures
+ * cover and the URLs handed to Twilio must use
+ * @param {Object} req - Express request
+ * @returns {string} - PUBLIC_BASE_URL, else https://<Host header>
+ */
+function getPublicBaseUrl(req) {
+  return SECURITY_CONFIG.twilioSignature.publicBaseUrl || `https://${req.get('host')}`;
+}
+
+/**
+ * Get the subject a stream's token is bound to
+ * @param {Object} stream - { callSid, bridgeId, leg } from the start message
+ * @returns {string} - Subject
+ */
+function getStreamTokenSubject({ callSid, bridgeId, leg }) {
+  return leg === 'remote' && bridgeId ? `${bridgeId}:remote` : callSid;
+}
+
+/**
+ * HMAC-SHA256 of a value, base64url encoded
+ * @param {string} secret - Key
+ * @param {string} value - Value to sign
+ * @returns {string} - Signature
+ */
+function sign(secret, value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+module.exports = {
+  createTwilioAuth,
+  getPublicBaseUrl,
+  getStreamTokenSubject
+};
@@ -0,0 +1,179 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { createTwilioAuth, getPublicBaseUrl, getStreamTokenSubject } = require('./index');
+const { SECURITY_CONFIG } = require('../config/security-config');
+
+const AUTH_TOKEN = 'test-auth-token';
+
+/**
+ * Express request for a Twilio webhook
+ * @param {Object} options - { host, url, body, signature }
+ * @returns {Object} - Request
+ */
+function webhook({ host = 'example.com', url = '/voice', body = { CallSid: 'CA1' }, signature }) {
+  const headers = { host, ...(signature && { 'x-twilio-signature': signature }) };
+  return { get: (name) => headers[name.toLowerCase()], originalUrl: url, path: url.split('?')[0], body, ip: '127.0.0.1' };
+}
+
+/**
+ * Run the signature middleware on a request
+ * @param {Function} requireSignature - Middleware
+ * @param {Object} req - Request
+ * @returns {number|null} - Status sent, or null if the request was passed on
+ */
+function check(requireSignature, req) {
+  let status = null;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    send() {}
+  };
+
+  requireSignature(req, res, () => {});
+  return status;
+}
+
+describe('Twilio webhook signatures', () => {
+  const { requireSignature } = createTwilioAuth({ authToken: AUTH_TOKEN });
+  const sign = (url, body) => twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, body);
+
+  afterEach(() => {
+    SECURITY_CONFIG.twilioSignature.publicBaseUrl = null;
+  });
+
+  it('passes a request signed for its URL', () => {
+    const body = { CallSid: 'CA1', To: '+15550001111' };
+    const signature = sign('https://example.com/voice?tenant=acme', body);
+
+    assert.equal(check(requireSignature, webhook({ url: '/voice?tenant=acme', body, signature })), null);
+  });
+
+  it('rejects a missing, forged or tampered signature', () => {
+    const body = { CallSid: 'CA1' };
+    const signature = sign('https://example.com/voice', body);
+
+    assert.equal(check(requireSignature, webhook({ body })), 403);
+    assert.equal(check(requireSignature, webhook({ body, signature: 'bogus' })), 403);
+    assert.equal(check(requireSignature, webhook({ body: { CallSid: 'CA2' }, signature })), 403);
+    assert.equal(check(requireSignature, webhook({ url: '/voice?to=%2B15550009999', body, signature })), 403);
+  });
+
+  it('checks against PUBLIC_BASE_URL when set', () => {
+    SECURITY_CONFIG.twilioSignature.publicBaseUrl = 'https://abc.ngrok.io';
+    const body = { CallSid: 'CA1' };
+
+    assert.equal(check(requireSignature, webhook({ host: 'localhost:4001', body, signature: sign('https://abc.ngrok.io/voice', body) })), null);
+    assert.equal(check(requireSignature, webhook({ host: 'localhost:4001', body, signature: sign('https://localhost:4001/voice', body) })), 403);
+  });
+
+  it('fails closed without an auth token', () => {
+    const { requireSignature: unconfigured } = createTwilioAuth({});
+    const body = { CallSid: 'CA1' };
+
+    assert.equal(check(unconfigured, webhook({ body, signature: sign('https://example.com/voice', body) })), 403);
+  });
+
+  it('builds the public base URL from PUBLIC_BASE_URL or the Host header', () => {
+    assert.equal(getPublicBaseUrl(webhook({ host: 'example.com' })), 'https://example.com');
+
+    SECURITY_CONFIG.twilioSignature.publicBaseUrl = 'https://abc.ngrok.io';
+    assert.equal(getPublicBaseUrl(webhook({ host: 'localhost:4001' })), 'https://abc.ngrok.io');
+  });
+});
+
+describe('stream tokens', () => {
+  const { createStreamToken, verifyStreamToken } = createTwilioAuth({ authToken: AUTH_TOKEN });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('accepts a token for its subject once', () => {
+    const token = createStreamToken('CA1');
+
+    assert.match(token, /^\d+\.[\w-]+$/);
+    assert.equal(verifyStreamToken(token, 'CA1'), null);
+    assert.equal(verifyStreamToken(token, 'CA1'), 'stream token already used');
+  });
+
+  it('rejects a token for another subject', () => {
+    assert.equal(verifyStreamToken(createStreamToken('CA1'), 'CA2'), 'invalid stream token');
+  });
+
+  it('rejects missing, malformed and altered tokens', () => {
+    const token = createStreamToken('CA1');
+    const [expiresAt, signature] = token.split('.');
+
+    assert.equal(verifyStreamToken(undefined, 'CA1'), 'missing stream token');
+    assert.equal(verifyStreamToken('not-a-token', 'CA1'), 'malformed stream token');
+    assert.equal(verifyStreamToken(`${Number(expiresAt) + 60000}.${signature}`, 'CA1'), 'invalid stream token');
+    assert.equal(verifyStreamToken(`${expiresAt}.${signature.slice(1)}`, 'CA1'), 'invalid stream token');
+  });
+
+  it('rejects a token after STREAM_TOKEN_TTL_SECONDS', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const token = createStreamToken('CA1');
+
+    mock.timers.tick(SECURITY_CONFIG.streamToken.ttlMs + 1);
+    assert.equal(verifyStreamToken(token, 'CA1'), 'expired stream token');
+  });
+
+  it('does not accept tokens signed with another secret', () => {
+    const other = createTwilioAuth({ authToken: 'another-auth-token' });
+
+    assert.equal(verifyStreamToken(other.createStreamToken('CA1'), 'CA1'), 'invalid stream token');
+  });
+
+  it('fails closed without a secret', () => {
+    const unconfigured = createTwilioAuth({});
+
+    assert.equal(unconfigured.createStreamToken('CA1'), null);
+    assert.equal(unconfigured.verifyStreamToken('1.abc', 'CA1'), 'stream token secret not configured');
+  });
+
+  it('binds the remote leg of a bridge to the bridge', () => {
+    assert.equal(getStreamTokenSubject({ callSid: 'CA1' }), 'CA1');
+    assert.equal(getStreamTokenSubject({ callSid: 'CA2', bridgeId: 'CA1', leg: 'caller' }), 'CA2');
+    assert.equal(getStreamTokenSubject({ callSid: 'CA3', bridgeId: 'CA1', leg: 'remote' }), 'CA1:remote');
+  });
+});
+
+describe('STREAM_TOKEN_TTL_SECONDS', () => {
+  /**
+   * Load the security config with a TTL setting
+   * @param {string} value - STREAM_TOKEN_TTL_SECONDS
+   * @returns {number} - ttlMs
+   */
+  function ttlMsFor(value) {
+    const path = require.resolve('../config/security-config');
+    const previous = process.env.STREAM_TOKEN_TTL_SECONDS;
+
+    process.env.STREAM_TOKEN_TTL_SECONDS = value;
+    delete require.cache[path];
+    try {
+      return require(path).SECURITY_CONFIG.streamToken.ttlMs;
+    } finally {
+      delete require.cache[path];
+      if (previous === undefined) {
+        delete process.env.STREAM_TOKEN_TTL_SECONDS;
+      } else {
+        process.env.STREAM_TOKEN_TTL_SECONDS = previous;
+      }
+    }
+  }
+
+  it('is read in seconds', () => {
+    assert.equal(ttlMsFor('30'), 30000);
+  });
+
+  it('falls back to 120 s when it is not a positive number', () => {
+    for (const value of ['', 'two minutes', '0', '-5']) {
+      assert.equal(ttlMsFor(value), 120000, `"${value}"`);
+    }
+  });
+});
@@ -0,0 +1,263 @@
+const { EventEmitter } = require('events');
+const VoiceResponse = require('twilio').twiml.VoiceResponse;
+const { createLogger } = require('../logging');
+
+const log = createLogger('CallBridge');
+
+/**
+ * CallBridgeService - Pairs the caller's media stream with a dialed remote party
+ *
+ * Each bridge has two legs, 'caller' and 'remote', each with its own
+ * bidirectional Twilio media stream. The caller's speech is converted and
+ * played on the remote leg; the remote party's audio is either re-voiced for
+ * the caller or forwarded unchanged.
+ */
+class CallBridgeService extends EventEmitter {
+  /**
+   * @param {Object} twilioClient - Twilio REST client used to dial and hang up legs
+   * @param {Object} options - { getPlaybackQueue }
+   * @param {Function} options.getPlaybackQueue - streamSid => the stream's OutboundAudioScheduler, null once it ended
+   */
+  constructor(twilioClient = null, { getPlaybackQueue = null } = {}) {
+    super();
+
+    if (CallBridgeService.instance) {
+      return CallBridgeService.instance;
+    }
+
+    this.twilioClient = twilioClient;
+    this.getPlaybackQueue = getPlaybackQueue;
+    this.bridges = new Map();
+
+    CallBridgeService.instance = this;
+  }
+
+  /**
+   * Create a bridge for an incoming call
+   * @param {string} bridgeId - Bridge identifier (the caller's CallSid)
+   * @param {Object} options - { destination, remoteConversion }
+   * @param {Object} options.remoteConversion - Converter options for re-voicing the
+   *   remote party to the caller; null forwards the remote party unchanged
+   * @returns {Object} - Bridge control object
+   */
+  createBridge(bridgeId, { destination, remoteConversion = null }) {
+    const bridge = {
+      bridgeId,
+      destination,
+      remoteConversion,
+      events: new EventEmitter(),
+      legs: { caller: null, remote: null },
+      remoteCallSid: null,
+      startTime: Date.now(),
+      forwardedBytes: 0,
+      isActive: true
+    };
+
+    this.bridges.set(bridgeId, bridge);
+    log.info('Created bridge', { bridgeId, destination });
+
+    return this.getBridge(bridgeId);
+  }
+
+  /**
+   * Get the control object of a bridge
+   * @param {string} bridgeId - Bridge identifier
+   * @returns {Object|null} - Bridge control object or null if not found
+   */
+  getBridge(bridgeId) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge) return null;
+
+    return {
+      bridgeId,
+      destination: bridge.destination,
+      remoteConversion: bridge.remoteConversion,
+      getLeg: (leg) => bridge.legs[leg],
+      getPeer: (leg) => this.getPeer(bridgeId, leg),
+      on: (event, listener) => bridge.events.on(event, listener),
+      once: (event, listener) => bridge.events.once(event, listener),
+      off: (event, listener) => bridge.events.off(event, listener),
+      isActive: () => bridge.isActive
+    };
+  }
+
+  /**
+   * Dial the remote party and connect its audio to /stream as the remote leg
+   * @param {string} bridgeId - Bridge identifier
+   * @param {Object} options - { from, streamUrl, statusCallback, streamParameters }
+   * @param {Object} options.streamParameters - Extra Stream parameters for the remote leg (e.g. its stream token)
+   * @returns {Promise<string>} - Remote CallSid
+   */
+  async dialRemoteParty(bridgeId, { from, streamUrl, statusCallback, streamParameters = {} }) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge) {
+      throw new Error(`Bridge ${bridgeId} not found`);
+    }
+    if (!this.twilioClient) {
+      throw new Error('Twilio client is required to dial the remote party');
+    }
+
+    const twiml = new VoiceResponse();
+    const stream = twiml.connect().stream({ url: streamUrl });
+    stream.parameter({ name: 'bridgeId', value: bridgeId });
+    stream.parameter({ name: 'leg', value: 'remote' });
+    for (const [name, value] of Object.entries(streamParameters)) {
+      if (value) {
+        stream.parameter({ name, value });
+      }
+    }
+
+    const call = await this.twilioClient.calls.create({
+      to: bridge.destination,
+      from,
+      twiml: twiml.toString(),
+      ...(statusCallback && {
+        statusCallback,
+        statusCallbackEvent: ['completed']
+      })
+    });
+
+    bridge.remoteCallSid = call.sid;
+    log.info('Dialing remote party', { bridgeId, destination: bridge.destination, callSid: call.sid });
+
+    return call.sid;
+  }
+
+  /**
+   * Attach a connected media stream to one leg of a bridge
+   * @param {string} bridgeId - Bridge identifier
+   * @param {string} leg - 'caller' or 'remote'
+   * @param {Object} legData - { ws, streamSid, callSid }
+   * @returns {Object|null} - Bridge control object or null if not found
+   */
+  attachLeg(bridgeId, leg, { ws, streamSid, callSid }) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge || !bridge.isActive) {
+      log.warn('Cannot attach leg, bridge not active', { bridgeId, leg });
+      return null;
+    }
+
+    bridge.legs[leg] = { leg, ws, streamSid, callSid };
+    if (leg === 'remote') {
+      bridge.remoteCallSid = callSid;
+    }
+
+    log.info('Leg attached', { bridgeId, leg, callSid });
+    bridge.events.emit('legAttached', bridge.legs[leg]);
+    this.emit('legAttached', { bridgeId, leg, callSid });
+
+    return this.getBridge(bridgeId);
+  }
+
+  /**
+   * Get the leg opposite to the given one
+   * @param {string} bridgeId - Bridge identifier
+   * @param {string} leg - 'caller' or 'remote'
+   * @returns {Object|null} - Peer leg or null if not connected
+   */
+  getPeer(bridgeId, leg) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge) return null;
+
+    return bridge.legs[leg === 'caller' ? 'remote' : 'caller'];
+  }
+
+  /**
+   * Forward raw media from one leg to the other, unchanged
+   *
+   * The audio goes through the peer's playback queue as live audio: the
+   * peer's prompts and converted speech play whole ahead of it, frames held
+   * up behind them are dropped rather than played late, and barge-in on the
+   * peer's stream leaves it alone.
+   * @param {string} bridgeId - Bridge identifier
+   * @param {string} fromLeg - Leg the audio was received on
+   * @param {string} payload - Base64 mu-law payload
+   */
+  forwardAudio(bridgeId, fromLeg, payload) {
+    const bridge = this.bridges.get(bridgeId);
+    const peer = this.getPeer(bridgeId, fromLeg);
+    if (!bridge || !peer || peer.ws.readyState !== peer.ws.OPEN) return;
+
+    try {
+      const queue = this.getPlaybackQueue(peer.streamSid);
+      if (!queue) return;
+
+      const audio = Buffer.from(payload, 'base64');
+      queue.enqueueAudio(audio, 'live');
+      bridge.forwardedBytes += audio.length;
+    } catch (error) {
+      log.error('Error forwarding audio', { bridgeId, error });
+      this.emit('error', { bridgeId, error });
+    }
+  }
+
+  /**
+   * Detach a leg whose stream ended and hang up the other party
+   * @param {string} bridgeId - Bridge identifier
+   * @param {string} leg - 'caller' or 'remote'
+   */
+  async detachLeg(bridgeId, leg) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge) return;
+
+    bridge.legs[leg] = null;
+    log.info('Leg detached', { bridgeId, leg });
+    bridge.events.emit('legDetached', { leg });
+
+    await this.endBridge(bridgeId);
+  }
+
+  /**
+   * End a bridge, hanging up any leg still connected
+   * @param {string} bridgeId - Bridge identifier
+   * @param {Object} options - { hangUp: false to leave both calls up }
+   */
+  async endBridge(bridgeId, { hangUp = true } = {}) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge || !bridge.isActive) return;
+
+    bridge.isActive = false;
+    this.bridges.delete(bridgeId);
+
+    if (hangUp) {
+      const callSids = [bridgeId, bridge.remoteCallSid].filter(Boolean);
+      for (const callSid of callSids) {
+        await this.hangUp(callSid);
+      }
+    }
+
+    log.info('Ended bridge', { bridgeId, durationMs: Date.now() - bridge.startTime });
+    bridge.events.emit('ended', { bridgeId });
+    bridge.events.removeAllListeners();
+    this.emit('bridgeEnded', { bridgeId, forwardedBytes: bridge.forwardedBytes });
+  }
+
+  /**
+   * Hang up a call, ignoring calls that already ended
+   * @param {string} callSid - Call SID
+   */
+  async hangUp(callSid) {
+    if (!this.twilioClient) return;
+
+    try {
+      await this.twilioClient.calls(callSid).update({ status: 'completed' });
+    } catch (error) {
+      // 404/21220: the call already ended on its own
+      if (error.status !== 404 && error.code !== 21220) {
+        log.warn('Failed to hang up', { callSid, error });
+      } else {
+        log.debug('Call already ended', { callSid });
+      }
+    }
+  }
+
+  /**
+   * Get the number of active bridges
+   * @returns {number} - Active bridge count
+   */
+  getActiveBridgeCount() {
+    return this.bridges.size;
+  }
+}
+
+module.exports = CallBridgeService;
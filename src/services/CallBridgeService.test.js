@@ -0,0 +1,137 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CallBridgeService = require('./CallBridgeService');
+const OutboundAudioScheduler = require('./OutboundAudioScheduler');
+
+/**
+ * Twilio media stream WebSocket that records the first payload byte of each frame
+ */
+class FakeSocket {
+  constructor() {
+    this.OPEN = 1;
+    this.readyState = 1;
+    this.frames = [];
+  }
+
+  send(message) {
+    const { media } = JSON.parse(message);
+    if (media) this.frames.push(Buffer.from(media.payload, 'base64')[0]);
+  }
+}
+
+/**
+ * One 20 ms mu-law frame, base64 as Twilio sends it
+ * @param {number} value - Byte value
+ * @returns {string} - Payload
+ */
+function payload(value) {
+  return Buffer.alloc(160, value).toString('base64');
+}
+
+describe('CallBridgeService audio forwarding', () => {
+  const queues = new Map();
+  const callBridge = new CallBridgeService(null, {
+    getPlaybackQueue: (streamSid) => queues.get(streamSid) || null
+  });
+  let callerWs;
+  let remoteWs;
+
+  /**
+   * Start a leg's stream and attach it, as /stream does
+   * @param {string} leg - 'caller' or 'remote'
+   * @param {Object} ws - Stream WebSocket
+   * @param {string} streamSid - Stream SID
+   * @returns {OutboundAudioScheduler} - The leg's playback queue
+   */
+  function attach(leg, ws, streamSid) {
+    queues.set(streamSid, new OutboundAudioScheduler(ws, streamSid));
+    callBridge.attachLeg('CA1', leg, { ws, streamSid, callSid: leg === 'caller' ? 'CA1' : 'CA2' });
+    return queues.get(streamSid);
+  }
+
+  /**
+   * Forward the caller's audio to the remote party in real time
+   * @param {Array<number>} values - One frame per value, 20 ms apart
+   */
+  function talk(values) {
+    for (const value of values) {
+      callBridge.forwardAudio('CA1', 'caller', payload(value));
+      mock.timers.tick(20);
+    }
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000 });
+    callerWs = new FakeSocket();
+    remoteWs = new FakeSocket();
+    callBridge.createBridge('CA1', { destination: '+447700900123' });
+    attach('caller', callerWs, 'MZ1');
+  });
+
+  afterEach(async () => {
+    await callBridge.endBridge('CA1');
+    for (const queue of queues.values()) queue.close();
+    queues.clear();
+    mock.timers.reset();
+  });
+
+  it('plays forwarded audio on the peer\'s playback queue', () => {
+    const queue = attach('remote', remoteWs, 'MZ2');
+    callBridge.forwardAudio('CA1', 'caller', payload(7));
+
+    assert.deepEqual(remoteWs.frames, [7]);
+    assert.deepEqual(callerWs.frames, []);
+    assert.equal(queue.getMetrics().framesSent, 1);
+  });
+
+  it('plays a prompt for the peer whole and drops the audio held up behind it', () => {
+    const queue = attach('remote', remoteWs, 'MZ2');
+
+    queue.enqueueAudio(Buffer.alloc(10 * 160, 9), 'prompt');
+    queue.enqueueMark('prompt', 'prompt');
+    talk([20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34]);
+
+    // What waited more than 60 ms for the prompt is dropped, so the delay does not build up
+    assert.deepEqual(remoteWs.frames, [9, 9, 9, 9, 9, 9, 9, 9, 9, 9, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32]);
+    assert.equal(queue.getMetrics().droppedMs, 60);
+    assert.equal(queue.getQueueDepthMs('live'), 40);
+  });
+
+  it('keeps forwarding through barge-in on the peer\'s stream', () => {
+    const queue = attach('remote', remoteWs, 'MZ2');
+
+    queue.enqueueAudio(Buffer.alloc(10 * 160, 1), 'speech');
+    queue.enqueueMark('speech');
+    talk([20, 21]);
+    assert.equal(queue.getQueueDepthMs('live'), 40);
+
+    // As the converter does when the remote party starts talking
+    queue.clear(['speech', 'filler']);
+    talk([22, 23]);
+
+    assert.deepEqual(remoteWs.frames, [1, 1, 1, 1, 1, 1, 1, 20, 21, 22, 23]);
+  });
+
+  it('drops audio while the peer is not connected', () => {
+    callBridge.forwardAudio('CA1', 'caller', payload(7));
+
+    remoteWs.readyState = 3;
+    const queue = attach('remote', remoteWs, 'MZ2');
+    callBridge.forwardAudio('CA1', 'caller', payload(7));
+
+    assert.equal(queue.getQueueDepthMs(), 0);
+    assert.deepEqual(remoteWs.frames, []);
+  });
+
+  it('drops audio once the peer\'s playback queue is released', () => {
+    attach('remote', remoteWs, 'MZ2').close();
+    queues.delete('MZ2');
+
+    callBridge.forwardAudio('CA1', 'caller', payload(7));
+
+    assert.equal(queues.has('MZ2'), false);
+    assert.deepEqual(remoteWs.frames, []);
+  });
+});
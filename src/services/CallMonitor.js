@@ -0,0 +1,295 @@
+const { EventEmitter } = require('events');
+const StreamingAccentConverterV2 = require('./StreamingAccentConverterV2');
+const { createLogger } = require('../logging');
+
+const log = createLogger('CallMonitor');
+
+// A subscriber this far behind misses events rather than growing the buffer
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * CallMonitor - Live event feed of every call for supervisors (WS /monitor)
+ *
+ * Collects the events the STT and conversion services already emit, tags
+ * each with the call it belongs to and pushes it, as one JSON message, to
+ * every subscriber watching that call:
+ *
+ *   { type, callSid, track, at, ...fields }
+ *
+ * Types:
+ * - 'callStarted'     { streamSid, tenant, profile }
+ * - 'callEnded'
+ * - 'transcript'      { text, isFinal, speechFinal, confidence, words, latencyMs }
+ * - 'speechStarted', 'utteranceEnd'
+ * - 'textAdded'       { text } sent to synthesis
+ * - 'audioSent'       { chunkNumber, chunkSize, totalAudioSent, queueDepthMs, latencyMs }
+ * - 'segmentPlayed'   { segmentId, text, queuedToPlayedMs, mouthToEarMs } the listener heard it
+ * - 'bargeIn'         { reason, droppedMs, interrupted }
+ * - 'promptPlayed'    { name }
+ * - 'voiceChanged', 'speakingRateChanged'
+ * - 'reconnecting'    { attempt, maxAttempts, backoffMs, error }
+ * - 'error'           { source: 'stt' | 'tts', error: { message, code } }
+ * - 'sessionClosed'   { source: 'stt' | 'tts' | 'conversion', metrics }
+ *
+ * A subscriber watches one or more calls, or all calls, and changes that by
+ * sending { action: 'subscribe' | 'unsubscribe', callSid } (no callSid: all calls).
+ */
+class CallMonitor extends EventEmitter {
+  constructor() {
+    super();
+
+    if (CallMonitor.instance) {
+      return CallMonitor.instance;
+    }
+
+    this.subscribers = new Set(); // { ws, callSids: Set | null (all calls), dropped }
+    this.calls = new Map(); // callSid -> { callSid, streamSid, tenant, profile, startedAt }
+    this.streams = new Map(); // streamSid -> callSid, for stream-level events
+
+    CallMonitor.instance = this;
+  }
+
+  /**
+   * Start collecting the services' events
+   * @param {Object} services - { deepgramService, streamingAccentConverter }
+   */
+  watch({ deepgramService, streamingAccentConverter }) {
+    const session = (sessionId) => StreamingAccentConverterV2.parseSessionKey(sessionId);
+
+    deepgramService.on('transcription', ({ sessionId, track, transcript, isFinal, speechFinal, confidence, words }) => {
+      // How long after the last word was spoken the result arrived
+      const lastWord = words && words.length > 0 ? words[words.length - 1] : null;
+      const spokenAt = lastWord ? deepgramService.getWallTime(sessionId, lastWord.end) : null;
+
+      this.publish('transcript', {
+        ...session(sessionId),
+        track,
+        text: transcript,
+        isFinal,
+        speechFinal,
+        confidence,
+        words,
+        latencyMs: spokenAt !== null ? Date.now() - spokenAt : null
+      });
+    });
+    deepgramService.on('speechStarted', ({ sessionId, track, timestamp }) => {
+      this.publish('speechStarted', { ...session(sessionId), track, timestamp });
+    });
+    deepgramService.on('utteranceEnd', ({ sessionId, track, lastWordEnd }) => {
+      this.publish('utteranceEnd', { ...session(sessionId), track, lastWordEnd });
+    });
+    deepgramService.on('error', ({ sessionId, error }) => {
+      this.publish('error', { ...session(sessionId), source: 'stt', error: describeError(error) });
+    });
+    deepgramService.on('sessionClosed', ({ sessionId }) => {
+      this.publish('sessionClosed', { ...session(sessionId), source: 'stt' });
+    });
+
+    streamingAccentConverter.on('textAdded', ({ sessionId, text }) => {
+      this.publish('textAdded', { ...session(sessionId), text });
+    });
+    streamingAccentConverter.on('audioSent', ({ sessionId, chunkNumber, chunkSize, totalAudioSent, queueDepthMs, latency }) => {
+      this.publish('audioSent', {
+        ...session(sessionId),
+        chunkNumber,
+        chunkSize,
+        totalAudioSent,
+        queueDepthMs,
+        latencyMs: latency
+      });
+    });
+    streamingAccentConverter.on('segmentPlayed', ({ callSid, ...segment }) => {
+      this.publish('segmentPlayed', { ...session(callSid), ...segment });
+    });
+    streamingAccentConverter.on('bargeIn', ({ callSid, reason, droppedMs, interrupted }) => {
+      this.publish('bargeIn', { ...session(callSid), reason, droppedMs, interrupted });
+    });
+    streamingAccentConverter.on('promptPlayed', ({ streamSid, name }) => {
+      this.publish('promptPlayed', { callSid: this.streams.get(streamSid) || null, streamSid, name });
+    });
+    streamingAccentConverter.on('voiceChanged', ({ sessionId, voice }) => {
+      this.publish('voiceChanged', { ...session(sessionId), voice });
+    });
+    streamingAccentConverter.on('speakingRateChanged', ({ sessionId, speakingRate, wpm, backlogMs }) => {
+      this.publish('speakingRateChanged', { ...session(sessionId), speakingRate, wpm, backlogMs });
+    });
+    streamingAccentConverter.on('reconnecting', ({ sessionId, attempt, maxAttempts, backoffMs, error }) => {
+      this.publish('reconnecting', { ...session(sessionId), attempt, maxAttempts, backoffMs, error: describeError(error) });
+    });
+    streamingAccentConverter.on('error', ({ sessionId, error }) => {
+      // Playback queue errors are reported by stream SID
+      const target = this.streams.has(sessionId) ? { callSid: this.streams.get(sessionId) } : session(sessionId);
+      this.publish('error', { ...target, source: 'tts', error: describeError(error) });
+    });
+    streamingAccentConverter.on('sessionClosed', ({ callSid, sessionId, metrics }) => {
+      // The converter's own sessions report callSid; closed TTS sessions, passed on, report sessionId
+      this.publish('sessionClosed', { ...session(callSid || sessionId), source: callSid ? 'conversion' : 'tts', metrics });
+    });
+  }
+
+  /**
+   * Announce a call; its stream-level events are attributed to it from now on
+   * @param {string} callSid - Call SID
+   * @param {Object} details - { streamSid, tenant, profile }
+   */
+  callStarted(callSid, { streamSid = null, tenant = null, profile = null } = {}) {
+    const call = { callSid, streamSid, tenant, profile, startedAt: new Date().toISOString() };
+    this.calls.set(callSid, call);
+    if (streamSid) {
+      this.streams.set(streamSid, callSid);
+    }
+
+    this.publish('callStarted', call);
+  }
+
+  /**
+   * Announce that a call's stream has ended
+   * @param {string} callSid - Call SID
+   */
+  callEnded(callSid) {
+    const call = this.calls.get(callSid);
+    if (!call) return;
+
+    this.publish('callEnded', { callSid });
+    this.calls.delete(callSid);
+    this.streams.delete(call.streamSid);
+  }
+
+  /**
+   * Add a supervisor connection
+   * @param {Object} ws - Supervisor WebSocket
+   * @param {Object} options - { callSid } to watch one call (default all calls)
+   */
+  addSubscriber(ws, { callSid = null } = {}) {
+    const subscriber = { ws, callSids: callSid ? new Set([callSid]) : null, dropped: 0 };
+    this.subscribers.add(subscriber);
+    log.info('Subscriber connected', { callSid, subscribers: this.subscribers.size });
+
+    ws.on('message', (message) => this.handleSubscriberMessage(subscriber, message));
+    ws.on('close', () => {
+      this.subscribers.delete(subscriber);
+      log.info('Subscriber disconnected', { dropped: subscriber.dropped, subscribers: this.subscribers.size });
+    });
+    ws.on('error', (error) => {
+      log.debug('Subscriber WebSocket error', { error });
+    });
+
+    this.sendSubscription(subscriber);
+  }
+
+  /**
+   * Change what a subscriber watches
+   * @param {Object} subscriber - Subscriber
+   * @param {string} message - { action: 'subscribe' | 'unsubscribe', callSid }
+   */
+  handleSubscriberMessage(subscriber, message) {
+    let request;
+    try {
+      request = JSON.parse(message);
+    } catch (error) {
+      this.send(subscriber, { type: 'error', error: { message: 'Messages must be JSON' } });
+      return;
+    }
+
+    const { action, callSid } = request || {};
+    if (action === 'subscribe' && !callSid) {
+      subscriber.callSids = null;
+    } else if (action === 'subscribe') {
+      // Already watching all calls otherwise
+      if (subscriber.callSids) subscriber.callSids.add(callSid);
+    } else if (action === 'unsubscribe' && !callSid) {
+      subscriber.callSids = new Set();
+    } else if (action === 'unsubscribe') {
+      if (!subscriber.callSids) {
+        this.send(subscriber, { type: 'error', error: { message: 'Watching all calls: unsubscribe from all, then subscribe to single calls' } });
+        return;
+      }
+      subscriber.callSids.delete(callSid);
+    } else {
+      this.send(subscriber, { type: 'error', error: { message: `Unknown action "${action}", expected subscribe or unsubscribe` } });
+      return;
+    }
+
+    this.sendSubscription(subscriber);
+  }
+
+  /**
+   * Tell a subscriber what it watches, with the calls in progress
+   * @param {Object} subscriber - Subscriber
+   */
+  sendSubscription(subscriber) {
+    const watched = (call) => !subscriber.callSids || subscriber.callSids.has(call.callSid);
+
+    this.send(subscriber, {
+      type: 'subscribed',
+      callSids: subscriber.callSids ? [...subscriber.callSids] : null,
+      activeCalls: [...this.calls.values()].filter(watched)
+    });
+  }
+
+  /**
+   * Send an event to every subscriber watching its call
+   * @param {string} type - Event type
+   * @param {Object} fields - Event fields, including callSid
+   */
+  publish(type, fields) {
+    if (this.subscribers.size === 0) return;
+
+    const event = { type, ...fields, at: new Date().toISOString() };
+    for (const subscriber of this.subscribers) {
+      if (!subscriber.callSids || subscriber.callSids.has(event.callSid)) {
+        this.send(subscriber, event);
+      }
+    }
+  }
+
+  /**
+   * Write a message to a subscriber unless it has fallen too far behind
+   * @param {Object} subscriber - Subscriber
+   * @param {Object} message - Message
+   */
+  send(subscriber, message) {
+    const { ws } = subscriber;
+    if (ws.readyState !== ws.OPEN) return;
+
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+      subscriber.dropped++;
+      return;
+    }
+
+    try {
+      ws.send(JSON.stringify(message));
+    } catch (error) {
+      log.debug('Error sending to subscriber', { error });
+    }
+  }
+
+  /**
+   * Disconnect every subscriber, e.g. on shutdown
+   */
+  closeAll() {
+    for (const { ws } of this.subscribers) {
+      ws.close(1001, 'Server shutting down');
+    }
+  }
+
+  /**
+   * Get monitor state
+   * @returns {Object} - { subscribers, activeCalls }
+   */
+  getStatus() {
+    return { subscribers: this.subscribers.size, activeCalls: this.calls.size };
+  }
+}
+
+/**
+ * Reduce an error to the fields a subscriber can use
+ * @param {Error} error - Error
+ * @returns {Object|null} - { message, code }
+ */
+function describeError(error) {
+  if (!error) return null;
+  return { message: error.message, ...(error.code !== undefined && { code: error.code }) };
+}
+
+module.exports = CallMonitor;
@@ -1,6 +1,24 @@
-const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
 const { EventEmitter } = require('events');
+const { getSTTProvider } = require('./stt');
+const { STT_CONFIG } = require('../config/stt-config');
+const { resolveProfile, getSTTOptions } = require('../config/accent-profiles');
+const LexiconService = require('./LexiconService');
+const { metrics } = require('../metrics');
+const { createLogger } = require('../logging');
 
+const log = createLogger('DeepgramStreamingService');
+
+// Twilio sends 8 kHz mu-law: one byte per sample
+const MULAW_BYTES_PER_MS = 8;
+
+// Sends remembered for mapping recognizer times back to wall time
+const AUDIO_LOG_SIZE = 500;
+
+/**
+ * DeepgramStreamingService - Manages real-time transcription sessions
+ * The recognizer behind each session is pluggable (Deepgram by default,
+ * see src/services/stt) and can be chosen per deployment or per call.
+ */
 class DeepgramStreamingService extends EventEmitter {
   constructor() {
     super();
@@ -8,104 +26,163 @@ class DeepgramStreamingService extends EventEmitter {
     if (DeepgramStreamingService.instance) {
       return DeepgramStreamingService.instance;
     }
-
-    if (!process.env.DEEPGRAM_API_KEY) {
-      throw new Error('DEEPGRAM_API_KEY environment variable is required');
-    }
     
-    this.deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+    this.defaultProvider = STT_CONFIG.defaultProvider;
     this.activeStreams = new Map();
+    this.lexicons = new LexiconService();
+    
+    // Fail fast on misconfiguration of the deployment-wide provider
+    getSTTProvider(this.defaultProvider);
     
     DeepgramStreamingService.instance = this;
   }
 
   /**
    * Creates a new streaming session for real-time transcription
+   * The returned session emits its own 'transcription', 'interim', 'final',
+   * 'speechStarted', 'utteranceEnd', 'error' and 'close' events; listeners are
+   * removed when the session closes.
+   * Results carry speechFinal when endpointing ended them at a pause.
    * @param {string} sessionId - Unique identifier for the session
    * @param {Object} options - Configuration options
+   * @param {string} options.provider - STT provider name (defaults to STT_PROVIDER)
+   * @param {string} options.track - Media track transcribed by this session (default 'inbound')
+   * @param {string|Object} options.profile - Accent profile (id or profile) giving the language and model
+   * @param {Array<string>} options.lexicons - Extra lexicon ids whose terms are boosted (the profile's lexicon always is)
+   * @param {Object} options.endpointing - Overrides of STT_CONFIG.endpointing ({ endpointingMs, utteranceEndMs, vadEvents })
+   * @param {Object} options.logContext - Fields added to the session's log entries ({ callSid, streamSid, tenant })
    * @returns {Object} - Session control object
    */
   createStreamingSession(sessionId, options = {}) {
+    const sessionLog = log.child({ sessionId, ...options.logContext });
+
     try {
-      console.log(`🎯 DeepgramStreamingService: Creating session ${sessionId}`);
-
-      // Create live transcription connection
-      const deepgramLive = this.deepgram.listen.live({
-        model: 'nova-3',
-        language: 'en-IN',
-        smart_format: true,
-        interim_results: true,
-        encoding: 'mulaw',
-        sample_rate: 8000,
-        channels: 1,
-        ...options
+      const {
+        provider: providerName = this.defaultProvider,
+        track = 'inbound',
+        profile: profileOption,
+        lexicons = [],
+        endpointing = {},
+        logContext, // Session logger only, not a recognizer option
+        ...streamOptions
+      } = options;
+      const provider = getSTTProvider(providerName);
+      const profile = resolveProfile({ profile: profileOption });
+      const keyterms = this.lexicons.getKeyterms([profile.lexicon, ...lexicons].filter(Boolean));
+
+      sessionLog.info('Creating session', { track, provider: provider.name, profile: profile.id });
+
+      // Open the recognition stream; explicit options win over the profile
+      const stream = provider.createStream({
+        ...getSTTOptions(profile, provider.name),
+        ...(keyterms.length > 0 && { keyterms }),
+        endpointing: { ...STT_CONFIG.endpointing, ...endpointing },
+        ...streamOptions
       });
 
+      // Per-session emitter so each call only hears its own transcripts
+      const events = new EventEmitter();
+
       // Track words and timestamps for better deduplication
       const sessionData = {
         sessionId,
-        stream: deepgramLive,
+        track,
+        provider: provider.name,
+        profile: profile.id,
+        stream,
+        events,
+        log: sessionLog,
         startTime: Date.now(),
         lastActivityTime: Date.now(),
         processedWords: new Map(), // Track words by their start time
+        audioSentMs: 0, // Audio the recognizer has been sent, i.e. its clock
+        audioLog: [], // { endMs, at } per send, oldest first
         lastTranscript: '',
         isActive: true
       };
 
       // Handle transcription results
-      deepgramLive.on(LiveTranscriptionEvents.Transcript, (data) => {
-        const { is_final, channel } = data;
-
-        if (channel?.alternatives?.[0]) {
-          const transcript = channel.alternatives[0].transcript;
-          const words = channel.alternatives[0].words || [];
-          
-          if (!transcript || transcript.trim() === '') return;
-
-          // Process words with timestamps for better tracking
-          if (words && Array.isArray(words)) {
-            this.processNewWords(sessionData, words, is_final);
-          }
+      stream.on('transcript', ({ transcript, isFinal, speechFinal = false, words, confidence }) => {
+        if (!transcript || transcript.trim() === '') return;
 
-          // Emit transcription event
-          this.emit('transcription', {
-            sessionId,
-            transcript,
-            isFinal: is_final,
-            words,
-            confidence: channel.alternatives[0].confidence
-          });
+        // Process words with timestamps for better tracking
+        if (words && Array.isArray(words)) {
+          this.processNewWords(sessionData, words, isFinal);
         }
+
+        // How long after its last word's audio arrived the transcript came back
+        if (isFinal && words && words.length > 0) {
+          const receivedAt = this.getWallTime(sessionId, words[words.length - 1].end);
+          if (receivedAt !== null) {
+            metrics.transcriptLatency.observe({ provider: provider.name }, (Date.now() - receivedAt) / 1000);
+          }
+        }
+
+        const result = {
+          sessionId,
+          track,
+          transcript,
+          isFinal,
+          speechFinal,
+          words,
+          confidence
+        };
+
+        // Emit on the session first, then service-wide for monitoring
+        events.emit('transcription', result);
+        events.emit(isFinal ? 'final' : 'interim', result);
+        this.emit('transcription', result);
+      });
+
+      // Speech boundaries reported by the recognizer
+      stream.on('speechStarted', ({ timestamp }) => {
+        sessionData.lastActivityTime = Date.now();
+        const event = { sessionId, track, timestamp };
+        events.emit('speechStarted', event);
+        this.emit('speechStarted', event);
+      });
+
+      stream.on('utteranceEnd', ({ lastWordEnd }) => {
+        const event = { sessionId, track, lastWordEnd };
+        events.emit('utteranceEnd', event);
+        this.emit('utteranceEnd', event);
       });
 
       // Handle connection open
-      deepgramLive.on(LiveTranscriptionEvents.Open, () => {
-        console.log(`🔗 DeepgramStreamingService: Session ${sessionId} opened`);
+      stream.on('open', () => {
+        sessionLog.info('Session opened');
       });
 
       // Handle connection close
-      deepgramLive.on(LiveTranscriptionEvents.Close, () => {
-        console.log(`🔚 DeepgramStreamingService: Session ${sessionId} closed`);
+      stream.on('close', () => {
+        sessionLog.info('Session closed by provider');
         this.closeSession(sessionId);
       });
 
       // Handle errors
-      deepgramLive.on(LiveTranscriptionEvents.Error, (error) => {
-        console.error(`❌ DeepgramStreamingService: Error in session ${sessionId}:`, error);
-        this.emit('error', { sessionId, error });
+      stream.on('error', (error) => {
+        sessionLog.error('Session error', { error });
+        this.emitSessionError(sessionData, error);
       });
 
       this.activeStreams.set(sessionId, sessionData);
 
       return {
         sessionId,
-        stream: deepgramLive,
+        track,
+        provider: provider.name,
+        profile: profile.id,
+        stream,
         send: (audioData) => this.sendAudio(sessionId, audioData),
         close: () => this.closeSession(sessionId),
-        isActive: () => this.isSessionActive(sessionId)
+        isActive: () => this.isSessionActive(sessionId),
+        getWallTime: (seconds) => this.getWallTime(sessionId, seconds),
+        on: (event, listener) => events.on(event, listener),
+        once: (event, listener) => events.once(event, listener),
+        off: (event, listener) => events.off(event, listener)
       };
     } catch (error) {
-      console.error(`❌ DeepgramStreamingService: Error creating session ${sessionId}:`, error);
+      sessionLog.error('Error creating session', { error });
       throw error;
     }
   }
@@ -147,6 +224,19 @@ class DeepgramStreamingService extends EventEmitter {
     }
   }
 
+  /**
+   * Emit an error on the session and on the service
+   * @param {Object} sessionData - Session data
+   * @param {Error} error - The error that occurred
+   */
+  emitSessionError(sessionData, error) {
+    // Session 'error' without listeners would throw, so only emit when subscribed
+    if (sessionData.events.listenerCount('error') > 0) {
+      sessionData.events.emit('error', { sessionId: sessionData.sessionId, error });
+    }
+    this.emit('error', { sessionId: sessionData.sessionId, error });
+  }
+
   /**
    * Send audio data to the streaming session
    * @param {string} sessionId - Session identifier
@@ -156,21 +246,43 @@ class DeepgramStreamingService extends EventEmitter {
     const sessionData = this.activeStreams.get(sessionId);
     
     if (!sessionData || !sessionData.isActive) {
-      console.warn(`⚠️ DeepgramStreamingService: Attempted to send audio to inactive session ${sessionId}`);
+      log.warn('Attempted to send audio to inactive session', { sessionId });
       return;
     }
 
     try {
       sessionData.stream.send(audioData);
       sessionData.lastActivityTime = Date.now();
+
+      sessionData.audioSentMs += audioData.length / MULAW_BYTES_PER_MS;
+      sessionData.audioLog.push({ endMs: sessionData.audioSentMs, at: sessionData.lastActivityTime });
+      if (sessionData.audioLog.length > AUDIO_LOG_SIZE) {
+        sessionData.audioLog.shift();
+      }
     } catch (error) {
-      console.error(`❌ DeepgramStreamingService: Error sending audio for session ${sessionId}:`, error);
-      this.emit('error', { sessionId, error });
+      sessionData.log.error('Error sending audio', { error });
+      this.emitSessionError(sessionData, error);
     }
   }
 
   /**
-   * Close a streaming session
+   * Get when the audio at a recognizer timestamp was sent
+   * Word times count only the audio the recognizer received, which with VAD
+   * gating is less than the call's audio, so they are mapped through the sends.
+   * @param {string} sessionId - Session identifier
+   * @param {number} seconds - Recognizer timestamp (e.g. a word's end)
+   * @returns {number|null} - Wall time in ms, or null if no longer known
+   */
+  getWallTime(sessionId, seconds) {
+    const sessionData = this.activeStreams.get(sessionId);
+    if (!sessionData || typeof seconds !== 'number') return null;
+
+    const entry = sessionData.audioLog.find(({ endMs }) => endMs >= seconds * 1000);
+    return entry ? entry.at : null;
+  }
+
+  /**
+   * Close a streaming session and detach all of its listeners
    * @param {string} sessionId - Session identifier
    */
   closeSession(sessionId) {
@@ -180,13 +292,16 @@ class DeepgramStreamingService extends EventEmitter {
 
     try {
       sessionData.isActive = false;
-      sessionData.stream.finish();
       this.activeStreams.delete(sessionId);
+      sessionData.stream.finish();
       
-      console.log(`👋 DeepgramStreamingService: Closed session ${sessionId}`);
+      sessionData.log.info('Closed session');
+      sessionData.events.emit('close', { sessionId });
       this.emit('sessionClosed', { sessionId });
     } catch (error) {
-      console.error(`❌ DeepgramStreamingService: Error closing session ${sessionId}:`, error);
+      sessionData.log.error('Error closing session', { error });
+    } finally {
+      sessionData.events.removeAllListeners();
     }
   }
 
@@ -200,6 +315,17 @@ class DeepgramStreamingService extends EventEmitter {
     return sessionData?.isActive || false;
   }
 
+  /**
+   * Close all active sessions
+   */
+  closeAllSessions() {
+    log.info('Closing all sessions', { count: this.activeStreams.size });
+
+    for (const sessionId of this.activeStreams.keys()) {
+      this.closeSession(sessionId);
+    }
+  }
+
   /**
    * Clean up inactive sessions
    */
@@ -208,7 +334,7 @@ class DeepgramStreamingService extends EventEmitter {
     
     for (const [sessionId, sessionData] of this.activeStreams.entries()) {
       if (now - sessionData.lastActivityTime > 5 * 60 * 1000) { // 5 minutes
-        console.log(`🧹 DeepgramStreamingService: Cleaning up inactive session ${sessionId}`);
+        sessionData.log.info('Cleaning up inactive session');
         this.closeSession(sessionId);
       }
     }
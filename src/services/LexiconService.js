@@ -0,0 +1,368 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logging');
+
+const log = createLogger('LexiconService');
+
+// Lexicon ids double as file names
+const LEXICON_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * LexiconService - Pronunciation lexicons and recognition vocabulary
+ *
+ * A lexicon is a JSON file in LEXICON_DIR (default config/lexicons) named
+ * after its id, holding entries such as:
+ *
+ *   { "term": "Chaudhary", "phoneme": "tʃɔːd̪ʰəɾiː", "alphabet": "ipa" }
+ *   { "term": "Flipkart", "alias": "Flip cart" }
+ *   { "term": "PAN", "alias": "P A N", "caseSensitive": true }
+ *
+ * Terms match whole words in any case, or only as written with caseSensitive
+ * (so an acronym does not rewrite the ordinary word spelled the same).
+ *
+ * - STT: every entry with keyterm !== false is boosted in recognition
+ * - TTS: terms are rewritten to SSML <phoneme>/<sub> tags, or to their alias
+ *   in plain text where the synthesizer cannot take SSML
+ *
+ * Edits are written back to disk and apply to the next text synthesized;
+ * recognition vocabulary applies to STT sessions created afterwards.
+ */
+class LexiconService extends EventEmitter {
+  /**
+   * @param {string} directory - Directory holding lexicon files
+   */
+  constructor(directory = process.env.LEXICON_DIR || path.join(__dirname, '../../config/lexicons')) {
+    super();
+
+    if (LexiconService.instance) {
+      return LexiconService.instance;
+    }
+
+    this.directory = directory;
+    this.lexicons = new Map();
+    this.loadAll();
+
+    LexiconService.instance = this;
+  }
+
+  /**
+   * Load every lexicon file in the directory
+   */
+  loadAll() {
+    this.lexicons.clear();
+
+    if (!fs.existsSync(this.directory)) {
+      log.warn('Lexicon directory not found', { directory: this.directory });
+      return;
+    }
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (path.extname(file) !== '.json') continue;
+
+      const id = path.basename(file, '.json');
+      try {
+        const { entries = [] } = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.lexicons.set(id, entries.map((entry) => LexiconService.validateEntry(entry)));
+      } catch (error) {
+        log.error('Failed to load lexicon', { file, error });
+      }
+    }
+
+    log.info('Loaded lexicons', { count: this.lexicons.size, directory: this.directory });
+  }
+
+  /**
+   * List lexicons
+   * @returns {Array} - [{ id, entryCount }]
+   */
+  listLexicons() {
+    return [...this.lexicons.entries()].map(([id, entries]) => ({ id, entryCount: entries.length }));
+  }
+
+  /**
+   * Get a lexicon's entries
+   * @param {string} id - Lexicon id
+   * @returns {Array|null} - Entries or null if unknown
+   */
+  getLexicon(id) {
+    const entries = this.lexicons.get(id);
+    return entries ? entries.map((entry) => ({ ...entry })) : null;
+  }
+
+  /**
+   * Replace all entries of a lexicon, creating it if needed
+   * @param {string} id - Lexicon id
+   * @param {Array} entries - New entries
+   * @returns {Array} - Stored entries
+   */
+  replaceLexicon(id, entries) {
+    LexiconService.validateId(id);
+    if (!Array.isArray(entries)) {
+      throw new Error('entries must be an array');
+    }
+
+    const validated = entries.map((entry) => LexiconService.validateEntry(entry));
+    this.save(id, validated);
+    return this.getLexicon(id);
+  }
+
+  /**
+   * Add or replace one entry, matched by term (case-insensitive)
+   * @param {string} id - Lexicon id
+   * @param {Object} entry - Entry
+   * @returns {Object} - Stored entry
+   */
+  upsertEntry(id, entry) {
+    LexiconService.validateId(id);
+
+    const validated = LexiconService.validateEntry(entry);
+    const entries = (this.lexicons.get(id) || [])
+      .filter((existing) => existing.term.toLowerCase() !== validated.term.toLowerCase());
+
+    this.save(id, [...entries, validated]);
+    return { ...validated };
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} id - Lexicon id
+   * @param {string} term - Term to remove
+   * @returns {boolean} - Whether an entry was removed
+   */
+  removeEntry(id, term) {
+    const entries = this.lexicons.get(id);
+    if (!entries) return false;
+
+    const remaining = entries.filter((entry) => entry.term.toLowerCase() !== term.toLowerCase());
+    if (remaining.length === entries.length) return false;
+
+    this.save(id, remaining);
+    return true;
+  }
+
+  /**
+   * Delete a lexicon and its file
+   * @param {string} id - Lexicon id
+   * @returns {boolean} - Whether the lexicon existed
+   */
+  deleteLexicon(id) {
+    if (!this.lexicons.has(id)) return false;
+
+    fs.rmSync(this.getFilePath(id), { force: true });
+    this.lexicons.delete(id);
+    this.emit('lexiconUpdated', { id, entryCount: 0 });
+    return true;
+  }
+
+  /**
+   * Get the terms to boost in recognition
+   * @param {Array<string>} ids - Lexicon ids, unknown ids are ignored
+   * @returns {Array<string>} - Unique terms
+   */
+  getKeyterms(ids = []) {
+    const terms = new Set();
+
+    for (const entry of this.getEntries(ids)) {
+      if (entry.keyterm !== false) {
+        terms.add(entry.term);
+      }
+    }
+    return [...terms];
+  }
+
+  /**
+   * Rewrite text with lexicon pronunciations
+   * @param {string} text - Text to synthesize
+   * @param {Array<string>} ids - Lexicon ids, unknown ids are ignored
+   * @param {Object} options - { ssml: whether the synthesizer accepts SSML }
+   * @returns {Object} - { text } or { ssml } (a full <speak> document)
+   */
+  render(text, ids = [], { ssml = false } = {}) {
+    if (!ssml) {
+      return { text: this.renderText(text, ids) };
+    }
+
+    const { fragment, matched } = this.renderFragment(text, ids);
+    return matched ? { ssml: `<speak>${fragment}</speak>` } : { text };
+  }
+
+  /**
+   * Replace lexicon terms by their aliases
+   * Plain text can only carry aliases; phoneme-only terms are left as-is.
+   * @param {string} text - Text to synthesize
+   * @param {Array<string>} ids - Lexicon ids
+   * @returns {string} - Rewritten text
+   */
+  renderText(text, ids = []) {
+    const matcher = this.getMatcher(ids);
+    if (!matcher) return text;
+
+    return text.replace(matcher.pattern, (match) => {
+      const entry = matcher.find(match);
+      return (entry && entry.alias) || match;
+    });
+  }
+
+  /**
+   * Render text as an escaped SSML fragment with lexicon tags
+   * @param {string} text - Text to synthesize
+   * @param {Array<string>} ids - Lexicon ids
+   * @returns {Object} - { fragment, matched: whether any term was tagged }
+   */
+  renderFragment(text, ids = []) {
+    const matcher = this.getMatcher(ids);
+    if (!matcher) {
+      return { fragment: escapeXml(text), matched: false };
+    }
+
+    let fragment = '';
+    let lastIndex = 0;
+    let matched = false;
+
+    for (const match of text.matchAll(matcher.pattern)) {
+      const entry = matcher.find(match[0]);
+      if (!entry) continue;
+
+      fragment += escapeXml(text.slice(lastIndex, match.index)) + LexiconService.toSsml(match[0], entry);
+      lastIndex = match.index + match[0].length;
+      matched = true;
+    }
+
+    return { fragment: fragment + escapeXml(text.slice(lastIndex)), matched };
+  }
+
+  /**
+   * Build the term matcher for a set of lexicons
+   * @param {Array<string>} ids - Lexicon ids
+   * @returns {Object|null} - { pattern, find } or null if no entry changes pronunciation;
+   *   find(match) returns the entry of a matched term, or null where its case rules it out
+   */
+  getMatcher(ids) {
+    const entries = this.getEntries(ids).filter((entry) => entry.alias || entry.phoneme);
+    if (entries.length === 0) return null;
+
+    // Longest terms first so multi-word terms win over their parts; letters
+    // and digits of any script count as part of a word
+    const byTerm = new Map(entries.map((entry) => [entry.term.toLowerCase(), entry]));
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])(${[...byTerm.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+      'giu'
+    );
+    const find = (match) => {
+      const entry = byTerm.get(match.toLowerCase());
+      return entry && (!entry.caseSensitive || entry.term === match) ? entry : null;
+    };
+    return { pattern, find };
+  }
+
+  /**
+   * Get the entries of several lexicons; later lexicons override earlier ones
+   * @param {Array<string>} ids - Lexicon ids
+   * @returns {Array} - Entries
+   */
+  getEntries(ids) {
+    const byTerm = new Map();
+
+    for (const id of ids) {
+      for (const entry of this.lexicons.get(id) || []) {
+        byTerm.set(entry.term.toLowerCase(), entry);
+      }
+    }
+    return [...byTerm.values()];
+  }
+
+  /**
+   * Persist a lexicon to memory and disk
+   * @param {string} id - Lexicon id
+   * @param {Array} entries - Validated entries
+   */
+  save(id, entries) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.getFilePath(id), `${JSON.stringify({ entries }, null, 2)}\n`);
+
+    this.lexicons.set(id, entries);
+    log.info('Saved lexicon', { id, entryCount: entries.length });
+    this.emit('lexiconUpdated', { id, entryCount: entries.length });
+  }
+
+  /**
+   * Get the file a lexicon is stored in
+   * @param {string} id - Lexicon id
+   * @returns {string} - File path
+   */
+  getFilePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Render one lexicon term as SSML
+   * @param {string} term - Term as it appears in the text
+   * @param {Object} entry - Lexicon entry
+   * @returns {string} - SSML fragment
+   */
+  static toSsml(term, entry) {
+    if (entry.phoneme) {
+      return `<phoneme alphabet="${escapeXml(entry.alphabet)}" ph="${escapeXml(entry.phoneme)}">${escapeXml(term)}</phoneme>`;
+    }
+    return `<sub alias="${escapeXml(entry.alias)}">${escapeXml(term)}</sub>`;
+  }
+
+  /**
+   * Ensure a lexicon id is safe to use as a file name
+   * @param {string} id - Lexicon id
+   */
+  static validateId(id) {
+    if (!LEXICON_ID_PATTERN.test(id || '')) {
+      throw new Error(`Invalid lexicon id "${id}"`);
+    }
+  }
+
+  /**
+   * Validate and normalize a lexicon entry
+   * @param {Object} entry - { term, alias, phoneme, alphabet, keyterm, caseSensitive }
+   * @returns {Object} - Normalized entry
+   */
+  static validateEntry(entry) {
+    if (!entry || typeof entry.term !== 'string' || !entry.term.trim()) {
+      throw new Error('Lexicon entry requires a term');
+    }
+
+    const { term, alias, phoneme, alphabet = 'ipa', keyterm = true, caseSensitive = false } = entry;
+    if (alphabet !== 'ipa' && alphabet !== 'x-sampa') {
+      throw new Error(`Unsupported phoneme alphabet "${alphabet}"`);
+    }
+
+    return {
+      term: term.trim(),
+      ...(alias && { alias: String(alias) }),
+      ...(phoneme && { phoneme: String(phoneme), alphabet }),
+      keyterm: keyterm !== false,
+      ...(caseSensitive === true && { caseSensitive: true })
+    };
+  }
+}
+
+/**
+ * Escape a literal string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape text for use in SSML
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = LexiconService;
@@ -0,0 +1,62 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LexiconService = require('./LexiconService');
+
+describe('LexiconService term matching', () => {
+  let directory;
+  let lexicons;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicons-'));
+    lexicons = new LexiconService(directory);
+    lexicons.replaceLexicon('test', [
+      { term: 'Flipkart', alias: 'Flip cart' },
+      { term: 'PAN', alias: 'P A N', caseSensitive: true },
+      { term: 'Éamon', phoneme: 'ˈeːmən' },
+      { term: 'Zoë', alias: 'Zoey' },
+      { term: 'Thiruvananthapuram', alias: 'Thiru vanantha puram' }
+    ]);
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('matches terms in any case by default', () => {
+    assert.equal(lexicons.renderText('I ordered on flipkart and FLIPKART', ['test']), 'I ordered on Flip cart and Flip cart');
+  });
+
+  it('matches a case-sensitive term only as written', () => {
+    assert.equal(lexicons.renderText('Your PAN is on the pan, not the Pan', ['test']), 'Your P A N is on the pan, not the Pan');
+    assert.deepEqual(lexicons.render('heat the pan', ['test'], { ssml: true }), { text: 'heat the pan' });
+    assert.deepEqual(
+      lexicons.render('a pan & a PAN', ['test'], { ssml: true }),
+      { ssml: '<speak>a pan &amp; a <sub alias="P A N">PAN</sub></speak>' }
+    );
+  });
+
+  it('matches terms that start or end with a non-ASCII letter', () => {
+    assert.equal(lexicons.renderText('Call Zoë, then zoë again.', ['test']), 'Call Zoey, then Zoey again.');
+    assert.deepEqual(
+      lexicons.render('Éamon called', ['test'], { ssml: true }),
+      { ssml: '<speak><phoneme alphabet="ipa" ph="ˈeːmən">Éamon</phoneme> called</speak>' }
+    );
+  });
+
+  it('matches whole words only, in any script', () => {
+    assert.equal(lexicons.renderText('Zoëlle and Éamonn and PANs', ['test']), 'Zoëlle and Éamonn and PANs');
+    assert.equal(lexicons.renderText('Flipkart2 vs Flipkart', ['test']), 'Flipkart2 vs Flip cart');
+  });
+
+  it('keeps caseSensitive only when set', () => {
+    assert.deepEqual(LexiconService.validateEntry({ term: 'PAN', alias: 'P A N', caseSensitive: true }),
+      { term: 'PAN', alias: 'P A N', keyterm: true, caseSensitive: true });
+    assert.deepEqual(LexiconService.validateEntry({ term: 'Flipkart', alias: 'Flip cart', caseSensitive: 'yes' }),
+      { term: 'Flipkart', alias: 'Flip cart', keyterm: true });
+  });
+});
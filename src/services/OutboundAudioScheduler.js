@@ -0,0 +1,387 @@
+const { EventEmitter } = require('events');
+const { samplesPerFrame } = require('../audio');
+const { CALL_CONFIG } = require('../config/call-config');
+const { metrics } = require('../metrics');
+
+// Twilio plays 8 kHz mu-law: one byte per sample
+const MULAW_BYTES_PER_MS = 8;
+
+// Playback priorities, highest first
+const PRIORITIES = ['prompt', 'speech', 'live', 'filler'];
+
+// Priorities without units: anything above them cuts in at any frame
+const YIELDING = ['live', 'filler'];
+
+/**
+ * OutboundAudioScheduler - Paced, prioritized playback queue for one Twilio stream
+ *
+ * Audio is sliced into 20 ms (160 byte) mu-law frames and sent no faster than
+ * Twilio plays it, keeping only leadMs buffered on Twilio's side. Everything
+ * else waits here, where it can still be dropped frame-accurately (clear) and
+ * where the queue depth is known exactly.
+ *
+ * Audio is queued at one of four priorities:
+ * - 'prompt'  system prompts (hold messages, consent notices, apologies)
+ * - 'speech'  converted speech
+ * - 'live'    audio forwarded as it arrives, e.g. from the other party of a bridge
+ * - 'filler'  comfort noise and fillers, only played when nothing else is queued
+ *
+ * A prompt or speech unit - the audio up to its next mark - plays to the end
+ * before another priority takes over, so prompts never cut into a segment of
+ * converted speech; while the rest of a unit is still being synthesized, the
+ * queue waits for it. Live audio and filler yield at any frame. Live audio is
+ * played at most liveMaxDelayMs late: frames that waited longer, behind other
+ * audio or while paused, are dropped rather than adding delay for good. Marks are queued in line with
+ * the audio, so they are sent right after the audio they follow.
+ *
+ * Events:
+ * - 'drained'  nothing is left to send
+ * - 'error'    Error (only emitted when subscribed)
+ */
+class OutboundAudioScheduler extends EventEmitter {
+  /**
+   * @param {Object} ws - Twilio media stream WebSocket
+   * @param {string} streamSid - Stream SID
+   * @param {Object} options - { frameMs, leadMs, liveMaxDelayMs } (defaults to CALL_CONFIG.outbound)
+   */
+  constructor(ws, streamSid, options = {}) {
+    super();
+
+    this.ws = ws;
+    this.streamSid = streamSid;
+    this.options = { ...CALL_CONFIG.outbound, ...options };
+    this.frameBytes = samplesPerFrame(8000, this.options.frameMs);
+
+    // Per priority: queued items ({ type: 'audio', frame, queuedAt } | { type: 'mark', name }),
+    // queued audio bytes and the partial frame waiting for more audio
+    this.lanes = {};
+    for (const priority of PRIORITIES) {
+      this.lanes[priority] = { items: [], queuedBytes: 0, remainder: null };
+    }
+
+    this.current = null; // Priority whose unit is being played
+    this.playbackEndsAt = null; // Estimated time Twilio finishes the audio sent so far
+    this.timer = null;
+    this.paused = false;
+    this.closed = false;
+    this.counts = { framesSent: 0, bytesSent: 0, marksSent: 0, droppedMs: 0 };
+  }
+
+  /**
+   * Queue audio for playback
+   * @param {Buffer} audio - 8 kHz mu-law audio of any length
+   * @param {string} priority - 'prompt', 'speech' (default), 'live' or 'filler'
+   */
+  enqueueAudio(audio, priority = 'speech') {
+    const lane = this.getLane(priority);
+    if (this.closed || audio.length === 0) return;
+
+    const data = lane.remainder ? Buffer.concat([lane.remainder, audio]) : audio;
+    let offset = 0;
+
+    for (; offset + this.frameBytes <= data.length; offset += this.frameBytes) {
+      this.pushFrame(lane, data.subarray(offset, offset + this.frameBytes));
+    }
+
+    lane.remainder = offset < data.length ? Buffer.from(data.subarray(offset)) : null;
+    this.dropStaleLive();
+    this.schedule();
+  }
+
+  /**
+   * Queue a mark after the audio queued so far at the same priority
+   * The mark also ends the unit, letting another priority play.
+   * @param {string} name - Mark name
+   * @param {string} priority - 'prompt', 'speech' (default), 'live' or 'filler'
+   */
+  enqueueMark(name, priority = 'speech') {
+    const lane = this.getLane(priority);
+    if (this.closed) return;
+
+    this.flushRemainder(lane);
+    lane.items.push({ type: 'mark', name });
+    this.schedule();
+  }
+
+  /**
+   * End the unit being queued at a priority without a mark
+   * For a source that stops before marking its last audio, e.g. a closed session.
+   * @param {string} priority - 'prompt', 'speech' (default), 'live' or 'filler'
+   */
+  endUnit(priority = 'speech') {
+    const lane = this.getLane(priority);
+    if (this.closed) return;
+
+    this.flushRemainder(lane);
+    lane.items.push({ type: 'end' });
+    this.schedule();
+  }
+
+  /**
+   * Drop queued audio and marks
+   * Audio already sent stays buffered at Twilio; see clear().
+   * @param {Array<string>} priorities - Priorities to drop (default all)
+   * @returns {number} - Milliseconds of audio dropped
+   */
+  flush(priorities = PRIORITIES) {
+    let droppedMs = 0;
+
+    for (const priority of priorities) {
+      const lane = this.getLane(priority);
+      droppedMs += this.getQueueDepthMs(priority);
+      lane.items = [];
+      lane.queuedBytes = 0;
+      lane.remainder = null;
+
+      if (this.current === priority) {
+        this.current = null;
+      }
+    }
+
+    this.counts.droppedMs += droppedMs;
+    return droppedMs;
+  }
+
+  /**
+   * Drop queued audio along with Twilio's buffer
+   * The caller sends Twilio's clear event; from then on nothing is buffered there.
+   * @param {Array<string>} priorities - Priorities to drop (default all)
+   * @returns {number} - Milliseconds of queued audio dropped
+   */
+  clear(priorities = PRIORITIES) {
+    const droppedMs = this.flush(priorities);
+    this.playbackEndsAt = null;
+    return droppedMs;
+  }
+
+  /**
+   * Stop sending; queued audio is kept
+   * Twilio plays out what it has buffered (at most leadMs).
+   */
+  pause() {
+    this.paused = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Continue sending after pause()
+   */
+  resume() {
+    if (!this.paused) return;
+
+    this.paused = false;
+    this.schedule();
+  }
+
+  /**
+   * Stop sending for good; queued audio is dropped
+   */
+  close() {
+    this.pause();
+    this.flush();
+    this.closed = true;
+  }
+
+  /**
+   * Audio queued here and not yet sent to Twilio
+   * @param {string} priority - Only count this priority (default all)
+   * @returns {number} - Queue depth in milliseconds
+   */
+  getQueueDepthMs(priority) {
+    const lanes = priority ? [this.getLane(priority)] : Object.values(this.lanes);
+    const bytes = lanes.reduce((sum, lane) => sum + lane.queuedBytes + (lane.remainder ? lane.remainder.length : 0), 0);
+    return Math.round(bytes / MULAW_BYTES_PER_MS);
+  }
+
+  /**
+   * Audio sent to Twilio and not yet played, assuming real-time playback
+   * @returns {number} - Milliseconds buffered at Twilio
+   */
+  getBufferedMs() {
+    return this.playbackEndsAt === null ? 0 : Math.max(0, Math.round(this.playbackEndsAt - Date.now()));
+  }
+
+  /**
+   * Get scheduler metrics
+   * @returns {Object} - { queuedMs, queuedByPriority, bufferedMs, paused, framesSent, bytesSent, marksSent, droppedMs }
+   */
+  getMetrics() {
+    const queuedByPriority = {};
+    for (const priority of PRIORITIES) {
+      queuedByPriority[priority] = this.getQueueDepthMs(priority);
+    }
+
+    return {
+      queuedMs: this.getQueueDepthMs(),
+      queuedByPriority,
+      bufferedMs: this.getBufferedMs(),
+      paused: this.paused,
+      ...this.counts
+    };
+  }
+
+  /**
+   * Get the lane of a priority
+   * @param {string} priority - Priority name
+   * @returns {Object} - Lane
+   */
+  getLane(priority) {
+    const lane = this.lanes[priority];
+    if (!lane) {
+      throw new Error(`Unknown playback priority "${priority}", expected one of ${PRIORITIES.join(', ')}`);
+    }
+    return lane;
+  }
+
+  /**
+   * Add one frame to a lane
+   * @param {Object} lane - Lane
+   * @param {Buffer} frame - Frame bytes
+   */
+  pushFrame(lane, frame) {
+    lane.items.push({ type: 'audio', frame, queuedAt: Date.now() });
+    lane.queuedBytes += frame.length;
+  }
+
+  /**
+   * Drop live frames that waited too long to be played on time
+   */
+  dropStaleLive() {
+    const lane = this.lanes.live;
+    const oldest = Date.now() - this.options.liveMaxDelayMs;
+    let droppedBytes = 0;
+
+    while (lane.items.length > 0 && lane.items[0].type === 'audio' && lane.items[0].queuedAt < oldest) {
+      droppedBytes += lane.items.shift().frame.length;
+    }
+
+    lane.queuedBytes -= droppedBytes;
+    this.counts.droppedMs += Math.round(droppedBytes / MULAW_BYTES_PER_MS);
+  }
+
+  /**
+   * Queue a lane's partial frame as a short final frame
+   * @param {Object} lane - Lane
+   */
+  flushRemainder(lane) {
+    if (!lane.remainder) return;
+
+    this.pushFrame(lane, lane.remainder);
+    lane.remainder = null;
+  }
+
+  /**
+   * Start the send loop unless it is already running
+   */
+  schedule() {
+    if (!this.timer && !this.paused && !this.closed) {
+      this.tick();
+    }
+  }
+
+  /**
+   * Send whatever fits in the lead buffer, then wait one frame
+   */
+  tick() {
+    this.timer = null;
+    if (this.paused || this.closed) return;
+
+    // Nothing else is coming soon enough: play partial frames rather than a gap
+    if (!this.hasItems() && this.getBufferedMs() < this.options.frameMs) {
+      Object.values(this.lanes).forEach((lane) => this.flushRemainder(lane));
+    }
+
+    try {
+      while (this.getBufferedMs() < this.options.leadMs) {
+        const item = this.nextItem();
+        if (!item) break;
+        this.sendItem(item);
+      }
+    } catch (error) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    }
+
+    if (this.hasItems() || Object.values(this.lanes).some((lane) => lane.remainder)) {
+      this.timer = setTimeout(() => this.tick(), this.options.frameMs);
+    } else {
+      this.emit('drained');
+    }
+  }
+
+  /**
+   * Whether any lane has items queued
+   * @returns {boolean} - True if something is queued
+   */
+  hasItems() {
+    return Object.values(this.lanes).some((lane) => lane.items.length > 0);
+  }
+
+  /**
+   * Take the next item to send
+   * The unit being played continues until its mark, waiting for more of its
+   * audio rather than letting another priority in; otherwise the highest
+   * priority with queued items goes next.
+   * @returns {Object|null} - Item or null if nothing can be sent yet
+   */
+  nextItem() {
+    this.dropStaleLive();
+
+    for (;;) {
+      let priority = YIELDING.includes(this.current) ? null : this.current;
+      if (priority && this.lanes[priority].items.length === 0) {
+        return null;
+      }
+      if (!priority) {
+        priority = PRIORITIES.find((name) => this.lanes[name].items.length > 0);
+      }
+      if (!priority) {
+        this.current = null;
+        return null;
+      }
+
+      const item = this.lanes[priority].items.shift();
+      this.current = item.type === 'audio' ? priority : null;
+      if (item.type !== 'end') {
+        return { ...item, priority };
+      }
+    }
+  }
+
+  /**
+   * Send one queued item to Twilio
+   * @param {Object} item - Queued frame or mark
+   */
+  sendItem(item) {
+    if (item.type === 'mark') {
+      this.send({ event: 'mark', streamSid: this.streamSid, mark: { name: item.name } });
+      this.counts.marksSent++;
+      return;
+    }
+
+    const now = Date.now();
+    this.lanes[item.priority].queuedBytes -= item.frame.length;
+    this.send({ event: 'media', streamSid: this.streamSid, media: { payload: item.frame.toString('base64') } });
+
+    // Audio queues at Twilio behind whatever has not been played yet
+    this.playbackEndsAt = Math.max(now, this.playbackEndsAt || now) + item.frame.length / MULAW_BYTES_PER_MS;
+    this.counts.framesSent++;
+    this.counts.bytesSent += item.frame.length;
+    metrics.audioBytes.inc({ direction: 'out' }, item.frame.length);
+  }
+
+  /**
+   * Write a message to the stream
+   * @param {Object} message - Twilio stream message
+   */
+  send(message) {
+    if (this.ws.readyState !== this.ws.OPEN) return;
+    this.ws.send(JSON.stringify(message));
+  }
+}
+
+OutboundAudioScheduler.PRIORITIES = PRIORITIES;
+
+module.exports = OutboundAudioScheduler;
@@ -0,0 +1,275 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const OutboundAudioScheduler = require('./OutboundAudioScheduler');
+
+// One 20 ms frame of 8 kHz mu-law
+const FRAME_BYTES = 160;
+
+/**
+ * Twilio media stream WebSocket that records what is sent
+ */
+class FakeSocket {
+  constructor() {
+    this.OPEN = 1;
+    this.readyState = 1;
+    this.messages = [];
+  }
+
+  send(message) {
+    this.messages.push(JSON.parse(message));
+  }
+
+  /**
+   * What was sent, in order: the first payload byte of each frame, or "mark:<name>"
+   * @returns {Array<number|string>} - Sent items
+   */
+  sent() {
+    return this.messages.map((message) => (message.event === 'mark' ?
+      `mark:${message.mark.name}` :
+      Buffer.from(message.media.payload, 'base64')[0]));
+  }
+}
+
+/**
+ * Audio whose every byte is the same value, to tell sources apart
+ * @param {number} value - Byte value
+ * @param {number} frames - Length in frames
+ * @returns {Buffer} - Audio
+ */
+function audio(value, frames = 1) {
+  return Buffer.alloc(frames * FRAME_BYTES, value);
+}
+
+/**
+ * Let time pass one frame at a time
+ * @param {number} ms - Milliseconds
+ */
+function play(ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 20) {
+    mock.timers.tick(20);
+  }
+}
+
+describe('OutboundAudioScheduler', () => {
+  let ws;
+  let scheduler;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000 });
+    ws = new FakeSocket();
+    scheduler = new OutboundAudioScheduler(ws, 'MZ1', { frameMs: 20, leadMs: 100 });
+  });
+
+  afterEach(() => {
+    scheduler.close();
+    mock.timers.reset();
+  });
+
+  it('keeps only leadMs of audio buffered at Twilio', () => {
+    scheduler.enqueueAudio(audio(1, 10));
+
+    assert.equal(ws.messages.length, 5);
+    assert.equal(scheduler.getBufferedMs(), 100);
+    assert.equal(scheduler.getQueueDepthMs(), 100);
+
+    mock.timers.tick(20);
+    assert.equal(ws.messages.length, 6);
+
+    play(200);
+    assert.equal(ws.messages.length, 10);
+    assert.equal(scheduler.getQueueDepthMs(), 0);
+  });
+
+  it('slices audio into 160-byte frames and holds back a partial frame', () => {
+    scheduler.pause();
+    scheduler.enqueueAudio(Buffer.alloc(200, 1));
+
+    assert.equal(scheduler.getQueueDepthMs(), 25);
+
+    scheduler.enqueueAudio(Buffer.alloc(120, 1));
+    scheduler.resume();
+
+    assert.deepEqual(ws.messages.map((message) => Buffer.from(message.media.payload, 'base64').length), [160, 160]);
+  });
+
+  it('plays a prompt after the speech unit being played, ahead of the rest', () => {
+    scheduler.enqueueAudio(audio(1, 8));
+    scheduler.enqueueMark('speech-1');
+    scheduler.enqueueAudio(audio(2));
+    scheduler.enqueueMark('speech-2');
+
+    // speech-1 is partly sent when the prompt arrives
+    scheduler.enqueueAudio(audio(9), 'prompt');
+    scheduler.enqueueMark('prompt', 'prompt');
+    play(400);
+
+    assert.deepEqual(ws.sent(), [1, 1, 1, 1, 1, 1, 1, 1, 'mark:speech-1', 9, 'mark:prompt', 2, 'mark:speech-2']);
+  });
+
+  it('plays filler only while nothing else is queued', () => {
+    scheduler.pause();
+    scheduler.enqueueAudio(audio(7, 2), 'filler');
+    scheduler.enqueueAudio(audio(1));
+    scheduler.enqueueMark('speech');
+    scheduler.resume();
+
+    assert.deepEqual(ws.sent(), [1, 'mark:speech', 7, 7]);
+  });
+
+  it('waits for the rest of a speech unit instead of splicing in filler', () => {
+    scheduler.enqueueAudio(audio(1, 2));
+    mock.timers.tick(20);
+
+    // The synthesizer is slower than playback: the unit's first burst is sent
+    scheduler.enqueueAudio(audio(7, 3), 'filler');
+    mock.timers.tick(20);
+    assert.deepEqual(ws.sent(), [1, 1]);
+
+    scheduler.enqueueAudio(audio(1, 2));
+    scheduler.enqueueMark('speech');
+    play(200);
+
+    assert.deepEqual(ws.sent(), [1, 1, 1, 1, 'mark:speech', 7, 7, 7]);
+  });
+
+  it('holds a prompt back until the speech unit is marked', () => {
+    scheduler.enqueueAudio(audio(1));
+    scheduler.enqueueAudio(audio(9), 'prompt');
+    scheduler.enqueueMark('prompt', 'prompt');
+    play(200);
+    assert.deepEqual(ws.sent(), [1]);
+
+    scheduler.enqueueAudio(audio(1));
+    scheduler.enqueueMark('speech');
+    play(100);
+
+    assert.deepEqual(ws.sent(), [1, 1, 'mark:speech', 9, 'mark:prompt']);
+  });
+
+  it('lets other audio play after a unit ended without a mark', () => {
+    scheduler.enqueueAudio(audio(1));
+    scheduler.enqueueAudio(audio(7), 'filler');
+    scheduler.endUnit();
+    play(100);
+
+    assert.deepEqual(ws.sent(), [1, 7]);
+  });
+
+  it('lets speech cut into filler at any frame', () => {
+    scheduler.enqueueAudio(audio(7, 10), 'filler');
+    assert.deepEqual(ws.sent(), [7, 7, 7, 7, 7]);
+
+    scheduler.enqueueAudio(audio(1));
+    mock.timers.tick(20);
+
+    assert.deepEqual(ws.sent().slice(5), [1]);
+  });
+
+  it('drops live audio that waited too long instead of playing it late', () => {
+    scheduler.pause();
+    scheduler.enqueueAudio(audio(1), 'live');
+    mock.timers.tick(40);
+    scheduler.enqueueAudio(audio(2), 'live');
+    mock.timers.tick(40);
+    scheduler.enqueueAudio(audio(3), 'live');
+    scheduler.resume();
+
+    assert.deepEqual(ws.sent(), [2, 3]);
+    assert.equal(scheduler.getMetrics().droppedMs, 20);
+  });
+
+  describe('barge-in', () => {
+    it('drops queued speech and filler but keeps prompts', () => {
+      scheduler.pause();
+      scheduler.enqueueAudio(audio(1, 5));
+      scheduler.enqueueMark('speech');
+      scheduler.enqueueAudio(audio(7, 3), 'filler');
+      scheduler.enqueueAudio(audio(9, 2), 'prompt');
+
+      const droppedMs = scheduler.clear(['speech', 'filler']);
+
+      assert.equal(droppedMs, 160);
+      assert.deepEqual(scheduler.getMetrics().queuedByPriority, { prompt: 40, speech: 0, live: 0, filler: 0 });
+      assert.equal(scheduler.getMetrics().droppedMs, 160);
+
+      scheduler.resume();
+      assert.deepEqual(ws.sent(), [9, 9]);
+    });
+
+    it('keeps live audio', () => {
+      scheduler.pause();
+      scheduler.enqueueAudio(audio(1));
+      scheduler.enqueueAudio(audio(5), 'live');
+
+      assert.equal(scheduler.clear(['speech', 'filler']), 20);
+      scheduler.resume();
+      assert.deepEqual(ws.sent(), [5]);
+    });
+
+    it('forgets what Twilio had buffered, so the next audio is not held back', () => {
+      scheduler.enqueueAudio(audio(1, 10));
+      assert.equal(scheduler.getBufferedMs(), 100);
+
+      scheduler.clear(['speech', 'filler']);
+      assert.equal(scheduler.getBufferedMs(), 0);
+
+      scheduler.enqueueAudio(audio(2, 6));
+      mock.timers.tick(20);
+      assert.deepEqual(ws.sent().slice(5), [2, 2, 2, 2, 2]);
+    });
+
+    it('drops a partial frame and ends the interrupted unit', () => {
+      scheduler.enqueueAudio(audio(1, 6));
+      scheduler.enqueueAudio(Buffer.alloc(40, 1));
+      scheduler.enqueueAudio(audio(9), 'prompt');
+
+      // Speech is mid-unit, so the prompt is waiting behind it
+      assert.equal(scheduler.getQueueDepthMs('prompt'), 20);
+      assert.equal(scheduler.clear(['speech']), 25);
+
+      mock.timers.tick(20);
+      assert.deepEqual(ws.sent().slice(5), [9]);
+    });
+
+    it('only drops what flush() is given', () => {
+      scheduler.pause();
+      scheduler.enqueueAudio(audio(1));
+      scheduler.enqueueAudio(audio(9), 'prompt');
+
+      assert.equal(scheduler.flush(['prompt']), 20);
+      assert.equal(scheduler.getQueueDepthMs('speech'), 20);
+    });
+
+    it('rejects unknown priorities', () => {
+      assert.throws(() => scheduler.enqueueAudio(audio(1), 'music'), /Unknown playback priority "music"/);
+      assert.throws(() => scheduler.clear(['music']), /Unknown playback priority/);
+    });
+  });
+
+  it('keeps queued audio while paused and drops it on close', () => {
+    scheduler.pause();
+    scheduler.enqueueAudio(audio(1, 3));
+    mock.timers.tick(100);
+
+    assert.equal(ws.messages.length, 0);
+    assert.equal(scheduler.getMetrics().paused, true);
+    assert.equal(scheduler.getQueueDepthMs(), 60);
+
+    scheduler.close();
+    scheduler.enqueueAudio(audio(1));
+
+    assert.equal(scheduler.getQueueDepthMs(), 0);
+    assert.equal(ws.messages.length, 0);
+  });
+
+  it('emits drained once everything is sent', () => {
+    let drained = 0;
+    scheduler.on('drained', () => drained++);
+
+    scheduler.enqueueAudio(audio(1, 6));
+    assert.equal(drained, 0);
+
+    mock.timers.tick(20);
+    assert.equal(drained, 1);
+  });
+});
@@ -0,0 +1,211 @@
+// Twilio plays 8 kHz mu-law: one byte per sample
+const MULAW_BYTES_PER_MS = 8;
+
+/**
+ * PlaybackTimeline - Per-session record of what the caller has actually heard
+ *
+ * Every text segment sent to TTS moves through:
+ *   queued -> synthesizing (audio sent) -> marked (mark sent) -> played | cleared
+ *
+ * A segment is played when Twilio echoes its mark back, i.e. when all audio
+ * before the mark has been played to the caller. Segments still pending when
+ * the stream is cleared (barge-in) are recorded as cleared; Twilio echoes their
+ * marks as well, and those echoes are ignored.
+ *
+ * The timeline also estimates how much sent audio is still waiting to be
+ * played (the backlog), assuming Twilio plays it back in real time.
+ */
+class PlaybackTimeline {
+  /**
+   * @param {Object} options - Timeline options
+   * @param {string} options.prefix - Mark name prefix
+   * @param {number} options.maxSegments - Segments kept for reporting
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'seg';
+    this.maxSegments = options.maxSegments || 50;
+
+    this.segments = [];
+    this.nextSegmentId = 1;
+    this.counts = { queued: 0, played: 0, cleared: 0 };
+    this.firstQueuedAt = null;
+    this.firstAudioAt = null;
+    this.firstPlayedAt = null;
+    this.playbackEndsAt = null; // Estimated time the last sent audio finishes playing
+  }
+
+  /**
+   * Record a text segment handed to TTS
+   * @param {string} text - Segment text
+   * @param {Object} options - { spokenAt, source }
+   * @param {number} options.spokenAt - When the speaker said the segment's last word
+   * @param {Object} options.source - What the segment was converted from ({ text, words, startedAt })
+   * @returns {Object} - Segment
+   */
+  queue(text, { spokenAt = null, source = null } = {}) {
+    const now = Date.now();
+    const id = this.nextSegmentId++;
+    const segment = {
+      id,
+      name: `${this.prefix}-${id}`,
+      text,
+      status: 'queued',
+      spokenAt,
+      source,
+      queuedAt: now,
+      audioStartedAt: null,
+      audioBytes: 0,
+      markSentAt: null,
+      playedAt: null,
+      clearedAt: null
+    };
+
+    this.segments.push(segment);
+    this.counts.queued++;
+    if (this.firstQueuedAt === null) {
+      this.firstQueuedAt = now;
+    }
+
+    this.trim();
+    return segment;
+  }
+
+  /**
+   * Attribute sent audio to the oldest segment still being synthesized
+   * @param {number} bytes - Audio bytes sent
+   * @returns {Object|null} - Segment the audio was attributed to
+   */
+  recordAudio(bytes) {
+    const segment = this.segments.find((s) => s.status === 'queued' || s.status === 'synthesizing');
+    const now = Date.now();
+
+    if (this.firstAudioAt === null) {
+      this.firstAudioAt = now;
+    }
+
+    // Audio queues behind whatever has not been played yet
+    this.playbackEndsAt = Math.max(now, this.playbackEndsAt || now) + bytes / MULAW_BYTES_PER_MS;
+
+    if (!segment) return null;
+
+    if (segment.status === 'queued') {
+      segment.status = 'synthesizing';
+      segment.audioStartedAt = now;
+    }
+    segment.audioBytes += bytes;
+    return segment;
+  }
+
+  /**
+   * Close every segment waiting for a mark
+   * @returns {Array} - Segments that need a mark sent, in order
+   */
+  sealPending() {
+    const now = Date.now();
+    const sealed = this.segments.filter((s) => s.status === 'queued' || s.status === 'synthesizing');
+
+    for (const segment of sealed) {
+      segment.status = 'marked';
+      segment.markSentAt = now;
+    }
+    return sealed;
+  }
+
+  /**
+   * Handle a mark echoed back by Twilio
+   * Marks are echoed in order, so earlier marked segments are played too.
+   * @param {string} name - Mark name
+   * @returns {Array} - Segments newly recorded as played
+   */
+  markPlayed(name) {
+    const index = this.segments.findIndex((s) => s.name === name);
+    if (index === -1 || this.segments[index].status !== 'marked') {
+      return [];
+    }
+
+    const now = Date.now();
+    const played = this.segments
+      .slice(0, index + 1)
+      .filter((s) => s.status === 'marked');
+
+    for (const segment of played) {
+      segment.status = 'played';
+      segment.playedAt = now;
+      this.counts.played++;
+    }
+
+    if (this.firstPlayedAt === null) {
+      this.firstPlayedAt = now;
+    }
+
+    // Everything sent has been heard: the estimate cannot be behind
+    if (!this.segments.some((s) => s.status !== 'played' && s.status !== 'cleared')) {
+      this.playbackEndsAt = Math.min(this.playbackEndsAt || now, now);
+    }
+    return played;
+  }
+
+  /**
+   * Record every unplayed segment as cleared
+   * @returns {Array} - Segments that were interrupted
+   */
+  clearPending() {
+    const now = Date.now();
+    const cleared = this.segments.filter((s) => s.status !== 'played' && s.status !== 'cleared');
+
+    for (const segment of cleared) {
+      segment.status = 'cleared';
+      segment.clearedAt = now;
+      this.counts.cleared++;
+    }
+
+    // Twilio dropped its buffered audio
+    this.playbackEndsAt = null;
+    return cleared;
+  }
+
+  /**
+   * Estimate how much sent audio has not been played yet
+   * @returns {number} - Backlog in milliseconds
+   */
+  getBacklogMs() {
+    return this.playbackEndsAt === null ? 0 : Math.max(0, Math.round(this.playbackEndsAt - Date.now()));
+  }
+
+  /**
+   * Get timeline metrics
+   * @param {number} recent - Number of recent segments to include
+   * @returns {Object} - Playback metrics
+   */
+  getMetrics(recent = 10) {
+    const pending = this.segments.filter((s) => s.status !== 'played' && s.status !== 'cleared');
+    const lastPlayed = [...this.segments].reverse().find((s) => s.status === 'played');
+
+    return {
+      queued: this.counts.queued,
+      played: this.counts.played,
+      cleared: this.counts.cleared,
+      pending: pending.length,
+      backlogMs: this.getBacklogMs(),
+      timeToFirstAudioMs: this.firstAudioAt !== null && this.firstQueuedAt !== null ?
+        this.firstAudioAt - this.firstQueuedAt : null,
+      timeToFirstPlayedMs: this.firstPlayedAt !== null && this.firstQueuedAt !== null ?
+        this.firstPlayedAt - this.firstQueuedAt : null,
+      lastPlayedText: lastPlayed ? lastPlayed.text : null,
+      segments: this.segments.slice(-recent).map((s) => ({ ...s }))
+    };
+  }
+
+  /**
+   * Drop the oldest finished segments beyond maxSegments
+   */
+  trim() {
+    while (this.segments.length > this.maxSegments) {
+      const index = this.segments.findIndex((s) => s.status === 'played' || s.status === 'cleared');
+      if (index === -1) break;
+      this.segments.splice(index, 1);
+    }
+  }
+}
+
+module.exports = PlaybackTimeline;
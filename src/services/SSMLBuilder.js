@@ -0,0 +1,145 @@
+const LexiconService = require('./LexiconService');
+const { TTS_CONFIG } = require('../config/tts-config');
+
+/**
+ * SSMLBuilder - Carries the speaker's rhythm over to the converted voice
+ *
+ * Builds the TTS input for a committed piece of transcript:
+ * - pauses between the speaker's words (from STT word timings) become <break> tags
+ * - the last words of a question are spoken with rising pitch
+ * - lexicon terms become <phoneme>/<sub> tags (see LexiconService)
+ *
+ * Providers that cannot take SSML get plain text with lexicon aliases instead.
+ */
+class SSMLBuilder {
+  /**
+   * @param {Object} options - Prosody options (defaults to TTS_CONFIG.prosody)
+   */
+  constructor(options = {}) {
+    this.options = { ...TTS_CONFIG.prosody, ...options };
+    this.lexicons = new LexiconService();
+  }
+
+  /**
+   * Build the TTS input for a piece of text
+   * @param {string} text - Text to synthesize
+   * @param {Object} options - Build options
+   * @param {Array} options.words - STT words the text was built from ({ start, end } in seconds)
+   * @param {number} options.previousWordEnd - End time of the word spoken before this text, if any
+   * @param {Array<string>} options.lexicons - Lexicon ids
+   * @param {boolean} options.ssml - Whether the provider accepts SSML
+   * @returns {Object} - { text } or { ssml } (a full <speak> document)
+   */
+  build(text, { words = [], previousWordEnd = null, lexicons = [], ssml = false } = {}) {
+    if (!ssml) {
+      return { text: this.lexicons.renderText(text, lexicons) };
+    }
+
+    const tokens = text.trim().split(/\s+/);
+    const marks = this.options.enabled ?
+      this.markProsody(tokens, words, previousWordEnd) :
+      { leadingBreakMs: 0, tokens: tokens.map(() => ({ breakMs: 0, rising: false })) };
+
+    let fragment = marks.leadingBreakMs > 0 ? SSMLBuilder.breakTag(marks.leadingBreakMs) : '';
+    let hasMarkup = marks.leadingBreakMs > 0;
+    let group = [];
+
+    // Render runs of tokens that share a pitch, up to the next pause
+    const flushGroup = (rising) => {
+      if (group.length === 0) return;
+
+      const { fragment: rendered, matched } = this.lexicons.renderFragment(group.join(' '), lexicons);
+      fragment += rising ? `<prosody pitch="${this.options.questionPitch}">${rendered}</prosody>` : rendered;
+      hasMarkup = hasMarkup || matched || rising;
+      group = [];
+    };
+
+    tokens.forEach((token, index) => {
+      const mark = marks.tokens[index];
+      const previous = marks.tokens[index - 1];
+
+      if (previous && previous.rising !== mark.rising) {
+        flushGroup(previous.rising);
+        fragment += ' ';
+      }
+      group.push(token);
+
+      if (mark.breakMs > 0) {
+        flushGroup(mark.rising);
+        fragment += SSMLBuilder.breakTag(mark.breakMs);
+        hasMarkup = true;
+      }
+    });
+    flushGroup(marks.tokens[tokens.length - 1].rising);
+
+    // Nothing to say beyond the words themselves: plain text is the safer input
+    if (!hasMarkup) {
+      return { text };
+    }
+    return { ssml: `<speak>${fragment.trim()}</speak>` };
+  }
+
+  /**
+   * Work out where pauses and rising pitch go
+   * Pauses are only placed when the text still has one token per STT word;
+   * text rewritten by normalization loses its timings.
+   * @param {Array<string>} tokens - Text tokens
+   * @param {Array} words - STT words
+   * @param {number} previousWordEnd - End time of the preceding word, if any
+   * @returns {Object} - { leadingBreakMs, tokens: [{ breakMs, rising }] }
+   */
+  markProsody(tokens, words, previousWordEnd) {
+    const marks = tokens.map(() => ({ breakMs: 0, rising: false }));
+    const aligned = words.length === tokens.length;
+    let leadingBreakMs = 0;
+
+    if (aligned) {
+      for (let i = 0; i < words.length - 1; i++) {
+        marks[i].breakMs = this.getBreakMs(words[i + 1].start - words[i].end);
+      }
+
+      // A pause longer than maxBreakMs before the text is a new utterance, not rhythm
+      const leadingGapMs = previousWordEnd !== null ? (words[0].start - previousWordEnd) * 1000 : 0;
+      if (leadingGapMs <= this.options.maxBreakMs) {
+        leadingBreakMs = this.getBreakMs(leadingGapMs / 1000);
+      }
+    }
+
+    // Rising pitch on the last words of every question
+    let sentenceStart = 0;
+    tokens.forEach((token, index) => {
+      if (!/[.!?]["')]?$/.test(token)) return;
+
+      if (/\?["')]?$/.test(token)) {
+        for (let i = Math.max(sentenceStart, index - this.options.questionWords + 1); i <= index; i++) {
+          marks[i].rising = true;
+        }
+      }
+      sentenceStart = index + 1;
+    });
+
+    return { leadingBreakMs, tokens: marks };
+  }
+
+  /**
+   * Convert a gap between words into a break length
+   * @param {number} gapSeconds - Gap between two words
+   * @returns {number} - Break in milliseconds, 0 for ordinary word spacing
+   */
+  getBreakMs(gapSeconds) {
+    const gapMs = Math.round(gapSeconds * 1000);
+    if (gapMs < this.options.minBreakMs) return 0;
+    return Math.min(gapMs, this.options.maxBreakMs);
+  }
+
+  /**
+   * Render a break tag
+   * @param {number} ms - Break length
+   * @returns {string} - SSML break
+   */
+  static breakTag(ms) {
+    return `<break time="${ms}ms"/>`;
+  }
+}
+
+module.exports = SSMLBuilder;
@@ -0,0 +1,127 @@
+const { EventEmitter } = require('events');
+const { CALL_CONFIG } = require('../config/call-config');
+const { createLogger } = require('../logging');
+
+const log = createLogger('ShutdownCoordinator');
+
+// How often the number of calls in progress is checked while draining
+const DRAIN_POLL_MS = 250;
+
+/**
+ * ShutdownCoordinator - Drains calls in progress, then releases everything
+ *
+ * shutdown() moves through three states:
+ * - 'running'   normal operation
+ * - 'draining'  new calls are turned away (isDraining) while calls in
+ *               progress get until the deadline to end by themselves
+ * - 'stopped'   the cleanup steps have run, in the order they were added
+ *
+ * Events:
+ * - 'draining'  { reason, activeCalls, deadline }
+ * - 'stopped'   { reason, drainedMs, remainingCalls }
+ */
+class ShutdownCoordinator extends EventEmitter {
+  /**
+   * @param {Object} options - { getActiveCalls, drainTimeoutMs } (defaults to CALL_CONFIG.shutdown)
+   * @param {Function} options.getActiveCalls - Returns the number of calls in progress
+   */
+  constructor(options = {}) {
+    super();
+
+    if (ShutdownCoordinator.instance) {
+      return ShutdownCoordinator.instance;
+    }
+
+    this.options = { ...CALL_CONFIG.shutdown, ...options };
+    this.state = 'running';
+    this.reason = null;
+    this.deadline = null;
+    this.steps = []; // { name, run }
+    this.shutdownPromise = null;
+
+    ShutdownCoordinator.instance = this;
+  }
+
+  /**
+   * Add a cleanup step, run after draining
+   * @param {string} name - Step name, for logs
+   * @param {Function} run - Cleanup; may return a promise
+   */
+  addStep(name, run) {
+    this.steps.push({ name, run });
+  }
+
+  /**
+   * Whether new calls should be turned away
+   * @returns {boolean} - True once shutdown has started
+   */
+  isDraining() {
+    return this.state !== 'running';
+  }
+
+  /**
+   * Drain calls in progress, then run the cleanup steps
+   * Calling it again returns the shutdown already under way.
+   * @param {string} reason - What triggered the shutdown (e.g. 'SIGTERM')
+   * @returns {Promise<void>} - Resolves once every step has run
+   */
+  shutdown(reason = 'manual') {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.run(reason);
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Run the shutdown
+   * @param {string} reason - What triggered the shutdown
+   */
+  async run(reason) {
+    const startedAt = Date.now();
+    this.state = 'draining';
+    this.reason = reason;
+    this.deadline = startedAt + this.options.drainTimeoutMs;
+
+    const activeCalls = this.options.getActiveCalls();
+    log.info('Draining calls', { reason, activeCalls, drainTimeoutMs: this.options.drainTimeoutMs });
+    this.emit('draining', { reason, activeCalls, deadline: new Date(this.deadline).toISOString() });
+
+    while (this.options.getActiveCalls() > 0 && Date.now() < this.deadline) {
+      await new Promise((resolve) => setTimeout(resolve, DRAIN_POLL_MS));
+    }
+
+    const remainingCalls = this.options.getActiveCalls();
+    if (remainingCalls > 0) {
+      log.warn('Drain deadline reached, closing remaining calls', { remainingCalls });
+    }
+
+    for (const step of this.steps) {
+      try {
+        await step.run();
+        log.debug('Shutdown step done', { step: step.name });
+      } catch (error) {
+        log.error('Shutdown step failed', { step: step.name, error });
+      }
+    }
+
+    this.state = 'stopped';
+    const drainedMs = Date.now() - startedAt;
+    log.info('Shutdown complete', { reason, drainedMs, remainingCalls });
+    this.emit('stopped', { reason, drainedMs, remainingCalls });
+  }
+
+  /**
+   * Get shutdown state
+   * @returns {Object} - { state, reason, activeCalls, deadline }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      reason: this.reason,
+      activeCalls: this.options.getActiveCalls(),
+      deadline: this.deadline ? new Date(this.deadline).toISOString() : null
+    };
+  }
+}
+
+module.exports = ShutdownCoordinator;
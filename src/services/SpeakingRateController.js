@@ -0,0 +1,110 @@
+const { TTS_CONFIG } = require('../config/tts-config');
+
+/**
+ * SpeakingRateController - Per-session TTS speaking rate that tracks the caller
+ *
+ * Two inputs drive the rate:
+ * - the caller's pace, in words per minute of articulation (pauses excluded,
+ *   since SSML breaks already reproduce them), measured from STT word timings
+ * - the backlog of converted audio that has been sent but not yet played
+ *
+ * Slow callers get slower output; fast callers, or a growing backlog, get
+ * faster output. The rate stays within [minRate, maxRate] and only changes in
+ * whole steps, at most once per minChangeIntervalMs.
+ */
+class SpeakingRateController {
+  /**
+   * @param {Object} options - Controller options (defaults to TTS_CONFIG.adaptiveRate)
+   * @param {number} options.baseRate - Rate for a caller at referenceWpm with no backlog
+   */
+  constructor(options = {}) {
+    this.options = { ...TTS_CONFIG.adaptiveRate, ...options };
+    this.baseRate = options.baseRate || TTS_CONFIG.streamingAudioConfig.speakingRate;
+
+    this.wpm = null;
+    this.rate = this.baseRate;
+    this.lastChangeTime = 0;
+    this.changeCount = 0;
+  }
+
+  /**
+   * Measure the caller's pace from a batch of words
+   * @param {Array} words - STT words with start/end times (seconds)
+   * @returns {number|null} - Smoothed words per minute, null until measured
+   */
+  recordWords(words = []) {
+    if (words.length < this.options.minWords) {
+      return this.wpm;
+    }
+
+    let speakingSeconds = 0;
+    for (let i = 0; i < words.length; i++) {
+      speakingSeconds += Math.max(0, words[i].end - words[i].start);
+
+      const gap = i < words.length - 1 ? words[i + 1].start - words[i].end : 0;
+      if (gap > 0 && gap * 1000 < this.options.pauseThresholdMs) {
+        speakingSeconds += gap;
+      }
+    }
+
+    if (speakingSeconds <= 0) {
+      return this.wpm;
+    }
+
+    const wpm = (words.length / speakingSeconds) * 60;
+    this.wpm = this.wpm === null ?
+      wpm :
+      this.options.smoothing * wpm + (1 - this.options.smoothing) * this.wpm;
+    return this.wpm;
+  }
+
+  /**
+   * Work out the rate for the current pace and backlog
+   * @param {number} backlogMs - Converted audio not yet played
+   * @returns {number|null} - New rate if it should change now, otherwise null
+   */
+  update(backlogMs = 0) {
+    const target = this.getTargetRate(backlogMs);
+    const now = Date.now();
+
+    if (Math.abs(target - this.rate) < this.options.step / 2 ||
+        now - this.lastChangeTime < this.options.minChangeIntervalMs) {
+      return null;
+    }
+
+    this.rate = target;
+    this.lastChangeTime = now;
+    this.changeCount++;
+    return target;
+  }
+
+  /**
+   * Compute the target rate, clamped and rounded to a step
+   * @param {number} backlogMs - Converted audio not yet played
+   * @returns {number} - Target rate
+   */
+  getTargetRate(backlogMs) {
+    const { minRate, maxRate, referenceWpm, paceWeight, backlogTargetMs, backlogGainPerSecond, step } = this.options;
+
+    const pace = this.wpm === null ? 1 : 1 + (this.wpm / referenceWpm - 1) * paceWeight;
+    const backlogBoost = Math.max(0, backlogMs - backlogTargetMs) / 1000 * backlogGainPerSecond;
+
+    const rate = Math.min(maxRate, Math.max(minRate, this.baseRate * pace + backlogBoost));
+    return Number((Math.round(rate / step) * step).toFixed(2));
+  }
+
+  /**
+   * Get controller state for metrics
+   * @returns {Object} - State snapshot
+   */
+  getState() {
+    return {
+      rate: this.rate,
+      baseRate: this.baseRate,
+      wpm: this.wpm === null ? null : Math.round(this.wpm),
+      changeCount: this.changeCount
+    };
+  }
+}
+
+module.exports = SpeakingRateController;
@@ -1,10 +1,28 @@
 const StreamingTTSService = require('./StreamingTTSService');
+const PlaybackTimeline = require('./PlaybackTimeline');
+const OutboundAudioScheduler = require('./OutboundAudioScheduler');
+const SpeakingRateController = require('./SpeakingRateController');
 const { EventEmitter } = require('events');
-const { TTS_CONFIG } = require('../config/tts-config');
+const { getTTSProvider } = require('./tts');
+const { TTS_CONFIG, mergeConfig } = require('../config/tts-config');
+const { CALL_CONFIG } = require('../config/call-config');
+const { resolveProfile, getTTSOptions, normalizeText } = require('../config/accent-profiles');
+const { encodeMulaw, comfortNoise } = require('../audio');
+const { metrics } = require('../metrics');
+const { createLogger } = require('../logging');
+
+const log = createLogger('StreamingAccentConverter');
+
+// Twilio media streams only carry 8 kHz mu-law
+const TWILIO_AUDIO_FORMAT = { encoding: 'MULAW', sampleRateHertz: 8000 };
 
 /**
  * StreamingAccentConverterV2 - Enhanced streaming accent converter
  * Integrates StreamingTTSService with Twilio WebSocket for smooth accent conversion
+ *
+ * Everything played on a Twilio stream - converted speech from any session,
+ * legacy conversions and system prompts - goes through that stream's playback
+ * queue (OutboundAudioScheduler), which paces and prioritizes it.
  */
 class StreamingAccentConverterV2 extends EventEmitter {
   constructor() {
@@ -15,7 +33,10 @@ class StreamingAccentConverterV2 extends EventEmitter {
     }
     
     this.streamingTTS = new StreamingTTSService();
+    this.ttsProvider = this.streamingTTS.provider;
     this.activeSessions = new Map();
+    this.playbackQueues = new Map(); // streamSid -> OutboundAudioScheduler
+    this.promptCount = 0;
     this.setupEventHandlers();
     
     StreamingAccentConverterV2.instance = this;
@@ -32,25 +53,29 @@ class StreamingAccentConverterV2 extends EventEmitter {
 
     // Handle errors
     this.streamingTTS.on('error', (data) => {
-      console.error(`❌ StreamingAccentConverter: TTS error for session ${data.sessionId}:`, data.error.message);
+      log.error('TTS error', { sessionId: data.sessionId, error: data.error });
       this.handleTTSError(data);
     });
 
     // Handle session events
     this.streamingTTS.on('sessionClosed', (data) => {
-      console.log(`🔚 StreamingAccentConverter: Session ${data.sessionId} closed`);
+      log.debug('TTS session closed', { sessionId: data.sessionId });
       this.activeSessions.delete(data.sessionId);
       this.emit('sessionClosed', data);
     });
 
     this.streamingTTS.on('textAdded', (data) => {
-      console.log(`📝 StreamingAccentConverter: Text added to session ${data.sessionId}`);
+      log.debug('Text added', { sessionId: data.sessionId });
       this.emit('textAdded', data);
     });
 
+    this.streamingTTS.on('reconnecting', (data) => {
+      this.emit('reconnecting', data);
+    });
+
     // Handle session end events
     this.streamingTTS.on('sessionEnd', (data) => {
-      console.log(`🔚 StreamingAccentConverter: TTS session ended for ${data.sessionId}`);
+      log.debug('TTS session ended', { sessionId: data.sessionId });
       // Session will be cleaned up automatically
     });
   }
@@ -64,7 +89,7 @@ class StreamingAccentConverterV2 extends EventEmitter {
     const sessionData = this.activeSessions.get(sessionId);
     
     if (!sessionData) {
-      console.warn(`⚠️  StreamingAccentConverter: Received error for unknown session ${sessionId}`);
+      log.warn('Received error for unknown session', { sessionId });
       return;
     }
 
@@ -75,11 +100,11 @@ class StreamingAccentConverterV2 extends EventEmitter {
                               error.message.includes('timeout');
 
     if (isRecoverableError) {
-      console.log(`🔄 StreamingAccentConverter: Recoverable error for session ${sessionId}, TTS service will handle reconnection`);
+      sessionData.log.warn('Recoverable TTS error, TTS service will handle reconnection', { error });
       // The StreamingTTSService will handle reconnection automatically
       // We just need to keep the session data intact
     } else {
-      console.error(`❌ StreamingAccentConverter: Non-recoverable error for session ${sessionId}, closing session`);
+      sessionData.log.error('Non-recoverable TTS error, closing session', { error });
       this.closeSession(sessionId);
     }
 
@@ -87,7 +112,7 @@ class StreamingAccentConverterV2 extends EventEmitter {
     try {
       this.emit('error', errorData);
     } catch (emitError) {
-      console.error(`❌ StreamingAccentConverter: Error emitting error event:`, emitError.message);
+      log.error('Error emitting error event', { sessionId, error: emitError });
     }
   }
 
@@ -97,37 +122,90 @@ class StreamingAccentConverterV2 extends EventEmitter {
    * @param {string} streamSid - Twilio stream SID
    * @param {Object} ws - WebSocket connection
    * @param {Object} options - Configuration options
+   * @param {string} options.provider - TTS provider name (defaults to TTS_PROVIDER)
+   * @param {boolean} options.bargeIn - Clear queued speech when the caller starts a new utterance
+   * @param {string} options.track - Media track being converted (default 'inbound')
+   * @param {string|Object} options.profile - Accent profile (id or profile); voice and
+   *   streamingAudioConfig options override the profile's
+   * @param {Array<string>} options.lexicons - Lexicon ids applied on top of the profile's lexicon
+   * @param {boolean} options.adaptiveRate - Follow the caller's pace and the playback backlog
+   * @param {Object} options.logContext - Extra fields for the session's log entries ({ tenant })
    * @returns {Object} - Session control object
    */
   createSession(callSid, streamSid, ws, options = {}) {
+    const {
+      track = 'inbound',
+      bargeIn = CALL_CONFIG.bargeIn.enabled,
+      adaptiveRate = TTS_CONFIG.adaptiveRate.enabled,
+      profile: profileOption,
+      logContext = {},
+      ...ttsOptions
+    } = options;
+
+    // The session's TTS logs carry the same call fields
+    const sessionLogContext = { callSid, streamSid, track, ...logContext };
+    const sessionLog = log.child(sessionLogContext);
+
+    // Each converted track gets an independent session
+    callSid = StreamingAccentConverterV2.getSessionKey(callSid, track);
+
     try {
-      console.log(`🎯 StreamingAccentConverter: Creating session for call ${callSid}`);
-      
-      // Create streaming TTS session with minimal config override
-      // Let StreamingTTSService handle the default voice configuration
-      const ttsSession = this.streamingTTS.createStreamingSession(callSid, {
-        // Only override specific settings if needed, let defaults handle voice config
+      const profile = resolveProfile({ profile: profileOption });
+      sessionLog.info('Creating session', { profile: profile.id });
+
+      // The profile picks the target voice and speaking rate
+      const profileOptions = getTTSOptions(profile);
+      const sessionOptions = {
+        ...profileOptions,
+        ...ttsOptions, // Allow custom options to override the profile
         streamingAudioConfig: {
-          audioEncoding: 'MULAW',
-          sampleRateHertz: 8000,
-          speakingRate: 1.0,
-          pitch: 0.0,
-          volumeGainDb: 2.0
+          ...profileOptions.streamingAudioConfig,
+          ...ttsOptions.streamingAudioConfig
         },
-        ...options // Allow custom options to override defaults
-      });
+        lexicons: this.getLexiconIds(profile, ttsOptions.lexicons),
+        logContext: sessionLogContext
+      };
+
+      const provider = this.getProvider(ttsOptions.provider);
+      const ttsConfig = mergeConfig(sessionOptions);
+      this.assertTwilioCompatible(provider, ttsConfig.streamingAudioConfig);
+
+      // Create streaming TTS session
+      const ttsSession = this.streamingTTS.createStreamingSession(callSid, sessionOptions);
 
       // Track session data
       const sessionData = {
         callSid,
+        twilioCallSid: sessionLogContext.callSid, // callSid is the per-track session key
         streamSid,
         ws,
+        track,
+        log: sessionLog,
         ttsSession,
+        provider: provider.name,
+        profile,
+        voice: ttsConfig.voice.name,
         startTime: Date.now(),
         audioChunkCount: 0,
         totalAudioSent: 0,
         lastActivityTime: Date.now(),
         textBuffer: [],
+        bargeIn,
+        bargeInCount: 0,
+        lastBargeInTime: 0,
+        textSinceBargeIn: false,
+        lastWordEnd: null, // Speaker time of the last word sent, for pauses between texts
+        playback: new PlaybackTimeline({
+          prefix: track === 'inbound' ? 'seg' : `seg-${track}`,
+          maxSegments: CALL_CONFIG.playback.maxTrackedSegments
+        }),
+        markTimer: null,
+        // Paces converted audio and marks to Twilio in 20 ms frames
+        outbound: this.createPlaybackQueue(streamSid, ws),
+        // The profile's (or requested) rate is the base the controller adapts from
+        rateController: adaptiveRate ?
+          new SpeakingRateController({ baseRate: sessionOptions.streamingAudioConfig.speakingRate }) :
+          null,
         isActive: true
       };
 
@@ -137,39 +215,148 @@ class StreamingAccentConverterV2 extends EventEmitter {
       return {
         callSid,
         streamSid,
-        addText: (text) => this.addTextToSession(callSid, text),
+        track,
+        addText: (text, options) => this.addTextToSession(callSid, text, options),
+        bargeIn: (reason) => this.bargeIn(callSid, reason),
+        setBargeIn: (enabled) => this.setBargeIn(callSid, enabled),
+        setVoice: (voice) => this.setVoice(callSid, voice),
+        handleMark: (name) => this.handleMark(callSid, name),
+        playPrompt: (text, promptOptions) => this.playPrompt(streamSid, text, { profile: sessionData.profile, ...promptOptions }),
+        playFiller: (durationMs) => this.playFiller(streamSid, durationMs),
+        pause: () => this.pausePlayback(streamSid),
+        resume: () => this.resumePlayback(streamSid),
+        flush: (priorities) => this.flushPlayback(streamSid, priorities),
         close: () => this.closeSession(callSid),
         isActive: () => this.activeSessions.has(callSid),
         getMetrics: () => this.getSessionMetrics(callSid)
       };
 
     } catch (error) {
-      console.error(`❌ StreamingAccentConverter: Error creating session for ${callSid}:`, error.message);
+      sessionLog.error('Error creating session', { error });
       throw error;
     }
   }
 
+  /**
+   * Get the key a track's session is stored under
+   * Inbound sessions use the bare call SID; other tracks are suffixed.
+   * @param {string} callSid - Call SID
+   * @param {string} track - Media track
+   * @returns {string} - Session key
+   */
+  static getSessionKey(callSid, track = 'inbound') {
+    return track === 'inbound' ? callSid : `${callSid}:${track}`;
+  }
+
+  /**
+   * Split a session key into its call SID and track (see getSessionKey)
+   * @param {string} sessionKey - Session key
+   * @returns {Object} - { callSid, track }
+   */
+  static parseSessionKey(sessionKey) {
+    const [callSid, track = 'inbound'] = String(sessionKey).split(':');
+    return { callSid, track };
+  }
+
+  /**
+   * Get the lexicons applied to a session, lowest precedence first
+   * @param {Object} profile - Accent profile
+   * @param {Array<string>} lexicons - Extra lexicon ids (e.g. the tenant's)
+   * @returns {Array<string>} - Lexicon ids
+   */
+  getLexiconIds(profile, lexicons = []) {
+    return [profile.lexicon, ...lexicons].filter(Boolean);
+  }
+
+  /**
+   * Resolve a TTS provider, falling back to the deployment default
+   * @param {string} providerName - Optional provider name
+   * @returns {TextToSpeechProvider} - Provider instance
+   */
+  getProvider(providerName) {
+    return providerName ? getTTSProvider(providerName) : this.ttsProvider;
+  }
+
+  /**
+   * Ensure a provider's output can be sent to Twilio as-is
+   * @param {TextToSpeechProvider} provider - TTS provider
+   * @param {Object} audioConfig - Requested audio config
+   */
+  assertTwilioCompatible(provider, audioConfig) {
+    const format = provider.getAudioFormat(audioConfig);
+
+    if (format.encoding !== TWILIO_AUDIO_FORMAT.encoding ||
+        format.sampleRateHertz !== TWILIO_AUDIO_FORMAT.sampleRateHertz) {
+      throw new Error(`TTS provider "${provider.name}" produces ${format.encoding}/${format.sampleRateHertz}, Twilio requires MULAW/8000`);
+    }
+  }
+
+  /**
+   * Synthesize a complete utterance outside of a streaming session
+   * @param {string} text - Text to synthesize
+   * @param {Object} options - { provider, profile, lexicons, words, voice, streamingAudioConfig }
+   * @returns {Promise<Buffer>} - Mu-law audio ready for Twilio
+   */
+  async synthesize(text, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const profile = resolveProfile({ profile: options.profile });
+    const profileOptions = getTTSOptions(profile);
+    const config = mergeConfig({
+      voice: { ...profileOptions.voice, ...options.voice },
+      streamingAudioConfig: { ...profileOptions.streamingAudioConfig, ...options.streamingAudioConfig }
+    });
+    this.assertTwilioCompatible(provider, config.streamingAudioConfig);
+
+    // Unary synthesis takes SSML wherever the provider supports it
+    const input = this.streamingTTS.ssmlBuilder.build(normalizeText(profile, text), {
+      words: options.words,
+      lexicons: this.getLexiconIds(profile, options.lexicons),
+      ssml: provider.capabilities.unarySsml
+    });
+
+    return provider.synthesize({
+      ...input,
+      voice: config.voice,
+      audioConfig: config.streamingAudioConfig
+    });
+  }
+
+  /**
+   * List voices offered by a TTS provider
+   * @param {string} languageCode - Optional language filter
+   * @param {string} providerName - Optional provider name
+   * @returns {Promise<Array>} - Voices
+   */
+  async listVoices(languageCode, providerName) {
+    return this.getProvider(providerName).listVoices(languageCode);
+  }
+
   /**
    * Add text to be converted in a streaming session
    * @param {string} callSid - Call SID
    * @param {string} text - Text to convert
+   * @param {Object} options - { words, startedAt, spokenAt }
+   * @param {Array} options.words - STT words the text was built from, for prosody
+   * @param {number} options.startedAt - When the speaker said the first word (wall time ms)
+   * @param {number} options.spokenAt - When the speaker said the last word (wall time ms)
    */
-  addTextToSession(callSid, text) {
+  addTextToSession(callSid, text, options = {}) {
     const sessionData = this.activeSessions.get(callSid);
     if (!sessionData || !sessionData.isActive) {
-      console.warn(`⚠️  StreamingAccentConverter: Session ${callSid} not active, ignoring text: "${text}"`);
+      log.warn('Session not active, ignoring text', { sessionId: callSid, text });
       return;
     }
 
     try {
       // Validate text
       if (!text || !text.trim()) {
-        console.warn(`⚠️  StreamingAccentConverter: Empty text for session ${callSid}`);
+        sessionData.log.warn('Empty text');
         return;
       }
 
-      const cleanText = text.trim();
-      console.log(`📝 StreamingAccentConverter: Adding text to session ${callSid}: "${cleanText}"`);
+      // Rewrite for the target voice (number formats, lexicon terms)
+      const cleanText = normalizeText(sessionData.profile, text.trim());
+      sessionData.log.info('Adding text', { text: cleanText });
 
       // Add to text buffer for tracking
       sessionData.textBuffer.push({
@@ -182,16 +369,365 @@ class StreamingAccentConverterV2 extends EventEmitter {
         sessionData.textBuffer = sessionData.textBuffer.slice(-25);
       }
 
-      // Send to streaming TTS
-      sessionData.ttsSession.addText(cleanText);
+      // Track the segment until the caller has heard it
+      sessionData.playback.queue(cleanText, {
+        spokenAt: options.spokenAt,
+        source: { text: text.trim(), words: options.words || [], startedAt: options.startedAt }
+      });
+
+      // Send to streaming TTS with the speaker's timings
+      const words = options.words || [];
+      this.adaptSpeakingRate(sessionData, words);
+      sessionData.ttsSession.addText(cleanText, { words, previousWordEnd: sessionData.lastWordEnd });
+      if (words.length > 0) {
+        sessionData.lastWordEnd = words[words.length - 1].end;
+      }
       sessionData.lastActivityTime = Date.now();
+      sessionData.textSinceBargeIn = true;
 
     } catch (error) {
-      console.error(`❌ StreamingAccentConverter: Error adding text to session ${callSid}:`, error.message);
+      sessionData.log.error('Error adding text', { error });
       this.emit('error', { sessionId: callSid, error });
     }
   }
 
+  /**
+   * Adjust the speaking rate to the caller's pace and the playback backlog
+   * @param {Object} sessionData - Session data
+   * @param {Array} words - STT words of the text being added
+   */
+  adaptSpeakingRate(sessionData, words) {
+    const controller = sessionData.rateController;
+    if (!controller) return;
+
+    controller.recordWords(words);
+    const backlogMs = sessionData.playback.getBacklogMs();
+    const speakingRate = controller.update(backlogMs);
+
+    if (speakingRate !== null && sessionData.ttsSession.setSpeakingRate(speakingRate)) {
+      this.emit('speakingRateChanged', {
+        sessionId: sessionData.callSid,
+        speakingRate,
+        wpm: controller.getState().wpm,
+        backlogMs
+      });
+    }
+  }
+
+  /**
+   * Stop converted speech when the caller starts a new utterance
+   * Sends Twilio's clear event for the stream and cancels in-flight synthesis.
+   * @param {string} callSid - Call SID
+   * @param {string} reason - What triggered the barge-in (e.g. 'segmentStart')
+   * @returns {boolean} - Whether queued speech was cleared
+   */
+  bargeIn(callSid, reason = 'manual') {
+    const sessionData = this.activeSessions.get(callSid);
+    if (!sessionData || !sessionData.isActive || !sessionData.bargeIn) {
+      return false;
+    }
+
+    // Nothing has been converted since the last barge-in, so nothing to clear
+    if (!sessionData.textSinceBargeIn) {
+      return false;
+    }
+
+    const now = Date.now();
+    if (now - sessionData.lastBargeInTime < CALL_CONFIG.bargeIn.minIntervalMs) {
+      return false;
+    }
+
+    try {
+      sessionData.log.info('Barge-in', { reason });
+
+      // Speech and filler still queued are dropped before they ever reach
+      // Twilio; queued prompts still play
+      const droppedMs = sessionData.outbound.clear(['speech', 'filler']);
+      this.sendClear(sessionData);
+      sessionData.ttsSession.cancel();
+
+      // Whatever was not played yet is what the caller talked over
+      clearTimeout(sessionData.markTimer);
+      const interrupted = sessionData.playback.clearPending();
+      interrupted.forEach((segment) => this.emitSegmentCompleted(sessionData, segment));
+
+      sessionData.bargeInCount++;
+      sessionData.lastBargeInTime = now;
+      sessionData.textSinceBargeIn = false;
+      sessionData.lastWordEnd = null;
+      sessionData.lastActivityTime = now;
+
+      this.emit('bargeIn', {
+        callSid,
+        reason,
+        bargeInCount: sessionData.bargeInCount,
+        droppedMs,
+        interrupted: interrupted.map(({ id, text }) => ({ id, text }))
+      });
+      return true;
+
+    } catch (error) {
+      sessionData.log.error('Error during barge-in', { error });
+      this.emit('error', { sessionId: callSid, error });
+      return false;
+    }
+  }
+
+  /**
+   * Enable or disable barge-in for a session
+   * @param {string} callSid - Call SID
+   * @param {boolean} enabled - Whether barge-in is enabled
+   */
+  setBargeIn(callSid, enabled) {
+    const sessionData = this.activeSessions.get(callSid);
+    if (!sessionData) return;
+
+    sessionData.bargeIn = Boolean(enabled);
+  }
+
+  /**
+   * Switch a session's target voice mid-call
+   * Text already sent to synthesis keeps the previous voice.
+   * @param {string} callSid - Call SID
+   * @param {Object} voice - Voice selection ({ languageCode, name }, see resolveVoice)
+   * @returns {boolean} - Whether the voice changed
+   */
+  setVoice(callSid, voice) {
+    const sessionData = this.activeSessions.get(callSid);
+    if (!sessionData || !sessionData.isActive) return false;
+
+    if (!sessionData.ttsSession.setVoice(voice)) return false;
+
+    sessionData.voice = voice.name;
+    this.emit('voiceChanged', { sessionId: callSid, voice: voice.name });
+    return true;
+  }
+
+  /**
+   * Ask Twilio to drop all audio buffered for the stream
+   * @param {Object} sessionData - Session data
+   */
+  sendClear(sessionData) {
+    if (sessionData.ws.readyState !== sessionData.ws.OPEN) return;
+
+    sessionData.ws.send(JSON.stringify({
+      event: 'clear',
+      streamSid: sessionData.streamSid
+    }));
+  }
+
+  /**
+   * Send marks once synthesized audio has gone idle
+   * Google streams audio without segment boundaries, so a pause in the audio
+   * is taken as the end of the segments queued so far.
+   * @param {Object} sessionData - Session data
+   */
+  scheduleMarks(sessionData) {
+    clearTimeout(sessionData.markTimer);
+    sessionData.markTimer = setTimeout(() => {
+      this.sendPendingMarks(sessionData);
+    }, CALL_CONFIG.playback.markIdleMs);
+  }
+
+  /**
+   * Queue a named mark after every segment whose audio has been queued
+   * @param {Object} sessionData - Session data
+   */
+  sendPendingMarks(sessionData) {
+    if (!sessionData.isActive || sessionData.ws.readyState !== sessionData.ws.OPEN) return;
+
+    try {
+      for (const segment of sessionData.playback.sealPending()) {
+        sessionData.outbound.enqueueMark(segment.name);
+
+        this.emit('markSent', { callSid: sessionData.callSid, segmentId: segment.id, name: segment.name });
+      }
+    } catch (error) {
+      sessionData.log.error('Error sending marks', { error });
+      this.emit('error', { sessionId: sessionData.callSid, error });
+    }
+  }
+
+  /**
+   * Handle a mark echoed back by Twilio once the audio before it has played
+   * @param {string} callSid - Call SID
+   * @param {string} name - Mark name
+   */
+  handleMark(callSid, name) {
+    const sessionData = this.activeSessions.get(callSid);
+    if (!sessionData) return;
+
+    for (const segment of sessionData.playback.markPlayed(name)) {
+      // The mark comes back once the segment's audio has played: the listener heard it
+      const mouthToEarMs = segment.spokenAt ? segment.playedAt - segment.spokenAt : null;
+      if (mouthToEarMs !== null) {
+        metrics.mouthToEar.observe({}, mouthToEarMs / 1000);
+      }
+
+      sessionData.log.info('Segment played', { segmentId: segment.id, text: segment.text, mouthToEarMs });
+
+      this.emit('segmentPlayed', {
+        callSid,
+        segmentId: segment.id,
+        text: segment.text,
+        queuedToPlayedMs: segment.playedAt - segment.queuedAt,
+        mouthToEarMs
+      });
+      this.emitSegmentCompleted(sessionData, segment);
+    }
+  }
+
+  /**
+   * Report a segment whose playback is settled (played or cleared)
+   * @param {Object} sessionData - Session data
+   * @param {Object} segment - Timeline segment
+   */
+  emitSegmentCompleted(sessionData, segment) {
+    this.emit('segmentCompleted', {
+      sessionId: sessionData.callSid,
+      callSid: sessionData.twilioCallSid,
+      track: sessionData.track,
+      segment: { ...segment }
+    });
+  }
+
+  /**
+   * Handle a mark echoed on a Twilio stream
+   * Routes the mark to whichever session plays its converted speech on that
+   * stream, which in a bridge is the other party's session.
+   * @param {string} streamSid - Stream the mark was echoed on
+   * @param {string} name - Mark name
+   */
+  handleStreamMark(streamSid, name) {
+    if (name.startsWith('prompt-')) {
+      log.info('Prompt played', { streamSid, name });
+      this.emit('promptPlayed', { streamSid, name });
+      return;
+    }
+
+    for (const [callSid, sessionData] of this.activeSessions.entries()) {
+      if (sessionData.streamSid === streamSid) {
+        this.handleMark(callSid, name);
+      }
+    }
+  }
+
+  /**
+   * Create the playback queue of a Twilio stream when it starts
+   * Returns the existing queue if the stream already has one.
+   * @param {string} streamSid - Stream SID
+   * @param {Object} ws - Stream WebSocket
+   * @returns {OutboundAudioScheduler} - Playback queue
+   */
+  createPlaybackQueue(streamSid, ws) {
+    let queue = this.playbackQueues.get(streamSid);
+
+    if (!queue) {
+      queue = new OutboundAudioScheduler(ws, streamSid);
+      queue.on('error', (error) => {
+        log.error('Error sending audio', { streamSid, error });
+        this.emit('error', { sessionId: streamSid, error });
+      });
+      this.playbackQueues.set(streamSid, queue);
+    }
+    return queue;
+  }
+
+  /**
+   * Get the playback queue of a Twilio stream
+   * @param {string} streamSid - Stream SID
+   * @returns {OutboundAudioScheduler|null} - Playback queue, or null once the stream has ended
+   */
+  getPlaybackQueue(streamSid) {
+    return this.playbackQueues.get(streamSid) || null;
+  }
+
+  /**
+   * Drop a stream's playback queue once the stream has ended
+   * @param {string} streamSid - Stream SID
+   */
+  releasePlaybackQueue(streamSid) {
+    const queue = this.playbackQueues.get(streamSid);
+    if (!queue) return;
+
+    queue.close();
+    this.playbackQueues.delete(streamSid);
+  }
+
+  /**
+   * Play a system prompt on a stream, ahead of queued converted speech
+   * @param {string} streamSid - Stream SID
+   * @param {string} text - Prompt text
+   * @param {Object} options - Synthesis options ({ profile, voice, ... } as for synthesize)
+   * @param {boolean} options.interrupt - Drop queued speech and Twilio's buffer first
+   * @returns {Promise<Object>} - { name, durationMs }; name is the prompt's mark
+   */
+  async playPrompt(streamSid, text, options = {}) {
+    const queue = this.playbackQueues.get(streamSid);
+    if (!queue) {
+      throw new Error(`No playback queue for stream ${streamSid}`);
+    }
+
+    const { interrupt = false, ...synthesisOptions } = options;
+    const audio = await this.synthesize(text, synthesisOptions);
+    const name = `prompt-${++this.promptCount}`;
+
+    if (interrupt) {
+      queue.clear(['speech', 'filler']);
+      if (queue.ws.readyState === queue.ws.OPEN) {
+        queue.ws.send(JSON.stringify({ event: 'clear', streamSid }));
+      }
+    }
+
+    queue.enqueueAudio(audio, 'prompt');
+    queue.enqueueMark(name, 'prompt');
+
+    const durationMs = Math.round(audio.length / 8);
+    log.info('Queued prompt', { streamSid, name, durationMs, text });
+    return { name, durationMs };
+  }
+
+  /**
+   * Fill a stream with comfort noise until something else is queued
+   * @param {string} streamSid - Stream SID
+   * @param {number} durationMs - Noise duration
+   */
+  playFiller(streamSid, durationMs) {
+    const queue = this.playbackQueues.get(streamSid);
+    if (!queue) return;
+
+    queue.enqueueAudio(encodeMulaw(comfortNoise(durationMs)), 'filler');
+  }
+
+  /**
+   * Hold playback on a stream; queued audio waits
+   * @param {string} streamSid - Stream SID
+   */
+  pausePlayback(streamSid) {
+    const queue = this.playbackQueues.get(streamSid);
+    if (queue) queue.pause();
+  }
+
+  /**
+   * Continue playback on a stream
+   * @param {string} streamSid - Stream SID
+   */
+  resumePlayback(streamSid) {
+    const queue = this.playbackQueues.get(streamSid);
+    if (queue) queue.resume();
+  }
+
+  /**
+   * Drop queued audio on a stream
+   * @param {string} streamSid - Stream SID
+   * @param {Array<string>} priorities - Priorities to drop (default all)
+   * @returns {number} - Milliseconds of audio dropped
+   */
+  flushPlayback(streamSid, priorities) {
+    const queue = this.playbackQueues.get(streamSid);
+    return queue ? queue.flush(priorities) : 0;
+  }
+
   /**
    * Handle audio chunks from streaming TTS
    * @param {Object} data - Audio chunk data
@@ -201,39 +737,35 @@ class StreamingAccentConverterV2 extends EventEmitter {
     const sessionData = this.activeSessions.get(sessionId);
     
     if (!sessionData || !sessionData.isActive) {
-      console.warn(`⚠️  StreamingAccentConverter: Received audio for inactive session ${sessionId}`);
+      log.warn('Received audio for inactive session', { sessionId });
       return;
     }
 
     try {
       // Check if WebSocket is still open
       if (sessionData.ws.readyState !== sessionData.ws.OPEN) {
-        console.warn(`⚠️  StreamingAccentConverter: WebSocket closed for session ${sessionId}`);
+        sessionData.log.warn('WebSocket closed, closing session');
         this.closeSession(sessionId);
         return;
       }
 
-      // Convert audio to base64 for Twilio
-      const audioBase64 = audioContent.toString('base64');
-      
-      // Create Twilio media message
-      const mediaMessage = {
-        event: 'media',
-        streamSid: sessionData.streamSid,
-        media: {
-          payload: audioBase64
-        }
-      };
+      // Queue the audio; it is sent in 20 ms frames at playback pace
+      sessionData.outbound.enqueueAudio(audioContent);
 
-      // Send audio via WebSocket
-      sessionData.ws.send(JSON.stringify(mediaMessage));
-      
       // Update session metrics
       sessionData.audioChunkCount++;
       sessionData.totalAudioSent += chunkSize;
       sessionData.lastActivityTime = Date.now();
 
-      console.log(`🎵 StreamingAccentConverter: Sent audio chunk ${sessionData.audioChunkCount} for session ${sessionId}: ${chunkSize} bytes, latency: ${latency}ms`);
+      sessionData.playback.recordAudio(chunkSize);
+      this.scheduleMarks(sessionData);
+
+      sessionData.log.debug('Queued audio chunk', {
+        chunkNumber: sessionData.audioChunkCount,
+        bytes: chunkSize,
+        latencyMs: latency,
+        queueDepthMs: sessionData.outbound.getQueueDepthMs()
+      });
 
       // Emit audio sent event
       this.emit('audioSent', {
@@ -241,11 +773,12 @@ class StreamingAccentConverterV2 extends EventEmitter {
         chunkNumber: sessionData.audioChunkCount,
         chunkSize,
         totalAudioSent: sessionData.totalAudioSent,
+        queueDepthMs: sessionData.outbound.getQueueDepthMs(),
         latency
       });
 
     } catch (error) {
-      console.error(`❌ StreamingAccentConverter: Error sending audio for session ${sessionId}:`, error.message);
+      sessionData.log.error('Error queuing audio', { error });
       this.emit('error', { sessionId, error });
     }
   }
@@ -257,14 +790,23 @@ class StreamingAccentConverterV2 extends EventEmitter {
   closeSession(callSid) {
     const sessionData = this.activeSessions.get(callSid);
     if (!sessionData) {
-      console.warn(`⚠️  StreamingAccentConverter: Session ${callSid} not found for closing`);
+      log.warn('Session not found for closing', { sessionId: callSid });
       return;
     }
 
     try {
-      console.log(`🔚 StreamingAccentConverter: Closing session ${callSid}`);
+      sessionData.log.info('Closing session');
       
       sessionData.isActive = false;
+      clearTimeout(sessionData.markTimer);
+
+      // Segments not played by now never will be
+      for (const segment of sessionData.playback.clearPending()) {
+        this.emitSegmentCompleted(sessionData, segment);
+      }
+
+      // No mark follows the session's last audio; let other audio on the stream play after it
+      sessionData.outbound.endUnit();
       
       // Close TTS session
       if (sessionData.ttsSession) {
@@ -275,11 +817,12 @@ class StreamingAccentConverterV2 extends EventEmitter {
       const duration = Date.now() - sessionData.startTime;
       const textCount = sessionData.textBuffer.length;
       
-      console.log(`📊 StreamingAccentConverter: Session ${callSid} final metrics:`);
-      console.log(`   Duration: ${duration}ms`);
-      console.log(`   Text chunks processed: ${textCount}`);
-      console.log(`   Audio chunks sent: ${sessionData.audioChunkCount}`);
-      console.log(`   Total audio sent: ${sessionData.totalAudioSent} bytes`);
+      sessionData.log.info('Session final metrics', {
+        durationMs: duration,
+        textCount,
+        audioChunkCount: sessionData.audioChunkCount,
+        totalAudioBytes: sessionData.totalAudioSent
+      });
       
       // Emit session closed event
       this.emit('sessionClosed', {
@@ -296,7 +839,7 @@ class StreamingAccentConverterV2 extends EventEmitter {
       this.activeSessions.delete(callSid);
 
     } catch (error) {
-      console.error(`❌ StreamingAccentConverter: Error closing session ${callSid}:`, error.message);
+      sessionData.log.error('Error closing session', { error });
     }
   }
 
@@ -315,14 +858,23 @@ class StreamingAccentConverterV2 extends EventEmitter {
     return {
       callSid,
       streamSid: sessionData.streamSid,
+      track: sessionData.track,
       isActive: sessionData.isActive,
       duration,
       timeSinceLastActivity,
+      provider: sessionData.provider,
+      profile: sessionData.profile.id,
+      voice: sessionData.voice,
       textCount: sessionData.textBuffer.length,
       audioChunkCount: sessionData.audioChunkCount,
       totalAudioSent: sessionData.totalAudioSent,
+      bargeInEnabled: sessionData.bargeIn,
+      bargeInCount: sessionData.bargeInCount,
       avgAudioChunkSize: sessionData.audioChunkCount > 0 ? 
-        Math.round(sessionData.totalAudioSent / sessionData.audioChunkCount) : 0
+        Math.round(sessionData.totalAudioSent / sessionData.audioChunkCount) : 0,
+      speakingRate: sessionData.rateController ? sessionData.rateController.getState() : null,
+      outbound: sessionData.outbound.getMetrics(),
+      playback: sessionData.playback.getMetrics()
     };
   }
 
@@ -345,11 +897,15 @@ class StreamingAccentConverterV2 extends EventEmitter {
    * Close all active sessions
    */
   closeAllSessions() {
-    console.log(`🔚 StreamingAccentConverter: Closing all ${this.activeSessions.size} sessions`);
+    log.info('Closing all sessions', { count: this.activeSessions.size });
     
     for (const callSid of this.activeSessions.keys()) {
       this.closeSession(callSid);
     }
+
+    for (const streamSid of this.playbackQueues.keys()) {
+      this.releasePlaybackQueue(streamSid);
+    }
   }
 
   /**
@@ -381,7 +937,7 @@ class StreamingAccentConverterV2 extends EventEmitter {
       const timeSinceLastActivity = now - sessionData.lastActivityTime;
       
       if (timeSinceLastActivity > maxInactiveTime) {
-        console.log(`🧹 StreamingAccentConverter: Session ${callSid} inactive for ${timeSinceLastActivity}ms, closing`);
+        sessionData.log.info('Session inactive, closing', { inactiveMs: timeSinceLastActivity });
         sessionsToClose.push(callSid);
       }
     }
@@ -391,7 +947,7 @@ class StreamingAccentConverterV2 extends EventEmitter {
     }
 
     if (sessionsToClose.length > 0) {
-      console.log(`🧹 StreamingAccentConverter: Cleaned up ${sessionsToClose.length} inactive sessions`);
+      log.info('Cleaned up inactive sessions', { count: sessionsToClose.length });
     }
   }
 }
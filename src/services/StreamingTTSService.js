@@ -1,12 +1,16 @@
-const textToSpeech = require('@google-cloud/text-to-speech');
-const path = require('path');
-const fs = require('fs');
 const { EventEmitter } = require('events');
-const { getDefaultConfig, mergeConfig, TTS_CONFIG } = require('../config/tts-config');
+const { getTTSProvider } = require('./tts');
+const { mergeConfig, TTS_CONFIG } = require('../config/tts-config');
+const SSMLBuilder = require('./SSMLBuilder');
+const { metrics } = require('../metrics');
+const { createLogger } = require('../logging');
+
+const log = createLogger('StreamingTTS');
 
 /**
- * StreamingTTSService - Implements Google Cloud's StreamingSynthesize RPC method
- * for smooth, continuous text-to-speech without robotic jumps between chunks
+ * StreamingTTSService - Drives StreamingSynthesize-style calls on a pluggable
+ * TTS provider (see src/services/tts) for smooth, continuous text-to-speech
+ * without robotic jumps between chunks
  */
 class StreamingTTSService extends EventEmitter {
   constructor() {
@@ -18,28 +22,20 @@ class StreamingTTSService extends EventEmitter {
     
     this.initializeClient();
     this.activeStreams = new Map();
+    this.ssmlBuilder = new SSMLBuilder();
     
     StreamingTTSService.instance = this;
   }
 
   /**
-   * Initialize Google Cloud TTS client
+   * Initialize the deployment-wide TTS provider
    */
   initializeClient() {
     try {
-      const credentialsPath = path.join(__dirname, '../../config/creds.json');
-      
-      if (fs.existsSync(credentialsPath)) {
-        console.log('✅ StreamingTTS: Using Google Cloud credentials from config/creds.json');
-        this.ttsClient = new textToSpeech.TextToSpeechClient({ 
-          keyFilename: credentialsPath 
-        });
-      } else {
-        console.log('❌ StreamingTTS: No credentials file found at config/creds.json');
-        throw new Error('Google Cloud credentials not found');
-      }
+      this.provider = getTTSProvider();
+      log.info('Using TTS provider', { provider: this.provider.name });
     } catch (error) {
-      console.error('❌ StreamingTTS: Error initializing client:', error.message);
+      log.error('Error initializing provider', { error });
       throw error;
     }
   }
@@ -48,30 +44,44 @@ class StreamingTTSService extends EventEmitter {
    * Create a new streaming TTS session
    * @param {string} sessionId - Unique identifier for the session
    * @param {Object} options - Configuration options
+   * @param {string} options.provider - TTS provider name (defaults to TTS_PROVIDER)
+   * @param {Array<string>} options.lexicons - Lexicon ids applied to the text, in order of precedence
+   * @param {Object} options.logContext - Fields added to the session's log entries ({ callSid, streamSid, tenant })
    * @returns {Object} - Stream control object
    */
   createStreamingSession(sessionId, options = {}) {
+    const sessionLog = log.child({ sessionId, ...options.logContext });
+
     try {
-      console.log(`🎵 StreamingTTS: Creating session ${sessionId}`);
+      sessionLog.info('Creating session');
       
+      const provider = options.provider ? getTTSProvider(options.provider) : this.provider;
+
       // Use centralized configuration with custom options merged
       const config = mergeConfig(options);
       
-      console.log(`🎤 StreamingTTS: Using voice: ${config.voice.name} (${config.voice.languageCode})`);
+      sessionLog.info('Using voice', { voice: config.voice.name, languageCode: config.voice.languageCode, provider: provider.name });
 
       // Create the streaming synthesis call
-      const streamingCall = this.ttsClient.streamingSynthesize();
+      const streamingCall = provider.createStream();
       
       // Track audio chunks for this session
       const sessionData = {
+        log: sessionLog,
+        provider,
         streamingCall,
         config,
+        lexicons: options.lexicons || [],
         isConfigured: false,
         audioBuffer: [],
         totalAudioSize: 0,
         startTime: Date.now(),
         lastTextTime: Date.now(),
+        lastAudioTime: 0,
+        awaitingFirstAudio: false, // Text was sent and no audio has come back for it yet
+        firstTextTime: 0,
         lastKeepaliveTime: Date.now(),
+        pendingReconfig: false, // Config changed; the stream is swapped once idle
         textQueue: [],
         isActive: true,
         keepaliveInterval: null,
@@ -83,19 +93,7 @@ class StreamingTTSService extends EventEmitter {
       this.setupKeepalive(sessionId, sessionData);
 
       // Handle streaming responses
-      streamingCall.on('data', (response) => {
-        this.handleStreamingResponse(sessionId, response, sessionData);
-      });
-
-      streamingCall.on('error', (error) => {
-        console.error(`❌ StreamingTTS: Session ${sessionId} error:`, error.message);
-        this.handleStreamError(sessionId, error, sessionData);
-      });
-
-      streamingCall.on('end', () => {
-        console.log(`🔚 StreamingTTS: Session ${sessionId} ended`);
-        this.cleanupSession(sessionId, sessionData);
-      });
+      this.attachStreamHandlers(sessionId, sessionData, streamingCall);
 
       // Store session
       this.activeStreams.set(sessionId, sessionData);
@@ -105,17 +103,173 @@ class StreamingTTSService extends EventEmitter {
 
       return {
         sessionId,
-        addText: (text) => this.addText(sessionId, text),
+        addText: (text, options) => this.addText(sessionId, text, options),
+        cancel: () => this.cancelStream(sessionId),
+        setSpeakingRate: (speakingRate) => this.setSpeakingRate(sessionId, speakingRate),
+        setVoice: (voice) => this.setVoice(sessionId, voice),
         close: () => this.closeSession(sessionId),
         isActive: () => this.activeStreams.has(sessionId)
       };
 
     } catch (error) {
-      console.error(`❌ StreamingTTS: Error creating session ${sessionId}:`, error.message);
+      sessionLog.error('Error creating session', { error });
       throw error;
     }
   }
 
+  /**
+   * Attach response handlers to a streaming call
+   * Events from a call that has since been replaced (cancelled or recreated)
+   * are ignored, so stale audio never reaches the caller.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} sessionData - Session data
+   * @param {Object} streamingCall - Streaming call to attach to
+   */
+  attachStreamHandlers(sessionId, sessionData, streamingCall) {
+    const isCurrent = () => sessionData.streamingCall === streamingCall;
+
+    streamingCall.on('data', (response) => {
+      if (!isCurrent()) return;
+      this.handleStreamingResponse(sessionId, response, sessionData);
+    });
+
+    streamingCall.on('error', (error) => {
+      if (!isCurrent()) return;
+      sessionData.log.error('Stream error', { error });
+      this.handleStreamError(sessionId, error, sessionData);
+    });
+
+    streamingCall.on('end', () => {
+      if (!isCurrent()) return;
+      sessionData.log.info('Stream ended');
+      this.cleanupSession(sessionId, sessionData);
+    });
+  }
+
+  /**
+   * Cancel in-flight synthesis and start a fresh stream with the same config
+   * Audio still pending on the old stream is discarded.
+   * @param {string} sessionId - Session identifier
+   */
+  cancelStream(sessionId) {
+    const sessionData = this.activeStreams.get(sessionId);
+    if (!sessionData || !sessionData.isActive) return;
+
+    const cancelledCall = sessionData.streamingCall;
+    sessionData.log.info('Cancelling in-flight synthesis');
+
+    // Detach first so late responses from the cancelled call are ignored
+    sessionData.streamingCall = null;
+
+    try {
+      if (typeof cancelledCall.cancel === 'function') {
+        cancelledCall.cancel();
+      } else {
+        cancelledCall.end();
+      }
+    } catch (error) {
+      sessionData.log.warn('Error cancelling stream', { error });
+    }
+
+    this.recreateStream(sessionId, sessionData);
+    this.emit('streamCancelled', { sessionId });
+  }
+
+  /**
+   * Change the speaking rate of a session (see reconfigure)
+   * @param {string} sessionId - Session identifier
+   * @param {number} speakingRate - New speaking rate
+   * @returns {boolean} - Whether the rate changed
+   */
+  setSpeakingRate(sessionId, speakingRate) {
+    const sessionData = this.activeStreams.get(sessionId);
+    if (!sessionData || !sessionData.isActive) return false;
+    if (sessionData.config.streamingAudioConfig.speakingRate === speakingRate) return false;
+
+    this.reconfigure(sessionData, {
+      ...sessionData.config,
+      streamingAudioConfig: { ...sessionData.config.streamingAudioConfig, speakingRate }
+    });
+
+    sessionData.log.info('Speaking rate set', { speakingRate, deferred: sessionData.pendingReconfig });
+    this.emit('speakingRateChanged', { sessionId, speakingRate, deferred: sessionData.pendingReconfig });
+    return true;
+  }
+
+  /**
+   * Switch the voice of a session (see reconfigure)
+   * @param {string} sessionId - Session identifier
+   * @param {Object} voice - Voice selection ({ languageCode, name }, see resolveVoice)
+   * @returns {boolean} - Whether the voice changed
+   */
+  setVoice(sessionId, voice) {
+    const sessionData = this.activeStreams.get(sessionId);
+    if (!sessionData || !sessionData.isActive) return false;
+    if (sessionData.config.voice.name === voice.name) return false;
+
+    this.reconfigure(sessionData, { ...sessionData.config, voice: { ...voice } });
+
+    sessionData.log.info('Voice set', { voice: voice.name, deferred: sessionData.pendingReconfig });
+    this.emit('voiceChanged', { sessionId, voice: voice.name, deferred: sessionData.pendingReconfig });
+    return true;
+  }
+
+  /**
+   * Apply a new config to a session's stream
+   * Providers that accept a new config mid-stream get it immediately; for the
+   * others the stream is swapped for a reconfigured one once it is idle, so
+   * audio already being synthesized is not cut off.
+   * @param {Object} sessionData - Session data
+   * @param {Object} config - New TTS configuration
+   */
+  reconfigure(sessionData, config) {
+    sessionData.config = config;
+
+    if (sessionData.provider.capabilities.streamingReconfig && sessionData.streamingCall) {
+      try {
+        sessionData.streamingCall.write({
+          streamingConfig: {
+            voice: sessionData.config.voice,
+            streamingAudioConfig: sessionData.config.streamingAudioConfig
+          }
+        });
+      } catch (error) {
+        sessionData.log.warn('Error reconfiguring stream', { error });
+        sessionData.pendingReconfig = true;
+      }
+    } else {
+      sessionData.pendingReconfig = true;
+    }
+  }
+
+  /**
+   * Swap in a stream with the current config if one is pending and the stream is idle
+   * Idle means quiet for reconfigIdleMs with no text still waiting for its
+   * audio: the old call's late audio is ignored once it is replaced.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} sessionData - Session data
+   */
+  applyPendingReconfig(sessionId, sessionData) {
+    if (!sessionData.pendingReconfig || sessionData.awaitingFirstAudio) return;
+
+    const quietMs = Date.now() - Math.max(sessionData.lastTextTime, sessionData.lastAudioTime);
+    if (quietMs < TTS_CONFIG.streaming.reconfigIdleMs) return;
+
+    const previousCall = sessionData.streamingCall;
+    sessionData.log.info('Reconfiguring idle stream');
+
+    // The new call replaces the old one first, so the old call's end is ignored
+    this.recreateStream(sessionId, sessionData);
+
+    try {
+      if (previousCall) {
+        previousCall.end();
+      }
+    } catch (error) {
+      sessionData.log.warn('Error ending previous stream', { error });
+    }
+  }
+
   /**
    * Setup keepalive mechanism to prevent stream timeout
    * @param {string} sessionId - Session identifier
@@ -144,7 +298,7 @@ class StreamingTTSService extends EventEmitter {
       // Only send keepalive if no text has been sent recently and no recent keepalive
       if (timeSinceLastText > keepaliveThreshold && timeSinceLastKeepalive > keepaliveThreshold) {
         try {
-          console.log(`💓 StreamingTTS: Sending keepalive for session ${sessionId}`);
+          sessionData.log.debug('Sending keepalive');
           
           // Send empty text to keep stream alive
           const keepaliveRequest = {
@@ -158,11 +312,11 @@ class StreamingTTSService extends EventEmitter {
             sessionData.lastKeepaliveTime = Date.now();
           } else {
             // Stream not ready, attempt to recreate
-            console.warn(`⚠️  StreamingTTS: Stream not ready for keepalive on session ${sessionId}, attempting recreation`);
+            sessionData.log.warn('Stream not ready for keepalive, attempting recreation');
             this.recreateStream(sessionId, sessionData);
           }
         } catch (error) {
-          console.error(`❌ StreamingTTS: Keepalive error for session ${sessionId}:`, error.message);
+          sessionData.log.error('Keepalive error', { error });
           // Attempt to recreate stream on keepalive error
           this.handleStreamError(sessionId, error, sessionData);
         }
@@ -187,12 +341,24 @@ class StreamingTTSService extends EventEmitter {
                               error.message.includes('timeout');
 
     if (isRecoverableError && sessionData.reconnectAttempts < sessionData.maxReconnectAttempts) {
-      console.log(`🔄 StreamingTTS: Attempting to reconnect session ${sessionId} (attempt ${sessionData.reconnectAttempts + 1}/${sessionData.maxReconnectAttempts})`);
+      sessionData.log.warn('Attempting to reconnect', {
+        error,
+        attempt: sessionData.reconnectAttempts + 1,
+        maxAttempts: sessionData.maxReconnectAttempts
+      });
       
       sessionData.reconnectAttempts++;
+      metrics.ttsReconnects.inc();
       
       // Use configured backoff time with exponential backoff
       const backoffTime = TTS_CONFIG.streaming.reconnectBackoffMs * sessionData.reconnectAttempts;
+      this.emit('reconnecting', {
+        sessionId,
+        attempt: sessionData.reconnectAttempts,
+        maxAttempts: sessionData.maxReconnectAttempts,
+        backoffMs: backoffTime,
+        error
+      });
       
       // Attempt to recreate the stream
       setTimeout(() => {
@@ -217,39 +383,29 @@ class StreamingTTSService extends EventEmitter {
         return;
       }
 
-      console.log(`🔄 StreamingTTS: Recreating stream for session ${sessionId}`);
+      sessionData.log.info('Recreating stream');
 
       // Create new streaming call
-      const newStreamingCall = this.ttsClient.streamingSynthesize();
+      const newStreamingCall = sessionData.provider.createStream();
       
       // Update session data
       sessionData.streamingCall = newStreamingCall;
       sessionData.isConfigured = false;
+      sessionData.pendingReconfig = false;
+      sessionData.awaitingFirstAudio = false;
       sessionData.lastTextTime = Date.now();
       sessionData.lastKeepaliveTime = Date.now();
 
       // Setup event handlers
-      newStreamingCall.on('data', (response) => {
-        this.handleStreamingResponse(sessionId, response, sessionData);
-      });
-
-      newStreamingCall.on('error', (error) => {
-        console.error(`❌ StreamingTTS: Recreated session ${sessionId} error:`, error.message);
-        this.handleStreamError(sessionId, error, sessionData);
-      });
-
-      newStreamingCall.on('end', () => {
-        console.log(`🔚 StreamingTTS: Recreated session ${sessionId} ended`);
-        this.cleanupSession(sessionId, sessionData);
-      });
+      this.attachStreamHandlers(sessionId, sessionData, newStreamingCall);
 
       // Send initial configuration
       this.sendInitialConfig(sessionId, sessionData.config);
 
-      console.log(`✅ StreamingTTS: Successfully recreated stream for session ${sessionId}`);
+      sessionData.log.info('Recreated stream');
 
     } catch (error) {
-      console.error(`❌ StreamingTTS: Error recreating stream for session ${sessionId}:`, error.message);
+      sessionData.log.error('Error recreating stream', { error });
       this.emit('error', { sessionId, error });
       this.cleanupSession(sessionId, sessionData);
     }
@@ -272,12 +428,12 @@ class StreamingTTSService extends EventEmitter {
         }
       };
 
-      console.log(`⚙️  StreamingTTS: Sending config for session ${sessionId}`);
+      sessionData.log.debug('Sending config');
       sessionData.streamingCall.write(initialRequest);
       sessionData.isConfigured = true;
 
     } catch (error) {
-      console.error(`❌ StreamingTTS: Error sending config for ${sessionId}:`, error.message);
+      sessionData.log.error('Error sending config', { error });
       this.handleStreamError(sessionId, error, sessionData);
     }
   }
@@ -286,35 +442,47 @@ class StreamingTTSService extends EventEmitter {
    * Add text to be synthesized in the streaming session
    * @param {string} sessionId - Session identifier
    * @param {string} text - Text to synthesize
+   * @param {Object} options - { words, previousWordEnd } speaker timings for prosody (see SSMLBuilder)
    */
-  addText(sessionId, text) {
+  addText(sessionId, text, options = {}) {
     const sessionData = this.activeStreams.get(sessionId);
     if (!sessionData || !sessionData.isActive) {
-      console.warn(`⚠️  StreamingTTS: Session ${sessionId} not active, ignoring text: "${text}"`);
+      log.warn('Session not active, ignoring text', { sessionId, text });
       return;
     }
 
     if (!text || !text.trim()) {
-      console.warn(`⚠️  StreamingTTS: Empty text for session ${sessionId}`);
+      sessionData.log.warn('Empty text');
       return;
     }
 
     try {
+      // A deferred config change is applied before the next text, while idle
+      this.applyPendingReconfig(sessionId, sessionData);
+
       // Optimize text for better prosody
       const optimizedText = this.optimizeTextForStreaming(text);
       
-      console.log(`📝 StreamingTTS: Adding text to session ${sessionId}: "${optimizedText}"`);
-      
+      sessionData.log.debug('Adding text', { text: optimizedText });
+
+      // Prosody and lexicon pronunciations; SSML only where the provider streams it
       const textRequest = {
-        input: {
-          text: optimizedText
-        }
+        input: this.ssmlBuilder.build(optimizedText, {
+          words: options.words,
+          previousWordEnd: options.previousWordEnd,
+          lexicons: sessionData.lexicons,
+          ssml: sessionData.provider.capabilities.streamingSsml
+        })
       };
 
       // Send text immediately for real-time streaming
       if (sessionData.streamingCall && sessionData.isConfigured) {
         sessionData.streamingCall.write(textRequest);
         sessionData.lastTextTime = Date.now();
+        if (!sessionData.awaitingFirstAudio) {
+          sessionData.awaitingFirstAudio = true;
+          sessionData.firstTextTime = sessionData.lastTextTime;
+        }
         sessionData.textQueue.push({
           text: optimizedText,
           timestamp: Date.now()
@@ -326,12 +494,12 @@ class StreamingTTSService extends EventEmitter {
         // Emit text added event
         this.emit('textAdded', { sessionId, text: optimizedText });
       } else {
-        console.warn(`⚠️  StreamingTTS: Stream not ready for session ${sessionId}, queuing text`);
+        sessionData.log.warn('Stream not ready, text dropped', { text: optimizedText });
         // Could implement a queue here for texts sent before stream is ready
       }
 
     } catch (error) {
-      console.error(`❌ StreamingTTS: Error adding text to ${sessionId}:`, error.message);
+      sessionData.log.error('Error adding text', { error });
       this.handleStreamError(sessionId, error, sessionData);
     }
   }
@@ -353,8 +521,15 @@ class StreamingTTSService extends EventEmitter {
         sessionData.totalAudioSize += chunkSize;
         
         const latency = Date.now() - sessionData.lastTextTime;
+        sessionData.lastAudioTime = Date.now();
+
+        // Text-to-first-audio counts from the first text the synthesizer was still silent on
+        if (sessionData.awaitingFirstAudio) {
+          sessionData.awaitingFirstAudio = false;
+          metrics.ttsFirstAudioLatency.observe({ provider: sessionData.provider.name }, (sessionData.lastAudioTime - sessionData.firstTextTime) / 1000);
+        }
         
-        console.log(`🎵 StreamingTTS: Session ${sessionId} audio chunk: ${chunkSize} bytes, latency: ${latency}ms`);
+        sessionData.log.debug('Audio chunk', { bytes: chunkSize, latencyMs: latency });
         
         // Emit audio chunk immediately for real-time playback
         this.emit('audioChunk', {
@@ -366,7 +541,7 @@ class StreamingTTSService extends EventEmitter {
         });
       }
     } catch (error) {
-      console.error(`❌ StreamingTTS: Error handling response for ${sessionId}:`, error.message);
+      sessionData.log.error('Error handling response', { error });
       this.handleStreamError(sessionId, error, sessionData);
     }
   }
@@ -419,7 +594,7 @@ class StreamingTTSService extends EventEmitter {
       this.activeStreams.delete(sessionId);
 
     } catch (error) {
-      console.error(`❌ StreamingTTS: Error cleaning up session ${sessionId}:`, error.message);
+      sessionData.log.error('Error cleaning up session', { error });
     }
   }
 
@@ -432,7 +607,7 @@ class StreamingTTSService extends EventEmitter {
     if (!sessionData) return;
 
     try {
-      console.log(`🔚 StreamingTTS: Closing session ${sessionId}`);
+      sessionData.log.info('Closing session');
       
       sessionData.isActive = false;
       
@@ -446,12 +621,13 @@ class StreamingTTSService extends EventEmitter {
       const textCount = sessionData.textQueue.length;
       const avgLatency = textCount > 0 ? duration / textCount : 0;
       
-      console.log(`📊 StreamingTTS: Session ${sessionId} metrics:`);
-      console.log(`   Duration: ${duration}ms`);
-      console.log(`   Text chunks: ${textCount}`);
-      console.log(`   Total audio: ${sessionData.totalAudioSize} bytes`);
-      console.log(`   Avg latency: ${avgLatency.toFixed(1)}ms`);
-      console.log(`   Reconnect attempts: ${sessionData.reconnectAttempts}`);
+      sessionData.log.info('Session metrics', {
+        durationMs: duration,
+        textCount,
+        totalAudioBytes: sessionData.totalAudioSize,
+        avgLatencyMs: Number(avgLatency.toFixed(1)),
+        reconnectAttempts: sessionData.reconnectAttempts
+      });
       
       // Emit session closed event
       this.emit('sessionClosed', {
@@ -469,7 +645,7 @@ class StreamingTTSService extends EventEmitter {
       this.cleanupSession(sessionId, sessionData);
       
     } catch (error) {
-      console.error(`❌ StreamingTTS: Error closing session ${sessionId}:`, error.message);
+      sessionData.log.error('Error closing session', { error });
     }
   }
 
@@ -496,6 +672,9 @@ class StreamingTTSService extends EventEmitter {
       duration: Date.now() - sessionData.startTime,
       textCount: sessionData.textQueue.length,
       totalAudioSize: sessionData.totalAudioSize,
+      voice: sessionData.config.voice.name,
+      speakingRate: sessionData.config.streamingAudioConfig.speakingRate,
+      pendingReconfig: sessionData.pendingReconfig,
       lastTextTime: sessionData.lastTextTime
     };
   }
@@ -504,7 +683,7 @@ class StreamingTTSService extends EventEmitter {
    * Close all active sessions
    */
   closeAllSessions() {
-    console.log(`🔚 StreamingTTS: Closing all ${this.activeStreams.size} sessions`);
+    log.info('Closing all sessions', { count: this.activeStreams.size });
     
     for (const sessionId of this.activeStreams.keys()) {
       this.closeSession(sessionId);
@@ -0,0 +1,173 @@
+process.env.TTS_PROVIDER = 'local';
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const StreamingTTSService = require('./StreamingTTSService');
+const TextToSpeechProvider = require('./tts/TextToSpeechProvider');
+const { TTS_CONFIG } = require('../config/tts-config');
+
+/**
+ * Streaming call that records what is written to it
+ */
+class FakeStreamingCall extends EventEmitter {
+  constructor() {
+    super();
+    this.writes = [];
+    this.ended = false;
+  }
+
+  write(request) {
+    this.writes.push(request);
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  /**
+   * Text written to the call
+   * @returns {Array<string>} - Input texts
+   */
+  texts() {
+    return this.writes.filter((request) => request.input).map((request) => request.input.text);
+  }
+}
+
+/**
+ * Provider handing out FakeStreamingCalls
+ */
+class FakeProvider extends TextToSpeechProvider {
+  constructor({ streamingReconfig }) {
+    super('fake');
+    this.capabilities = { ...this.capabilities, streamingReconfig };
+    this.calls = [];
+  }
+
+  createStream() {
+    const call = new FakeStreamingCall();
+    this.calls.push(call);
+    return call;
+  }
+}
+
+/**
+ * Make a session look quiet for longer than reconfigIdleMs
+ * @param {Object} sessionData - Session data
+ */
+function makeIdle(sessionData) {
+  const quietSince = Date.now() - TTS_CONFIG.streaming.reconfigIdleMs - 1;
+  sessionData.lastTextTime = quietSince;
+  sessionData.lastAudioTime = quietSince;
+}
+
+describe('StreamingTTSService reconfiguration', () => {
+  const service = new StreamingTTSService();
+  const originalProvider = service.provider;
+  let provider;
+  let audio;
+  const onAudio = (chunk) => audio.push(chunk);
+
+  beforeEach(() => {
+    audio = [];
+    service.on('audioChunk', onAudio);
+  });
+
+  afterEach(() => {
+    service.closeAllSessions();
+    service.off('audioChunk', onAudio);
+    service.provider = originalProvider;
+  });
+
+  /**
+   * Open a session on a fake provider
+   * @param {Object} options - { streamingReconfig }
+   * @returns {Object} - { session, sessionData }
+   */
+  function open({ streamingReconfig }) {
+    provider = new FakeProvider({ streamingReconfig });
+    service.provider = provider;
+
+    const session = service.createStreamingSession('CA1', { speakingRate: 1.0 });
+    return { session, sessionData: service.activeStreams.get('CA1') };
+  }
+
+  it('reconfigures mid-stream when the provider supports it', () => {
+    const { session } = open({ streamingReconfig: true });
+
+    assert.equal(session.setVoice({ languageCode: 'en-GB', name: 'en-GB-Test-B' }), true);
+
+    assert.equal(provider.calls.length, 1);
+    assert.equal(provider.calls[0].writes.at(-1).streamingConfig.voice.name, 'en-GB-Test-B');
+    assert.equal(service.getSessionMetrics('CA1').pendingReconfig, false);
+  });
+
+  it('ignores changes to the current setting', () => {
+    const { session } = open({ streamingReconfig: false });
+
+    assert.equal(session.setSpeakingRate(1.0), false);
+    assert.equal(service.getSessionMetrics('CA1').pendingReconfig, false);
+  });
+
+  it('defers the stream swap until the session is idle', () => {
+    const { session, sessionData } = open({ streamingReconfig: false });
+
+    session.addText('first part');
+    provider.calls[0].emit('data', { audioContent: Buffer.alloc(160) });
+    session.setSpeakingRate(1.2);
+    assert.equal(service.getSessionMetrics('CA1').pendingReconfig, true);
+
+    // Still speaking: the text goes to the current stream
+    session.addText('second part');
+    assert.equal(provider.calls.length, 1);
+    provider.calls[0].emit('data', { audioContent: Buffer.alloc(160) });
+
+    makeIdle(sessionData);
+    session.addText('third part');
+
+    const [previous, current] = provider.calls;
+    assert.equal(previous.ended, true);
+    assert.equal(current.writes[0].streamingConfig.streamingAudioConfig.speakingRate, 1.2);
+    assert.deepEqual(previous.texts(), ['first part', 'second part']);
+    assert.deepEqual(current.texts(), ['third part']);
+    assert.equal(service.getSessionMetrics('CA1').pendingReconfig, false);
+  });
+
+  it('does not swap the stream while text is still waiting for its audio', () => {
+    const { session, sessionData } = open({ streamingReconfig: false });
+
+    session.addText('hello there');
+    session.setVoice({ languageCode: 'en-GB', name: 'en-GB-Test-B' });
+
+    // The synthesizer is slower than reconfigIdleMs to answer
+    makeIdle(sessionData);
+    session.addText('how are you');
+    assert.equal(provider.calls.length, 1);
+
+    provider.calls[0].emit('data', { audioContent: Buffer.from('late audio') });
+    assert.deepEqual(audio.map((chunk) => chunk.audioContent.toString()), ['late audio']);
+
+    // Once the audio is in and the stream has been quiet, the next text swaps it
+    makeIdle(sessionData);
+    session.addText('goodbye');
+    assert.equal(provider.calls.length, 2);
+    assert.equal(provider.calls[1].writes[0].streamingConfig.voice.name, 'en-GB-Test-B');
+    assert.deepEqual(provider.calls[1].texts(), ['goodbye']);
+  });
+
+  it('drops audio from a replaced stream', () => {
+    const { session, sessionData } = open({ streamingReconfig: false });
+
+    session.addText('first part');
+    provider.calls[0].emit('data', { audioContent: Buffer.from('first') });
+    session.setSpeakingRate(0.9);
+    makeIdle(sessionData);
+    session.addText('second part');
+
+    provider.calls[0].emit('data', { audioContent: Buffer.from('stale') });
+    provider.calls[1].emit('data', { audioContent: Buffer.from('second') });
+
+    assert.deepEqual(audio.map((chunk) => chunk.audioContent.toString()), ['first', 'second']);
+  });
+});
@@ -0,0 +1,247 @@
+const { EventEmitter } = require('events');
+
+/**
+ * TranscriptAssembler - Turns a stream of interim/final STT results into
+ * "speak this new text" commits.
+ *
+ * Words are tracked by their start/end timestamps instead of string prefixes:
+ * a word is new when its midpoint lies after the end of the last committed
+ * word. Revisions of words that were already spoken are therefore never
+ * re-spoken, and words that follow a revision are never dropped.
+ *
+ * Events:
+ * - 'commit'        { segmentId, text, words, isFinal, startTime, endTime }
+ * - 'segmentStart'  { segmentId }
+ * - 'segmentEnd'    { segmentId, text }
+ * - 'revision'      { segmentId, spoken, revised } (already spoken words changed)
+ */
+class TranscriptAssembler extends EventEmitter {
+  /**
+   * @param {Object} options - Assembly options
+   * @param {number} options.holdbackWords - Trailing interim words to hold back until they stabilise
+   * @param {number} options.maxCommittedWords - Committed words kept for revision tracking
+   */
+  constructor(options = {}) {
+    super();
+
+    this.holdbackWords = options.holdbackWords || 0;
+    this.maxCommittedWords = options.maxCommittedWords || 100;
+
+    this.committedUntil = -Infinity; // End time (seconds) of the last committed word
+    this.committedWords = [];
+    this.segmentId = 0;
+    this.segmentOpen = false;
+    this.segmentText = [];
+    this.segmentWordCount = 0; // Fallback position for results without word timings
+    this.pending = null; // Latest interim result, for flush()
+  }
+
+  /**
+   * Consume one STT result
+   * A final result ends the segment only if it also ends the speech
+   * (speechFinal); finals in the middle of an utterance just settle words.
+   * @param {Object} result - { transcript, isFinal, speechFinal, words }
+   */
+  push({ transcript, isFinal, speechFinal = isFinal, words }) {
+    if (words && words.length > 0) {
+      this.pushTimedWords(words, isFinal);
+    } else if (transcript && transcript.trim()) {
+      this.pushUntimedTranscript(transcript.trim(), isFinal);
+    }
+
+    if (isFinal && speechFinal) {
+      this.endSegment();
+    } else if (isFinal) {
+      // The next result starts after the settled words
+      this.pending = null;
+      this.segmentWordCount = 0;
+    }
+  }
+
+  /**
+   * Commit new words using their timestamps
+   * @param {Array} words - Words with start/end times
+   * @param {boolean} isFinal - Whether the result is final
+   */
+  pushTimedWords(words, isFinal) {
+    const spoken = [];
+    const revised = [];
+    const fresh = [];
+
+    for (const word of words) {
+      if (this.isCommitted(word)) {
+        const previous = this.findCommittedWord(word);
+        if (previous && normalizeWord(previous.word) !== normalizeWord(word.word)) {
+          spoken.push(previous);
+          revised.push(word);
+        }
+      } else {
+        fresh.push(word);
+      }
+    }
+
+    if (revised.length > 0) {
+      this.emit('revision', { segmentId: this.segmentId, spoken, revised });
+    }
+
+    const ready = isFinal ? fresh : fresh.slice(0, Math.max(0, fresh.length - this.holdbackWords));
+    this.pending = isFinal ? null : { words: fresh.slice(ready.length) };
+
+    if (ready.length > 0) {
+      this.commitWords(ready, isFinal);
+    }
+  }
+
+  /**
+   * Fallback for providers that send interim results without word timings
+   * @param {string} transcript - Transcript text
+   * @param {boolean} isFinal - Whether the result is final
+   */
+  pushUntimedTranscript(transcript, isFinal) {
+    const texts = transcript.split(/\s+/);
+    const limit = isFinal ? texts.length : Math.max(0, texts.length - this.holdbackWords);
+    const fresh = texts.slice(this.segmentWordCount, limit);
+
+    if (fresh.length === 0) return;
+
+    this.segmentWordCount = limit;
+    this.openSegment();
+    this.segmentText.push(...fresh);
+    this.emit('commit', {
+      segmentId: this.segmentId,
+      text: fresh.join(' '),
+      words: [],
+      isFinal,
+      startTime: null,
+      endTime: null
+    });
+  }
+
+  /**
+   * Commit held-back interim words immediately (e.g. on an endpoint)
+   */
+  flush() {
+    if (this.pending && this.pending.words.length > 0) {
+      const { words } = this.pending;
+      this.pending = null;
+      this.commitWords(words, false);
+    }
+  }
+
+  /**
+   * Close the current speech segment; the next commit starts a new one
+   */
+  endSegment() {
+    this.pending = null;
+    this.segmentWordCount = 0;
+
+    if (!this.segmentOpen) return;
+
+    this.segmentOpen = false;
+    this.emit('segmentEnd', { segmentId: this.segmentId, text: this.segmentText.join(' ') });
+    this.segmentText = [];
+  }
+
+  /**
+   * Forget all state, e.g. when the STT stream restarts from zero
+   */
+  reset() {
+    this.endSegment();
+    this.committedUntil = -Infinity;
+    this.committedWords = [];
+  }
+
+  /**
+   * Get a snapshot of the assembler state
+   * @returns {Object} - State snapshot
+   */
+  getState() {
+    return {
+      segmentId: this.segmentId,
+      segmentOpen: this.segmentOpen,
+      segmentText: this.segmentText.join(' '),
+      committedUntil: this.committedUntil,
+      pendingWords: this.pending ? this.pending.words.length : 0
+    };
+  }
+
+  /**
+   * Mark words as spoken and emit a commit
+   * @param {Array} words - Words to commit, in order
+   * @param {boolean} isFinal - Whether the words come from a final result
+   */
+  commitWords(words, isFinal) {
+    this.openSegment();
+
+    for (const word of words) {
+      this.committedWords.push(word);
+      this.committedUntil = Math.max(this.committedUntil, word.end);
+    }
+
+    if (this.committedWords.length > this.maxCommittedWords) {
+      this.committedWords = this.committedWords.slice(-this.maxCommittedWords);
+    }
+
+    const commit = this.buildCommit(words, isFinal);
+    this.segmentText.push(commit.text);
+    this.emit('commit', commit);
+  }
+
+  /**
+   * Build a commit payload
+   * @param {Array} words - Committed words
+   * @param {boolean} isFinal - Whether the commit completes the utterance
+   * @returns {Object} - Commit payload
+   */
+  buildCommit(words, isFinal) {
+    return {
+      segmentId: this.segmentId,
+      text: words.map((word) => word.punctuatedWord || word.punctuated_word || word.word).join(' '),
+      words,
+      isFinal,
+      startTime: words.length > 0 ? words[0].start : null,
+      endTime: words.length > 0 ? words[words.length - 1].end : null
+    };
+  }
+
+  /**
+   * Start a new segment if none is open
+   */
+  openSegment() {
+    if (this.segmentOpen) return;
+
+    this.segmentOpen = true;
+    this.segmentId++;
+    this.emit('segmentStart', { segmentId: this.segmentId });
+  }
+
+  /**
+   * Whether a word lies within audio that has already been spoken
+   * @param {Object} word - Word with start/end times
+   * @returns {boolean} - True if already committed
+   */
+  isCommitted(word) {
+    return (word.start + word.end) / 2 <= this.committedUntil;
+  }
+
+  /**
+   * Find the committed word overlapping a (possibly revised) word
+   * @param {Object} word - Word with start/end times
+   * @returns {Object|undefined} - Overlapping committed word
+   */
+  findCommittedWord(word) {
+    const midpoint = (word.start + word.end) / 2;
+    return this.committedWords.find((committed) => committed.start <= midpoint && midpoint <= committed.end);
+  }
+}
+
+/**
+ * Normalize words for comparison
+ * @param {string} word - Word text
+ * @returns {string} - Normalized word
+ */
+function normalizeWord(word) {
+  return (word || '').toLowerCase().replace(/[^\w'-]/g, '').trim();
+}
+
+module.exports = TranscriptAssembler;
@@ -0,0 +1,250 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TranscriptAssembler = require('./TranscriptAssembler');
+
+/**
+ * Build a timed word
+ * @param {string} word - Word text
+ * @param {number} start - Start time in seconds
+ * @param {number} end - End time in seconds
+ * @returns {Object} - Word as STT providers report it
+ */
+function word(word, start, end) {
+  return { word, start, end };
+}
+
+/**
+ * Record every event an assembler emits, in order
+ * @param {TranscriptAssembler} assembler - Assembler
+ * @returns {Array} - [{ type, ...payload }]
+ */
+function record(assembler) {
+  const events = [];
+  for (const type of ['commit', 'segmentStart', 'segmentEnd', 'revision']) {
+    assembler.on(type, (payload) => events.push({ type, ...payload }));
+  }
+  return events;
+}
+
+/**
+ * Texts of the commits recorded so far
+ * @param {Array} events - Recorded events
+ * @returns {Array<string>} - Commit texts
+ */
+function commits(events) {
+  return events.filter((event) => event.type === 'commit').map((event) => event.text);
+}
+
+describe('TranscriptAssembler', () => {
+  it('commits only the words a final adds to an interim', () => {
+    const assembler = new TranscriptAssembler();
+    const events = record(assembler);
+
+    assembler.push({ isFinal: false, words: [word('hello', 0, 0.4), word('world', 0.5, 0.9)] });
+    assembler.push({
+      isFinal: true,
+      speechFinal: true,
+      words: [word('hello', 0, 0.4), word('world', 0.5, 0.9), word('again', 1.0, 1.3)]
+    });
+
+    assert.deepEqual(commits(events), ['hello world', 'again']);
+    assert.equal(events.find((event) => event.type === 'segmentEnd').text, 'hello world again');
+    assert.equal(assembler.getState().committedUntil, 1.3);
+  });
+
+  it('does not commit anything for a repeated interim', () => {
+    const assembler = new TranscriptAssembler();
+    const events = record(assembler);
+    const words = [word('good', 0, 0.3), word('morning', 0.4, 0.9)];
+
+    assembler.push({ isFinal: false, words });
+    assembler.push({ isFinal: false, words });
+
+    assert.deepEqual(commits(events), ['good morning']);
+  });
+
+  it('reports a revised word without speaking it again', () => {
+    const assembler = new TranscriptAssembler();
+    const events = record(assembler);
+
+    assembler.push({ isFinal: false, words: [word('I', 0, 0.2), word('scream', 0.3, 0.8)] });
+    assembler.push({
+      isFinal: false,
+      words: [word('ice', 0, 0.3), word('cream', 0.35, 0.8), word('please', 0.9, 1.2)]
+    });
+
+    assert.deepEqual(commits(events), ['I scream', 'please']);
+
+    const revision = events.find((event) => event.type === 'revision');
+    assert.deepEqual(revision.spoken.map((spoken) => spoken.word), ['I', 'scream']);
+    assert.deepEqual(revision.revised.map((revised) => revised.word), ['ice', 'cream']);
+    assert.equal(revision.segmentId, 1);
+  });
+
+  it('ignores revisions that only change case or punctuation', () => {
+    const assembler = new TranscriptAssembler();
+    const events = record(assembler);
+
+    assembler.push({ isFinal: false, words: [word('hello', 0, 0.4)] });
+    assembler.push({ isFinal: true, words: [{ ...word('Hello', 0, 0.4), punctuated_word: 'Hello,' }] });
+
+    assert.equal(events.some((event) => event.type === 'revision'), false);
+    assert.deepEqual(commits(events), ['hello']);
+  });
+
+  it('holds back trailing interim words until they settle', () => {
+    const assembler = new TranscriptAssembler({ holdbackWords: 1 });
+    const events = record(assembler);
+
+    assembler.push({ isFinal: false, words: [word('one', 0, 0.3), word('two', 0.4, 0.7), word('three', 0.8, 1.1)] });
+    assert.deepEqual(commits(events), ['one two']);
+    assert.equal(assembler.getState().pendingWords, 1);
+
+    assembler.push({
+      isFinal: false,
+      words: [word('one', 0, 0.3), word('two', 0.4, 0.7), word('three', 0.8, 1.1), word('four', 1.2, 1.5)]
+    });
+    assert.deepEqual(commits(events), ['one two', 'three']);
+
+    assembler.push({
+      isFinal: true,
+      speechFinal: true,
+      words: [word('one', 0, 0.3), word('two', 0.4, 0.7), word('three', 0.8, 1.1), word('four', 1.2, 1.5)]
+    });
+    assert.deepEqual(commits(events), ['one two', 'three', 'four']);
+  });
+
+  it('commits held-back words on flush()', () => {
+    const assembler = new TranscriptAssembler({ holdbackWords: 2 });
+    const events = record(assembler);
+
+    assembler.push({ isFinal: false, words: [word('see', 0, 0.3), word('you', 0.4, 0.6), word('soon', 0.7, 1.0)] });
+    assert.deepEqual(commits(events), ['see']);
+
+    assembler.flush();
+    assert.deepEqual(commits(events), ['see', 'you soon']);
+    assert.equal(events.at(-1).isFinal, false);
+    assert.equal(assembler.getState().pendingWords, 0);
+
+    // Nothing left to flush, and the flushed words are not repeated
+    assembler.flush();
+    assembler.push({ isFinal: true, words: [word('see', 0, 0.3), word('you', 0.4, 0.6), word('soon', 0.7, 1.0)] });
+    assert.deepEqual(commits(events), ['see', 'you soon']);
+  });
+
+  it('prefers punctuated words for the commit text', () => {
+    const assembler = new TranscriptAssembler();
+    const events = record(assembler);
+
+    assembler.push({
+      isFinal: true,
+      words: [{ ...word('thanks', 0, 0.4), punctuated_word: 'Thanks,' }, { ...word('bye', 0.5, 0.8), punctuatedWord: 'bye.' }]
+    });
+
+    const commit = events.find((event) => event.type === 'commit');
+    assert.equal(commit.text, 'Thanks, bye.');
+    assert.equal(commit.startTime, 0);
+    assert.equal(commit.endTime, 0.8);
+  });
+
+  describe('results without word timings', () => {
+    it('commits the words past those already spoken in the segment', () => {
+      const assembler = new TranscriptAssembler();
+      const events = record(assembler);
+
+      assembler.push({ transcript: 'hello there', isFinal: false });
+      assembler.push({ transcript: 'hello there friend', isFinal: false });
+      assembler.push({ transcript: 'hello there friend', isFinal: true, speechFinal: true });
+
+      assert.deepEqual(commits(events), ['hello there', 'friend']);
+      assert.deepEqual(events.find((event) => event.type === 'commit').words, []);
+      assert.equal(events.find((event) => event.type === 'commit').startTime, null);
+      assert.equal(events.at(-1).type, 'segmentEnd');
+      assert.equal(events.at(-1).text, 'hello there friend');
+    });
+
+    it('holds back trailing words until the final', () => {
+      const assembler = new TranscriptAssembler({ holdbackWords: 1 });
+      const events = record(assembler);
+
+      assembler.push({ transcript: 'how are', isFinal: false });
+      assembler.push({ transcript: 'how are you', isFinal: true });
+
+      assert.deepEqual(commits(events), ['how', 'are you']);
+    });
+
+    it('starts counting again after a final in the middle of an utterance', () => {
+      const assembler = new TranscriptAssembler();
+      const events = record(assembler);
+
+      assembler.push({ transcript: 'first part', isFinal: true, speechFinal: false });
+      assembler.push({ transcript: 'second', isFinal: false });
+
+      assert.deepEqual(commits(events), ['first part', 'second']);
+      assert.equal(events.filter((event) => event.type === 'segmentStart').length, 1);
+    });
+
+    it('ignores empty transcripts', () => {
+      const assembler = new TranscriptAssembler();
+      const events = record(assembler);
+
+      assembler.push({ transcript: '   ', isFinal: false });
+
+      assert.deepEqual(events, []);
+    });
+  });
+
+  describe('segments', () => {
+    it('opens a segment on the first commit and closes it on speechFinal', () => {
+      const assembler = new TranscriptAssembler();
+      const events = record(assembler);
+
+      assembler.push({ isFinal: false, words: [word('yes', 0, 0.3)] });
+      assembler.push({ isFinal: true, speechFinal: true, words: [word('yes', 0, 0.3)] });
+      assembler.push({ isFinal: false, words: [word('no', 1.0, 1.3)] });
+
+      assert.deepEqual(
+        events.map(({ type, segmentId }) => [type, segmentId]),
+        [['segmentStart', 1], ['commit', 1], ['segmentEnd', 1], ['segmentStart', 2], ['commit', 2]]
+      );
+      assert.equal(assembler.getState().segmentText, 'no');
+    });
+
+    it('keeps the segment open across finals that do not end the speech', () => {
+      const assembler = new TranscriptAssembler();
+      const events = record(assembler);
+
+      assembler.push({ isFinal: true, speechFinal: false, words: [word('well', 0, 0.3)] });
+      assembler.push({ isFinal: true, speechFinal: true, words: [word('maybe', 0.5, 0.9)] });
+
+      const ends = events.filter((event) => event.type === 'segmentEnd');
+      assert.equal(ends.length, 1);
+      assert.deepEqual(ends[0], { type: 'segmentEnd', segmentId: 1, text: 'well maybe' });
+    });
+
+    it('does not emit segmentEnd without an open segment', () => {
+      const assembler = new TranscriptAssembler();
+      const events = record(assembler);
+
+      assembler.endSegment();
+      assembler.push({ transcript: '', isFinal: true, speechFinal: true });
+
+      assert.deepEqual(events, []);
+    });
+
+    it('forgets committed words on reset()', () => {
+      const assembler = new TranscriptAssembler();
+      const events = record(assembler);
+
+      assembler.push({ isFinal: false, words: [word('again', 0, 0.5)] });
+      assembler.reset();
+      assembler.push({ isFinal: false, words: [word('again', 0, 0.5)] });
+
+      assert.deepEqual(commits(events), ['again', 'again']);
+      assert.deepEqual(
+        events.filter((event) => event.type !== 'commit').map(({ type, segmentId }) => [type, segmentId]),
+        [['segmentStart', 1], ['segmentEnd', 1], ['segmentStart', 2]]
+      );
+    });
+  });
+});
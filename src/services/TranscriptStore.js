@@ -0,0 +1,213 @@
+const { EventEmitter } = require('events');
+const { getTranscriptBackend } = require('./transcripts');
+const { createLogger } = require('../logging');
+
+const log = createLogger('TranscriptStore');
+
+// Call SIDs double as file names in the JSONL backend
+const CALL_SID_PATTERN = /^[\w-]+$/;
+
+// Twilio plays 8 kHz mu-law: one byte per sample
+const MULAW_BYTES_PER_MS = 8;
+
+/**
+ * TranscriptStore - Keeps both sides of every converted segment after the call
+ *
+ * For each call that opted in, the store writes:
+ * - a 'call' record when the stream starts ({ callSid, streamSid, tenant, profile, startedAt })
+ * - a 'segment' record once a segment has been played, or cleared by barge-in:
+ *     recognized: what the speaker said ({ text, confidence, startedAt, endedAt, words })
+ *     spoken:     what was played ({ text, status, durationMs, queuedAt, audioStartedAt, playedAt, clearedAt })
+ * - an 'end' record when the stream ends
+ *
+ * Records go to a pluggable backend (see src/services/transcripts); writes of
+ * one call are applied in order. Times are ISO strings, word times are the
+ * recognizer's seconds.
+ *
+ * Events:
+ * - 'error'  { callSid, error } (only emitted when subscribed)
+ */
+class TranscriptStore extends EventEmitter {
+  /**
+   * @param {string} backendName - Backend name (defaults to CALL_CONFIG.transcripts.backend)
+   */
+  constructor(backendName) {
+    super();
+
+    if (TranscriptStore.instance) {
+      return TranscriptStore.instance;
+    }
+
+    this.backend = getTranscriptBackend(backendName);
+    this.writes = new Map(); // callSid -> last pending write, while the call is recorded
+    this.pending = new Set(); // Writes not yet applied, of any call
+
+    log.info('Using transcript backend', { backend: this.backend.name });
+    TranscriptStore.instance = this;
+  }
+
+  /**
+   * Start recording a call's transcript
+   * @param {string} callSid - Call SID
+   * @param {Object} details - { streamSid, tenant, profile }
+   */
+  startCall(callSid, { streamSid = null, tenant = null, profile = null } = {}) {
+    if (!TranscriptStore.isValidCallSid(callSid)) {
+      log.warn('Invalid call SID, transcript not recorded', { callSid });
+      return;
+    }
+    if (this.isRecording(callSid)) return;
+
+    this.writes.set(callSid, Promise.resolve());
+    this.write(callSid, {
+      type: 'call',
+      callSid,
+      streamSid,
+      tenant,
+      profile,
+      startedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Whether a call's transcript is being recorded
+   * @param {string} callSid - Call SID
+   * @returns {boolean} - True between startCall and endCall
+   */
+  isRecording(callSid) {
+    return this.writes.has(callSid);
+  }
+
+  /**
+   * Record a finished segment (see PlaybackTimeline); ignored unless the call is recorded
+   * @param {string} callSid - Call SID
+   * @param {Object} entry - { track, segment }
+   */
+  recordSegment(callSid, { track, segment }) {
+    if (!this.isRecording(callSid)) return;
+
+    const source = segment.source || {};
+    const words = (source.words || []).map(({ word, punctuatedWord, start, end, confidence }) => ({
+      word: punctuatedWord || word,
+      start,
+      end,
+      confidence
+    }));
+
+    this.write(callSid, {
+      type: 'segment',
+      track,
+      segmentId: segment.id,
+      recognized: {
+        text: source.text || null,
+        confidence: words.length > 0 ?
+          Number((words.reduce((sum, word) => sum + word.confidence, 0) / words.length).toFixed(3)) :
+          null,
+        startedAt: toIso(source.startedAt),
+        endedAt: toIso(segment.spokenAt),
+        words
+      },
+      spoken: {
+        text: segment.text,
+        status: segment.status,
+        durationMs: Math.round(segment.audioBytes / MULAW_BYTES_PER_MS),
+        queuedAt: toIso(segment.queuedAt),
+        audioStartedAt: toIso(segment.audioStartedAt),
+        playedAt: toIso(segment.playedAt),
+        clearedAt: toIso(segment.clearedAt)
+      }
+    });
+  }
+
+  /**
+   * Stop recording a call's transcript
+   * @param {string} callSid - Call SID
+   * @returns {Promise<void>} - Resolves once everything is written
+   */
+  async endCall(callSid) {
+    if (!this.isRecording(callSid)) return;
+
+    this.write(callSid, { type: 'end', endedAt: new Date().toISOString() });
+    const pending = this.writes.get(callSid);
+    this.writes.delete(callSid);
+    await pending;
+  }
+
+  /**
+   * Get a call's transcript, including one still being recorded
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Object|null>} - { callSid, streamSid, tenant, profile, startedAt, endedAt, segments } or null
+   */
+  async getTranscript(callSid) {
+    if (!TranscriptStore.isValidCallSid(callSid)) return null;
+
+    // Include writes still in flight
+    await this.writes.get(callSid);
+
+    const records = await this.backend.read(callSid);
+    const header = records && records.find((record) => record.type === 'call');
+    if (!header) return null;
+
+    const end = records.find((record) => record.type === 'end');
+    const { type, ...details } = header;
+
+    return {
+      ...details,
+      endedAt: end ? end.endedAt : null,
+      segments: records
+        .filter((record) => record.type === 'segment')
+        .map(({ type: recordType, ...segment }) => segment)
+    };
+  }
+
+  /**
+   * Append a record after the call's previous writes
+   * @param {string} callSid - Call SID
+   * @param {Object} record - Record
+   */
+  write(callSid, record) {
+    const previous = this.writes.get(callSid) || Promise.resolve();
+    const next = previous
+      .then(() => this.backend.append(callSid, record))
+      .catch((error) => {
+        log.error('Error writing transcript record', { callSid, type: record.type, error });
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', { callSid, error });
+        }
+      });
+
+    if (this.writes.has(callSid)) {
+      this.writes.set(callSid, next);
+    }
+    this.pending.add(next);
+    next.then(() => this.pending.delete(next));
+  }
+
+  /**
+   * Wait for every pending write, e.g. before the process exits
+   * @returns {Promise<void>} - Resolves once everything queued so far is written
+   */
+  async flush() {
+    await Promise.all(this.pending);
+  }
+
+  /**
+   * Check that a call SID is safe to use as a storage key
+   * @param {string} callSid - Call SID
+   * @returns {boolean} - Whether the SID is valid
+   */
+  static isValidCallSid(callSid) {
+    return typeof callSid === 'string' && CALL_SID_PATTERN.test(callSid);
+  }
+}
+
+/**
+ * Format a wall time as an ISO string
+ * @param {number|null} time - Time in ms
+ * @returns {string|null} - ISO time or null
+ */
+function toIso(time) {
+  return typeof time === 'number' ? new Date(time).toISOString() : null;
+}
+
+module.exports = TranscriptStore;
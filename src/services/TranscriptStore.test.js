@@ -0,0 +1,181 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TranscriptStore = require('./TranscriptStore');
+
+const T0 = Date.parse('2026-03-01T09:00:00.000Z');
+
+/**
+ * A segment as PlaybackTimeline finishes it, times as offsets into the call
+ * @param {Object} overrides - Segment fields
+ * @returns {Object} - Segment
+ */
+function segment(overrides = {}) {
+  return {
+    id: 1,
+    text: 'Hello, how can I help?',
+    status: 'played',
+    audioBytes: 12000,
+    spokenAt: T0 + 2500,
+    queuedAt: T0 + 2600,
+    audioStartedAt: T0 + 2900,
+    playedAt: T0 + 4500,
+    clearedAt: null,
+    source: {
+      text: 'hello how can i help',
+      startedAt: T0 + 1000,
+      words: [
+        { word: 'hello', punctuatedWord: 'Hello,', start: 1.0, end: 1.4, confidence: 0.9 },
+        { word: 'help', start: 2.0, end: 2.5, confidence: 0.8 }
+      ]
+    },
+    ...overrides
+  };
+}
+
+describe('TranscriptStore', () => {
+  const store = new TranscriptStore('memory');
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: T0 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('is shared', () => {
+    assert.equal(new TranscriptStore(), store);
+    assert.equal(store.backend.name, 'memory');
+  });
+
+  it('records both sides of each segment until the call ends', async () => {
+    store.startCall('CA1', { streamSid: 'MZ1', tenant: 'acme-support', profile: 'en-IN-en-GB' });
+    assert.equal(store.isRecording('CA1'), true);
+
+    store.recordSegment('CA1', { track: 'inbound', segment: segment() });
+    mock.timers.tick(12000);
+    await store.endCall('CA1');
+    assert.equal(store.isRecording('CA1'), false);
+
+    assert.deepEqual(await store.getTranscript('CA1'), {
+      callSid: 'CA1',
+      streamSid: 'MZ1',
+      tenant: 'acme-support',
+      profile: 'en-IN-en-GB',
+      startedAt: '2026-03-01T09:00:00.000Z',
+      endedAt: '2026-03-01T09:00:12.000Z',
+      segments: [{
+        track: 'inbound',
+        segmentId: 1,
+        recognized: {
+          text: 'hello how can i help',
+          confidence: 0.85,
+          startedAt: '2026-03-01T09:00:01.000Z',
+          endedAt: '2026-03-01T09:00:02.500Z',
+          words: [
+            { word: 'Hello,', start: 1.0, end: 1.4, confidence: 0.9 },
+            { word: 'help', start: 2.0, end: 2.5, confidence: 0.8 }
+          ]
+        },
+        spoken: {
+          text: 'Hello, how can I help?',
+          status: 'played',
+          durationMs: 1500,
+          queuedAt: '2026-03-01T09:00:02.600Z',
+          audioStartedAt: '2026-03-01T09:00:02.900Z',
+          playedAt: '2026-03-01T09:00:04.500Z',
+          clearedAt: null
+        }
+      }]
+    });
+  });
+
+  it('records a segment cleared by barge-in, and one without word timings', async () => {
+    store.startCall('CA2');
+    store.recordSegment('CA2', {
+      track: 'outbound',
+      segment: segment({ status: 'cleared', audioBytes: 4000, playedAt: null, clearedAt: T0 + 3400 })
+    });
+    store.recordSegment('CA2', {
+      track: 'inbound',
+      segment: segment({ id: 2, source: { text: 'thanks', startedAt: null } })
+    });
+
+    const { endedAt, segments } = await store.getTranscript('CA2');
+
+    assert.equal(endedAt, null);
+    assert.deepEqual(segments.map(({ track, segmentId }) => [track, segmentId]), [['outbound', 1], ['inbound', 2]]);
+    assert.equal(segments[0].spoken.status, 'cleared');
+    assert.equal(segments[0].spoken.durationMs, 500);
+    assert.equal(segments[0].spoken.clearedAt, '2026-03-01T09:00:03.400Z');
+    assert.equal(segments[0].spoken.playedAt, null);
+    assert.equal(segments[1].recognized.confidence, null);
+    assert.equal(segments[1].recognized.startedAt, null);
+    assert.deepEqual(segments[1].recognized.words, []);
+
+    await store.endCall('CA2');
+  });
+
+  it('ignores segments of calls that are not recorded', async () => {
+    store.recordSegment('CA3', { track: 'inbound', segment: segment() });
+    assert.equal(await store.getTranscript('CA3'), null);
+
+    store.startCall('CA3');
+    await store.endCall('CA3');
+    store.recordSegment('CA3', { track: 'inbound', segment: segment() });
+    await store.flush();
+
+    assert.deepEqual((await store.getTranscript('CA3')).segments, []);
+  });
+
+  it('does not start a call twice', async () => {
+    store.startCall('CA4', { tenant: 'acme-support' });
+    mock.timers.tick(1000);
+    store.startCall('CA4', { tenant: 'globex-sales' });
+    await store.endCall('CA4');
+
+    const transcript = await store.getTranscript('CA4');
+    assert.equal(transcript.tenant, 'acme-support');
+    assert.equal(transcript.startedAt, '2026-03-01T09:00:00.000Z');
+  });
+
+  it('only accepts call SIDs that are safe as storage keys', async () => {
+    assert.equal(TranscriptStore.isValidCallSid('CA0123abcd'), true);
+    assert.equal(TranscriptStore.isValidCallSid('remote-CA1'), true);
+    for (const callSid of ['', '../etc/passwd', 'CA1/x', 'CA 1', undefined, 42]) {
+      assert.equal(TranscriptStore.isValidCallSid(callSid), false, String(callSid));
+    }
+
+    store.startCall('../CA5');
+    assert.equal(store.isRecording('../CA5'), false);
+    assert.equal(await store.getTranscript('../CA5'), null);
+  });
+
+  it('reports write errors and keeps the call\'s later writes going', async () => {
+    const { append } = store.backend;
+    const errors = [];
+    const onError = (event) => errors.push(event);
+    store.on('error', onError);
+    store.backend.append = async (callSid, record) => {
+      if (record.type === 'segment' && record.segmentId === 1) throw new Error('disk full');
+      return append.call(store.backend, callSid, record);
+    };
+
+    try {
+      store.startCall('CA6');
+      store.recordSegment('CA6', { track: 'inbound', segment: segment() });
+      store.recordSegment('CA6', { track: 'inbound', segment: segment({ id: 2 }) });
+      await store.endCall('CA6');
+    } finally {
+      store.backend.append = append;
+      store.off('error', onError);
+    }
+
+    assert.deepEqual(errors.map(({ callSid, error }) => [callSid, error.message]), [['CA6', 'disk full']]);
+    const transcript = await store.getTranscript('CA6');
+    assert.deepEqual(transcript.segments.map((entry) => entry.segmentId), [2]);
+    assert.notEqual(transcript.endedAt, null);
+  });
+});
@@ -0,0 +1,182 @@
+const { EventEmitter } = require('events');
+const { decodeMulaw, rmsDb, zeroCrossingRate, samplesPerFrame } = require('../audio');
+const { CALL_CONFIG } = require('../config/call-config');
+
+/**
+ * VoiceActivityDetector - Local energy/zero-crossing speech detection on one
+ * media track's mu-law audio
+ *
+ * Each frame is classified as speech when its level clears both an absolute
+ * floor (minDb) and the adaptive noise floor by marginDb. Quiet frames with a
+ * noise-like zero-crossing rate (hiss) are not speech. Speech starts after
+ * startMs of consecutive speech frames and ends after hangoverMs without any.
+ *
+ * The detector also decides which audio reaches the recognizer (sttGating):
+ * - 'off'   everything
+ * - 'thin'  speech, plus one in every thinEvery frames of silence
+ * - 'gate'  speech only, plus one frame per keepAliveMs so the STT stream
+ *           stays open; the last prerollMs before speech start are replayed
+ *
+ * Times are in milliseconds of audio processed, not wall time.
+ *
+ * Events:
+ * - 'speechStart'  { atMs, levelDb }
+ * - 'speechEnd'    { atMs, durationMs }
+ */
+class VoiceActivityDetector extends EventEmitter {
+  /**
+   * @param {Object} options - Detector options (defaults to CALL_CONFIG.vad)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = { ...CALL_CONFIG.vad, ...options };
+    this.frameBytes = samplesPerFrame(8000, this.options.frameMs);
+
+    this.pending = Buffer.alloc(0);
+    this.preroll = [];
+    this.noiseFloorDb = this.options.minDb - this.options.marginDb;
+    this.speaking = false;
+    this.speechRunMs = 0;   // Consecutive speech while silent
+    this.silenceRunMs = 0;  // Consecutive silence while speaking
+    this.speechStartMs = 0;
+    this.positionMs = 0;
+    this.lastForwardMs = 0;
+    this.counts = { frames: 0, speechFrames: 0, forwardedFrames: 0, utterances: 0 };
+  }
+
+  /**
+   * Analyse a chunk of mu-law audio
+   * @param {Buffer} audioData - 8 kHz mu-law bytes
+   * @returns {Array<Buffer>} - Frames to forward to the recognizer, in order
+   */
+  process(audioData) {
+    const data = this.pending.length > 0 ? Buffer.concat([this.pending, audioData]) : audioData;
+    const forward = [];
+    let offset = 0;
+
+    for (; offset + this.frameBytes <= data.length; offset += this.frameBytes) {
+      const frame = data.subarray(offset, offset + this.frameBytes);
+      forward.push(...this.processFrame(frame));
+    }
+
+    this.pending = Buffer.from(data.subarray(offset));
+    return forward;
+  }
+
+  /**
+   * Classify one frame and update the speech state
+   * @param {Buffer} frame - One frame of mu-law bytes
+   * @returns {Array<Buffer>} - Frames to forward
+   */
+  processFrame(frame) {
+    const { frameMs, marginDb, minDb, maxZcr, startMs, hangoverMs } = this.options;
+    const samples = decodeMulaw(frame);
+    const levelDb = rmsDb(samples);
+    const threshold = Math.max(minDb, this.noiseFloorDb + marginDb);
+    const isSpeech = levelDb > threshold && (zeroCrossingRate(samples) <= maxZcr || levelDb > threshold + marginDb);
+
+    this.positionMs += frameMs;
+    this.counts.frames++;
+
+    if (isSpeech) {
+      this.counts.speechFrames++;
+      this.speechRunMs += frameMs;
+      this.silenceRunMs = 0;
+    } else {
+      this.speechRunMs = 0;
+      this.silenceRunMs += frameMs;
+    }
+    this.updateNoiseFloor(levelDb, isSpeech);
+
+    const wasSpeaking = this.speaking;
+    if (!this.speaking && this.speechRunMs >= startMs) {
+      this.speaking = true;
+      this.speechStartMs = this.positionMs - this.speechRunMs;
+      this.counts.utterances++;
+      this.emit('speechStart', { atMs: this.speechStartMs, levelDb: Number(levelDb.toFixed(1)) });
+    } else if (this.speaking && this.silenceRunMs >= hangoverMs) {
+      this.speaking = false;
+      this.emit('speechEnd', { atMs: this.positionMs, durationMs: this.positionMs - this.speechStartMs });
+    }
+
+    return this.gate(frame, wasSpeaking);
+  }
+
+  /**
+   * Track the background level
+   * The floor falls quickly and rises slowly, and barely moves during speech;
+   * a steady noise that is mistaken for speech is still absorbed over time.
+   * @param {number} levelDb - Frame level in dBFS
+   * @param {boolean} isSpeech - Whether the frame was classified as speech
+   */
+  updateNoiseFloor(levelDb, isSpeech) {
+    let rate = 0.2;
+    if (levelDb >= this.noiseFloorDb) {
+      rate = isSpeech ? 0.002 : 0.02;
+    }
+    this.noiseFloorDb += rate * (levelDb - this.noiseFloorDb);
+  }
+
+  /**
+   * Decide which frames the recognizer gets
+   * @param {Buffer} frame - Current frame
+   * @param {boolean} wasSpeaking - Speech state before this frame
+   * @returns {Array<Buffer>} - Frames to forward
+   */
+  gate(frame, wasSpeaking) {
+    const { sttGating, thinEvery, keepAliveMs, prerollMs, frameMs } = this.options;
+    let forward = [];
+
+    if (sttGating === 'off' || this.speaking || wasSpeaking) {
+      // Speech onset: replay the audio just before it so the first word is not clipped
+      forward = this.speaking && !wasSpeaking ? [...this.preroll, frame] : [frame];
+    } else if (sttGating === 'thin') {
+      forward = this.counts.frames % thinEvery === 0 ? [frame] : [];
+    } else if (this.positionMs - this.lastForwardMs >= keepAliveMs) {
+      forward = [frame];
+    }
+
+    if (forward.length > 0) {
+      // The pre-roll only holds audio after the last forwarded frame, so it replays in order
+      this.preroll = [];
+      this.lastForwardMs = this.positionMs;
+      this.counts.forwardedFrames += forward.length;
+    } else {
+      this.preroll.push(Buffer.from(frame));
+      if (this.preroll.length * frameMs > prerollMs) {
+        this.preroll.shift();
+      }
+    }
+    return forward;
+  }
+
+  /**
+   * Whether the speaker is currently talking
+   * @returns {boolean} - Speech state
+   */
+  isSpeaking() {
+    return this.speaking;
+  }
+
+  /**
+   * Get detector state and counters
+   * @returns {Object} - State snapshot
+   */
+  getState() {
+    const { frames, speechFrames, forwardedFrames, utterances } = this.counts;
+
+    return {
+      speaking: this.speaking,
+      sttGating: this.options.sttGating,
+      noiseFloorDb: Number(this.noiseFloorDb.toFixed(1)),
+      processedMs: this.positionMs,
+      speechMs: speechFrames * this.options.frameMs,
+      forwardedMs: forwardedFrames * this.options.frameMs,
+      forwardedRatio: frames > 0 ? Number((forwardedFrames / frames).toFixed(2)) : 1,
+      utterances
+    };
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,99 @@
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const SpeechToTextProvider = require('./SpeechToTextProvider');
+const { STT_CONFIG } = require('../../config/stt-config');
+
+/**
+ * DeepgramSTTProvider - Deepgram live transcription behind the provider interface
+ */
+class DeepgramSTTProvider extends SpeechToTextProvider {
+  constructor() {
+    super('deepgram');
+
+    if (!process.env.DEEPGRAM_API_KEY) {
+      throw new Error('DEEPGRAM_API_KEY environment variable is required');
+    }
+
+    this.deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+  }
+
+  /**
+   * Open a Deepgram live transcription stream
+   * @param {Object} options - Recognition options; unknown keys are passed to Deepgram
+   * @param {Array<string>} options.keyterms - Terms to boost in recognition
+   * @param {Object} options.endpointing - { endpointingMs, utteranceEndMs, vadEvents }
+   * @returns {EventEmitter} - Recognition stream
+   */
+  createStream(options = {}) {
+    const {
+      sampleRate,
+      encoding,
+      channels,
+      keyterms = [],
+      endpointing = STT_CONFIG.endpointing,
+      ...deepgramOptions
+    } = options;
+    const liveOptions = {
+      ...STT_CONFIG.deepgram,
+      encoding: encoding || STT_CONFIG.audio.encoding,
+      sample_rate: sampleRate || STT_CONFIG.audio.sampleRate,
+      channels: channels || STT_CONFIG.audio.channels,
+      endpointing: endpointing.endpointingMs > 0 ? endpointing.endpointingMs : false,
+      ...(endpointing.utteranceEndMs > 0 && { utterance_end_ms: endpointing.utteranceEndMs }),
+      vad_events: Boolean(endpointing.vadEvents),
+      ...deepgramOptions
+    };
+
+    // Nova-3 takes keyterm prompting; older models take boosted keywords
+    if (keyterms.length > 0) {
+      if (String(liveOptions.model).startsWith('nova-3')) {
+        liveOptions.keyterm = keyterms;
+      } else {
+        liveOptions.keywords = keyterms.map((term) => `${term}:${STT_CONFIG.keytermBoost}`);
+      }
+    }
+
+    const live = this.deepgram.listen.live(liveOptions);
+
+    const stream = this.createStreamHandle({
+      send: (audioData) => live.send(audioData),
+      finish: () => live.requestClose()
+    });
+    stream.live = live;
+
+    live.on(LiveTranscriptionEvents.Transcript, (data) => {
+      const alternative = data.channel?.alternatives?.[0];
+      if (!alternative) return;
+
+      stream.emit('transcript', {
+        transcript: alternative.transcript,
+        isFinal: data.is_final,
+        // Without endpointing every final counts as the end of speech
+        speechFinal: liveOptions.endpointing === false ? Boolean(data.is_final) : Boolean(data.speech_final),
+        words: (alternative.words || []).map((word) => SpeechToTextProvider.normalizeWord({
+          word: word.word,
+          punctuatedWord: word.punctuated_word,
+          start: word.start,
+          end: word.end,
+          confidence: word.confidence
+        })),
+        confidence: alternative.confidence
+      });
+    });
+
+    live.on(LiveTranscriptionEvents.SpeechStarted, (data) => {
+      stream.emit('speechStarted', { timestamp: data.timestamp });
+    });
+
+    live.on(LiveTranscriptionEvents.UtteranceEnd, (data) => {
+      stream.emit('utteranceEnd', { lastWordEnd: typeof data.last_word_end === 'number' ? data.last_word_end : null });
+    });
+
+    live.on(LiveTranscriptionEvents.Open, () => stream.emit('open'));
+    live.on(LiveTranscriptionEvents.Close, () => stream.emit('close'));
+    live.on(LiveTranscriptionEvents.Error, (error) => stream.emit('error', error));
+
+    return stream;
+  }
+}
+
+module.exports = DeepgramSTTProvider;
@@ -0,0 +1,153 @@
+const speech = require('@google-cloud/speech');
+const path = require('path');
+const fs = require('fs');
+const SpeechToTextProvider = require('./SpeechToTextProvider');
+const { STT_CONFIG } = require('../../config/stt-config');
+
+const GOOGLE_ENCODINGS = {
+  mulaw: 'MULAW',
+  linear16: 'LINEAR16'
+};
+
+/**
+ * Convert a protobuf Duration into seconds
+ * @param {Object} duration - { seconds, nanos }
+ * @returns {number} - Seconds
+ */
+function durationToSeconds(duration) {
+  if (!duration) return 0;
+  return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+/**
+ * GoogleSpeechSTTProvider - Google Cloud Speech streaming recognition
+ * behind the provider interface
+ */
+class GoogleSpeechSTTProvider extends SpeechToTextProvider {
+  constructor() {
+    super('google');
+
+    const credentialsPath = path.join(__dirname, '../../../config/creds.json');
+
+    if (!fs.existsSync(credentialsPath)) {
+      throw new Error('Google Cloud credentials not found at config/creds.json');
+    }
+
+    this.client = new speech.SpeechClient({ keyFilename: credentialsPath });
+  }
+
+  /**
+   * Open a Google streaming recognition stream
+   * Streams are transparently restarted before Google's duration limit;
+   * word timings stay relative to the start of the session.
+   * @param {Object} options - Recognition options
+   * @param {Array<string>} options.keyterms - Terms to boost in recognition
+   * @param {Object} options.endpointing - Only vadEvents applies; Google has no configurable endpointing
+   * @returns {EventEmitter} - Recognition stream
+   */
+  createStream(options = {}) {
+    const {
+      language,
+      model,
+      sampleRate = STT_CONFIG.audio.sampleRate,
+      encoding = STT_CONFIG.audio.encoding,
+      keyterms = [],
+      endpointing = STT_CONFIG.endpointing,
+      ...googleOptions
+    } = options;
+
+    const { streamingLimitMs, ...defaults } = STT_CONFIG.google;
+    const request = {
+      config: {
+        ...defaults,
+        encoding: GOOGLE_ENCODINGS[encoding] || encoding,
+        sampleRateHertz: sampleRate,
+        languageCode: language || defaults.languageCode,
+        model: model || defaults.model,
+        enableWordTimeOffsets: true,
+        ...(keyterms.length > 0 && {
+          speechContexts: [{ phrases: keyterms, boost: STT_CONFIG.keytermBoost }]
+        }),
+        ...googleOptions
+      },
+      interimResults: true,
+      enableVoiceActivityEvents: Boolean(endpointing.vadEvents)
+    };
+
+    const bytesPerMs = (sampleRate / 1000) * (encoding === 'linear16' ? 2 : 1);
+    let recognizeStream = null;
+    let audioMsSent = 0;
+    let streamStartMs = 0;
+    let finished = false;
+
+    const handleData = (offsetSeconds, data) => {
+      // Voice activity arrives as responses without results
+      if (data.speechEventType === 'SPEECH_ACTIVITY_BEGIN') {
+        stream.emit('speechStarted', { timestamp: offsetSeconds + durationToSeconds(data.speechEventTime) });
+      } else if (data.speechEventType === 'SPEECH_ACTIVITY_END') {
+        stream.emit('utteranceEnd', { lastWordEnd: null });
+      }
+
+      const result = data.results?.[0];
+      const alternative = result?.alternatives?.[0];
+      if (!alternative) return;
+
+      stream.emit('transcript', {
+        transcript: alternative.transcript,
+        isFinal: Boolean(result.isFinal),
+        // Google finalizes results at pauses
+        speechFinal: Boolean(result.isFinal),
+        words: (alternative.words || []).map((word) => SpeechToTextProvider.normalizeWord({
+          word: word.word,
+          start: offsetSeconds + durationToSeconds(word.startTime),
+          end: offsetSeconds + durationToSeconds(word.endTime),
+          confidence: word.confidence || alternative.confidence
+        })),
+        confidence: alternative.confidence
+      });
+    };
+
+    const open = () => {
+      const offsetSeconds = audioMsSent / 1000;
+      streamStartMs = audioMsSent;
+
+      const current = this.client.streamingRecognize(request)
+        .on('data', (data) => handleData(offsetSeconds, data))
+        .on('error', (error) => stream.emit('error', error))
+        .on('end', () => {
+          // Only the last stream of a finished session closes the session
+          if (finished && current === recognizeStream) {
+            stream.emit('close');
+          }
+        });
+
+      recognizeStream = current;
+    };
+
+    const stream = this.createStreamHandle({
+      send: (audioData) => {
+        if (finished) return;
+
+        if (audioMsSent - streamStartMs >= streamingLimitMs) {
+          recognizeStream.end();
+          open();
+        }
+
+        recognizeStream.write(audioData);
+        audioMsSent += audioData.length / bytesPerMs;
+      },
+      finish: () => {
+        if (finished) return;
+        finished = true;
+        recognizeStream.end();
+      }
+    });
+
+    open();
+    process.nextTick(() => stream.emit('open'));
+
+    return stream;
+  }
+}
+
+module.exports = GoogleSpeechSTTProvider;
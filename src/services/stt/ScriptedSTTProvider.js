@@ -0,0 +1,105 @@
+const fs = require('fs');
+const SpeechToTextProvider = require('./SpeechToTextProvider');
+const { STT_CONFIG } = require('../../config/stt-config');
+
+/**
+ * ScriptedSTTProvider - Deterministic recognizer that replays transcripts
+ * from a JSON fixture instead of listening to the audio.
+ *
+ * Fixture format:
+ * {
+ *   "events": [
+ *     { "atMs": 600, "transcript": "hello", "isFinal": false,
+ *       "words": [{ "word": "hello", "start": 0.2, "end": 0.5 }] },
+ *     { "atMs": 1800, "type": "utteranceEnd", "lastWordEnd": 0.5 }
+ *   ]
+ * }
+ *
+ * Events are transcripts unless they have a type ('speechStarted' or
+ * 'utteranceEnd'), in which case their other fields are emitted as-is.
+ *
+ * Each event fires once the session has received `atMs` milliseconds of
+ * audio, so replays depend only on the audio fed in and never on wall time.
+ */
+class ScriptedSTTProvider extends SpeechToTextProvider {
+  constructor() {
+    super('scripted');
+    this.fixtures = new Map();
+  }
+
+  /**
+   * Load (and cache) a fixture file
+   * @param {string} fixturePath - Path to the fixture JSON
+   * @returns {Array} - Events sorted by atMs
+   */
+  loadFixture(fixturePath) {
+    if (!this.fixtures.has(fixturePath)) {
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      const events = (fixture.events || [])
+        .map(({ type = 'transcript', ...event }) => (type === 'transcript' ? {
+          atMs: event.atMs || 0,
+          type,
+          transcript: event.transcript || '',
+          isFinal: Boolean(event.isFinal),
+          speechFinal: Boolean(event.speechFinal ?? event.isFinal),
+          words: (event.words || []).map((word) => SpeechToTextProvider.normalizeWord(word)),
+          confidence: typeof event.confidence === 'number' ? event.confidence : 1
+        } : { ...event, atMs: event.atMs || 0, type }))
+        .sort((a, b) => a.atMs - b.atMs);
+
+      this.fixtures.set(fixturePath, events);
+    }
+
+    return this.fixtures.get(fixturePath);
+  }
+
+  /**
+   * Open a scripted recognition stream
+   * @param {Object} options - { fixturePath, events, sampleRate, flushOnFinish }
+   * @returns {EventEmitter} - Recognition stream
+   */
+  createStream(options = {}) {
+    const {
+      fixturePath = STT_CONFIG.scripted.fixturePath,
+      sampleRate = STT_CONFIG.audio.sampleRate,
+      flushOnFinish = STT_CONFIG.scripted.flushOnFinish
+    } = options;
+
+    const events = options.events || this.loadFixture(fixturePath);
+    const bytesPerMs = sampleRate / 1000;
+    let receivedMs = 0;
+    let nextEvent = 0;
+    let finished = false;
+
+    const emitUntil = (limitMs) => {
+      while (nextEvent < events.length && events[nextEvent].atMs <= limitMs) {
+        const { atMs, type = 'transcript', ...result } = events[nextEvent++];
+        stream.emit(type, result);
+      }
+    };
+
+    const stream = this.createStreamHandle({
+      send: (audioData) => {
+        if (finished) return;
+        receivedMs += audioData.length / bytesPerMs;
+        emitUntil(receivedMs);
+      },
+      finish: () => {
+        if (finished) return;
+        finished = true;
+        process.nextTick(() => {
+          if (flushOnFinish) {
+            emitUntil(Infinity);
+          }
+          stream.emit('close');
+        });
+      }
+    });
+
+    process.nextTick(() => stream.emit('open'));
+
+    return stream;
+  }
+}
+
+module.exports = ScriptedSTTProvider;
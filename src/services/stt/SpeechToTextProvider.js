@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+
+/**
+ * SpeechToTextProvider - Base class for streaming speech recognizers
+ *
+ * A provider opens recognition streams. Each stream is an EventEmitter with:
+ * - send(audioData)  push raw inbound audio (Buffer)
+ * - finish()         flush and close the stream
+ *
+ * and emits:
+ * - 'open'
+ * - 'transcript'     { transcript, isFinal, speechFinal, words, confidence }
+ *                    words: [{ word, punctuatedWord, start, end, confidence }] (seconds)
+ *                    speechFinal: the result ends at a pause (endpointing)
+ * - 'speechStarted'  { timestamp } (seconds), if the recognizer reports voice activity
+ * - 'utteranceEnd'   { lastWordEnd } (seconds or null), once the speaker has paused
+ * - 'error'          Error
+ * - 'close'
+ *
+ * Streams are opened with an endpointing option
+ * ({ endpointingMs, utteranceEndMs, vadEvents }, see STT_CONFIG.endpointing);
+ * providers apply the settings they support.
+ */
+class SpeechToTextProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Open a new recognition stream
+   * @param {Object} options - Recognition options (language, model, keyterms, endpointing, sampleRate, encoding, ...)
+   * @returns {EventEmitter} - Recognition stream
+   */
+  createStream(options = {}) {
+    throw new Error(`${this.name}: createStream() is not implemented`);
+  }
+
+  /**
+   * Create the stream object returned by createStream
+   * @param {Object} handlers - send/finish implementations
+   * @returns {EventEmitter} - Recognition stream
+   */
+  createStreamHandle({ send, finish }) {
+    const stream = new EventEmitter();
+    stream.provider = this.name;
+    stream.send = send;
+    stream.finish = finish;
+    return stream;
+  }
+
+  /**
+   * Normalize a word object into the shared word shape
+   * @param {Object} word - Provider word object
+   * @returns {Object} - Normalized word
+   */
+  static normalizeWord({ word, punctuatedWord, start, end, confidence }) {
+    return {
+      word,
+      punctuatedWord: punctuatedWord || word,
+      start,
+      end,
+      confidence: typeof confidence === 'number' ? confidence : 1
+    };
+  }
+}
+
+module.exports = SpeechToTextProvider;
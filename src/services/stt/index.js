@@ -0,0 +1,33 @@
+const { STT_CONFIG } = require('../../config/stt-config');
+
+// Providers are loaded lazily so unused vendor SDKs and credentials are optional
+const PROVIDERS = {
+  deepgram: () => require('./DeepgramSTTProvider'),
+  google: () => require('./GoogleSpeechSTTProvider'),
+  scripted: () => require('./ScriptedSTTProvider')
+};
+
+const instances = new Map();
+
+/**
+ * Get the shared instance of a speech-to-text provider
+ * @param {string} name - Provider name (defaults to STT_CONFIG.defaultProvider)
+ * @returns {SpeechToTextProvider} - Provider instance
+ */
+function getSTTProvider(name = STT_CONFIG.defaultProvider) {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown STT provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  if (!instances.has(name)) {
+    const Provider = PROVIDERS[name]();
+    instances.set(name, new Provider());
+  }
+
+  return instances.get(name);
+}
+
+module.exports = {
+  getSTTProvider,
+  STT_PROVIDERS: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const TranscriptBackend = require('./TranscriptBackend');
+const { CALL_CONFIG } = require('../../config/call-config');
+
+/**
+ * JsonlTranscriptBackend - One JSON Lines file per call in TRANSCRIPT_DIR
+ * (default data/transcripts), one record per line
+ */
+class JsonlTranscriptBackend extends TranscriptBackend {
+  /**
+   * @param {string} directory - Directory holding transcript files
+   */
+  constructor(directory = CALL_CONFIG.transcripts.directory) {
+    super('jsonl');
+    this.directory = directory;
+  }
+
+  async append(callSid, record) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.appendFile(this.getFilePath(callSid), `${JSON.stringify(record)}\n`);
+  }
+
+  async read(callSid) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.getFilePath(callSid), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Get the file a call's transcript is stored in
+   * @param {string} callSid - Call SID (validated by TranscriptStore)
+   * @returns {string} - File path
+   */
+  getFilePath(callSid) {
+    return path.join(this.directory, `${callSid}.jsonl`);
+  }
+}
+
+module.exports = JsonlTranscriptBackend;
@@ -0,0 +1,26 @@
+const TranscriptBackend = require('./TranscriptBackend');
+
+/**
+ * MemoryTranscriptBackend - Keeps transcripts in process memory
+ * For development and short-lived deployments: transcripts are lost on restart.
+ */
+class MemoryTranscriptBackend extends TranscriptBackend {
+  constructor() {
+    super('memory');
+    this.transcripts = new Map();
+  }
+
+  async append(callSid, record) {
+    if (!this.transcripts.has(callSid)) {
+      this.transcripts.set(callSid, []);
+    }
+    this.transcripts.get(callSid).push(record);
+  }
+
+  async read(callSid) {
+    const records = this.transcripts.get(callSid);
+    return records ? records.map((record) => ({ ...record })) : null;
+  }
+}
+
+module.exports = MemoryTranscriptBackend;
@@ -0,0 +1,33 @@
+/**
+ * TranscriptBackend - Base class for transcript storage
+ *
+ * A transcript is an append-only list of records (plain JSON objects) per
+ * call. TranscriptStore serializes the writes of each call, so a backend
+ * never sees two appends for the same call at once.
+ */
+class TranscriptBackend {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Append one record to a call's transcript, creating it if needed
+   * @param {string} callSid - Call SID
+   * @param {Object} record - Record to store
+   * @returns {Promise<void>}
+   */
+  async append(callSid, record) {
+    throw new Error(`${this.name}: append() is not implemented`);
+  }
+
+  /**
+   * Read a call's transcript
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Array|null>} - Records in the order written, or null if there is none
+   */
+  async read(callSid) {
+    throw new Error(`${this.name}: read() is not implemented`);
+  }
+}
+
+module.exports = TranscriptBackend;
@@ -0,0 +1,123 @@
+/**
+ * Transcript renderings for GET /calls/:callSid/transcript
+ *
+ * Both sides of a segment are rendered as separate lines (cues): what the
+ * speaker said, timed by the recognized words, and the converted speech,
+ * timed by its playback. Times are offsets from the start of the call.
+ */
+
+const TRANSCRIPT_FORMATS = ['json', 'txt', 'vtt'];
+
+/**
+ * Render a transcript as plain text, one line per utterance
+ * @param {Object} transcript - Transcript from TranscriptStore.getTranscript
+ * @returns {string} - Text
+ */
+function toText(transcript) {
+  const details = [transcript.tenant && `tenant ${transcript.tenant}`, transcript.profile && `profile ${transcript.profile}`]
+    .filter(Boolean)
+    .join(', ');
+  const lines = [`Call ${transcript.callSid}${details ? ` (${details})` : ''}, started ${transcript.startedAt}`];
+
+  for (const line of getLines(transcript)) {
+    const status = line.status === 'cleared' ? ' (interrupted)' : '';
+    lines.push(`[${formatTimestamp(line.startMs, 'text')}] ${line.speaker}${status}: ${line.text}`);
+  }
+
+  if (transcript.endedAt) {
+    lines.push(`Call ended ${transcript.endedAt}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a transcript as WebVTT captions
+ * Only played converted speech gets a cue; interrupted speech was not heard in full.
+ * @param {Object} transcript - Transcript from TranscriptStore.getTranscript
+ * @returns {string} - WebVTT document
+ */
+function toVtt(transcript) {
+  const cues = getLines(transcript)
+    .filter((line) => line.status !== 'cleared')
+    .map((line, index) => [
+      String(index + 1),
+      `${formatTimestamp(line.startMs, 'vtt')} --> ${formatTimestamp(Math.max(line.endMs, line.startMs), 'vtt')}`,
+      `<v ${line.speaker}>${escapeVtt(line.text)}`
+    ].join('\n'));
+
+  return `WEBVTT\n\n${cues.join('\n\n')}${cues.length > 0 ? '\n' : ''}`;
+}
+
+/**
+ * Flatten segments into timed lines for both sides, in time order
+ * @param {Object} transcript - Transcript
+ * @returns {Array} - [{ speaker, text, startMs, endMs, status }]
+ */
+function getLines(transcript) {
+  const callStart = Date.parse(transcript.startedAt);
+  const offset = (time) => (time ? Math.max(0, Date.parse(time) - callStart) : null);
+  const lines = [];
+
+  for (const { track, recognized, spoken } of transcript.segments) {
+    const suffix = track === 'inbound' ? '' : ` [${track}]`;
+
+    if (recognized && recognized.text) {
+      const startMs = offset(recognized.startedAt) ?? offset(spoken.queuedAt);
+      lines.push({
+        speaker: `Speaker${suffix}`,
+        text: recognized.text,
+        startMs,
+        endMs: offset(recognized.endedAt) ?? startMs
+      });
+    }
+
+    // Played audio ends at the mark echo, so it started one duration earlier
+    const endMs = offset(spoken.playedAt) ?? offset(spoken.clearedAt) ?? offset(spoken.queuedAt);
+    lines.push({
+      speaker: `Converted${suffix}`,
+      text: spoken.text,
+      startMs: spoken.playedAt ? Math.max(0, endMs - spoken.durationMs) : offset(spoken.audioStartedAt) ?? endMs,
+      endMs,
+      status: spoken.status
+    });
+  }
+
+  return lines.sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Format an offset as mm:ss.s (text) or hh:mm:ss.mmm (WebVTT)
+ * @param {number} ms - Offset in milliseconds
+ * @param {string} style - 'text' or 'vtt'
+ * @returns {string} - Timestamp
+ */
+function formatTimestamp(ms, style) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  if (style === 'vtt') {
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+  }
+  return `${pad(hours * 60 + minutes)}:${pad(seconds)}.${Math.floor((ms % 1000) / 100)}`;
+}
+
+/**
+ * Escape cue text for WebVTT
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeVtt(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  toText,
+  toVtt
+};
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TRANSCRIPT_FORMATS, toText, toVtt } = require('./formats');
+
+/**
+ * ISO time an offset into the call
+ * @param {number} ms - Offset from the start of the call
+ * @returns {string} - ISO time
+ */
+function at(ms) {
+  return new Date(Date.parse('2026-03-01T09:00:00.000Z') + ms).toISOString();
+}
+
+// As TranscriptStore.getTranscript returns it; segments are in the order they finished
+const transcript = {
+  callSid: 'CA1',
+  streamSid: 'MZ1',
+  tenant: 'acme-support',
+  profile: 'en-IN-en-GB',
+  startedAt: at(0),
+  endedAt: at(12000),
+  segments: [
+    {
+      track: 'inbound',
+      segmentId: 1,
+      recognized: { text: 'hello how can i help', startedAt: at(1000), endedAt: at(2500) },
+      spoken: { text: 'Hello, how can I help?', status: 'played', durationMs: 1500, queuedAt: at(2600), audioStartedAt: at(2900), playedAt: at(4500), clearedAt: null }
+    },
+    {
+      track: 'inbound',
+      segmentId: 2,
+      recognized: { text: 'i need help & <more>', startedAt: at(5000), endedAt: at(6000) },
+      spoken: { text: 'I need help and more.', status: 'cleared', durationMs: 800, queuedAt: at(6100), audioStartedAt: at(6400), playedAt: null, clearedAt: at(7000) }
+    },
+    {
+      track: 'outbound',
+      segmentId: 1,
+      recognized: { text: 'thanks', startedAt: at(8000), endedAt: at(8800) },
+      spoken: { text: 'Thanks.', status: 'played', durationMs: 1000, queuedAt: at(8900), audioStartedAt: at(9200), playedAt: at(11000), clearedAt: null }
+    }
+  ]
+};
+
+describe('transcript formats', () => {
+  it('offers json, txt and vtt', () => {
+    assert.deepEqual(TRANSCRIPT_FORMATS, ['json', 'txt', 'vtt']);
+  });
+
+  it('renders text, one line per side of each segment in time order', () => {
+    assert.equal(toText(transcript), [
+      'Call CA1 (tenant acme-support, profile en-IN-en-GB), started 2026-03-01T09:00:00.000Z',
+      '[00:01.0] Speaker: hello how can i help',
+      '[00:03.0] Converted: Hello, how can I help?',
+      '[00:05.0] Speaker: i need help & <more>',
+      '[00:06.4] Converted (interrupted): I need help and more.',
+      '[00:08.0] Speaker [outbound]: thanks',
+      '[00:10.0] Converted [outbound]: Thanks.',
+      'Call ended 2026-03-01T09:00:12.000Z',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders WebVTT cues for what was heard, leaving out interrupted speech', () => {
+    assert.equal(toVtt(transcript), [
+      'WEBVTT',
+      '',
+      '1',
+      '00:00:01.000 --> 00:00:02.500',
+      '<v Speaker>hello how can i help',
+      '',
+      '2',
+      '00:00:03.000 --> 00:00:04.500',
+      '<v Converted>Hello, how can I help?',
+      '',
+      '3',
+      '00:00:05.000 --> 00:00:06.000',
+      '<v Speaker>i need help &amp; &lt;more&gt;',
+      '',
+      '4',
+      '00:00:08.000 --> 00:00:08.800',
+      '<v Speaker [outbound]>thanks',
+      '',
+      '5',
+      '00:00:10.000 --> 00:00:11.000',
+      '<v Converted [outbound]>Thanks.',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders a call in progress without segments', () => {
+    const empty = { callSid: 'CA2', startedAt: at(0), endedAt: null, segments: [] };
+
+    assert.equal(toText(empty), 'Call CA2, started 2026-03-01T09:00:00.000Z\n');
+    assert.equal(toVtt(empty), 'WEBVTT\n\n');
+  });
+
+  it('times speech without recognized words from when it was queued', () => {
+    const untimed = {
+      ...transcript,
+      segments: [{
+        track: 'inbound',
+        segmentId: 1,
+        recognized: { text: 'hi', startedAt: null, endedAt: null },
+        spoken: { text: 'Hi.', status: 'played', durationMs: 500, queuedAt: at(2000), audioStartedAt: at(2200), playedAt: at(3000), clearedAt: null }
+      }]
+    };
+
+    assert.match(toVtt(untimed), /00:00:02\.000 --> 00:00:02\.000\n<v Speaker>hi\n\n2\n00:00:02\.500 --> 00:00:03\.000\n<v Converted>Hi\./);
+  });
+
+  it('formats offsets past an hour', () => {
+    const long = {
+      ...transcript,
+      segments: [{
+        track: 'inbound',
+        segmentId: 1,
+        recognized: { text: 'still there', startedAt: at(3723400), endedAt: at(3724000) },
+        spoken: { text: 'Still there?', status: 'cleared', durationMs: 0, queuedAt: at(3724100), audioStartedAt: null, playedAt: null, clearedAt: at(3724100) }
+      }]
+    };
+
+    assert.match(toText(long), /\[62:03\.4\] Speaker: still there/);
+    assert.match(toVtt(long), /01:02:03\.400 --> 01:02:04\.000/);
+  });
+});
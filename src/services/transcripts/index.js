@@ -0,0 +1,32 @@
+const { CALL_CONFIG } = require('../../config/call-config');
+
+// Backends are loaded lazily, like the STT and TTS providers
+const BACKENDS = {
+  jsonl: () => require('./JsonlTranscriptBackend'),
+  memory: () => require('./MemoryTranscriptBackend')
+};
+
+const instances = new Map();
+
+/**
+ * Get the shared instance of a transcript backend
+ * @param {string} name - Backend name (defaults to CALL_CONFIG.transcripts.backend)
+ * @returns {TranscriptBackend} - Backend instance
+ */
+function getTranscriptBackend(name = CALL_CONFIG.transcripts.backend) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown transcript backend "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  if (!instances.has(name)) {
+    const Backend = BACKENDS[name]();
+    instances.set(name, new Backend());
+  }
+
+  return instances.get(name);
+}
+
+module.exports = {
+  getTranscriptBackend,
+  TRANSCRIPT_BACKENDS: Object.keys(BACKENDS)
+};
@@ -0,0 +1,69 @@
+const textToSpeech = require('@google-cloud/text-to-speech');
+const path = require('path');
+const fs = require('fs');
+const TextToSpeechProvider = require('./TextToSpeechProvider');
+const { createLogger } = require('../../logging');
+
+const log = createLogger('GoogleTTSProvider');
+
+/**
+ * GoogleTTSProvider - Google Cloud Text-to-Speech behind the provider interface
+ */
+class GoogleTTSProvider extends TextToSpeechProvider {
+  constructor() {
+    super('google');
+
+    const credentialsPath = path.join(__dirname, '../../../config/creds.json');
+
+    if (fs.existsSync(credentialsPath)) {
+      log.info('Using Google Cloud credentials from config/creds.json');
+      this.client = new textToSpeech.TextToSpeechClient({
+        keyFilename: credentialsPath
+      });
+    } else {
+      log.error('No credentials file found at config/creds.json; create it with your Google Cloud service account credentials');
+      throw new Error('Google Cloud credentials not found');
+    }
+  }
+
+  /**
+   * Open a StreamingSynthesize call
+   * @returns {Object} - gRPC duplex stream
+   */
+  createStream() {
+    return this.client.streamingSynthesize();
+  }
+
+  /**
+   * Synthesize a complete utterance with SynthesizeSpeech
+   * @param {Object} request - { text | ssml, voice, audioConfig }
+   * @returns {Promise<Buffer>} - Encoded audio
+   */
+  async synthesize({ text, ssml, voice, audioConfig }) {
+    const [response] = await this.client.synthesizeSpeech({
+      input: ssml ? { ssml } : { text },
+      voice,
+      audioConfig
+    });
+
+    return response.audioContent ? Buffer.from(response.audioContent) : Buffer.alloc(0);
+  }
+
+  /**
+   * List Google voices
+   * @param {string} languageCode - Optional language filter
+   * @returns {Promise<Array>} - Voices
+   */
+  async listVoices(languageCode) {
+    const [response] = await this.client.listVoices(languageCode ? { languageCode } : {});
+
+    return (response.voices || []).map((voice) => ({
+      name: voice.name,
+      languageCodes: voice.languageCodes,
+      ssmlGender: voice.ssmlGender,
+      naturalSampleRateHertz: voice.naturalSampleRateHertz
+    }));
+  }
+}
+
+module.exports = GoogleTTSProvider;
@@ -0,0 +1,197 @@
+const { EventEmitter } = require('events');
+const TextToSpeechProvider = require('./TextToSpeechProvider');
+
+const { linearToMulaw, MULAW_SILENCE } = require('../../audio');
+
+const SAMPLE_RATE = 8000;
+const CHUNK_BYTES = 3200; // 400 ms of mulaw per streamed chunk
+
+/**
+ * Stable 32-bit hash of a string
+ * @param {string} value - Input string
+ * @returns {number} - Unsigned hash
+ */
+function hashString(value) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) - hash) + value.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Strip SSML markup down to the spoken text
+ * @param {string} ssml - SSML document
+ * @returns {string} - Plain text
+ */
+function stripSsml(ssml) {
+  return ssml.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render text as a deterministic sequence of mu-law tones, one per word
+ * @param {string} text - Text to render
+ * @param {Object} options - { speakingRate, voiceName }
+ * @returns {Buffer} - Mu-law audio at 8 kHz
+ */
+function renderText(text, { speakingRate = 1.0, voiceName = '' } = {}) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const rate = speakingRate > 0 ? speakingRate : 1.0;
+  const baseFrequency = 220 + (hashString(voiceName) % 8) * 10;
+  const chunks = [];
+
+  for (const word of words) {
+    const letters = word.replace(/[^\w']/g, '');
+
+    if (letters) {
+      const durationMs = Math.min(600, 80 + 35 * letters.length) / rate;
+      const sampleCount = Math.round((durationMs / 1000) * SAMPLE_RATE);
+      const fadeSamples = Math.min(40, Math.floor(sampleCount / 2)); // 5 ms fade
+      const frequency = baseFrequency + (hashString(letters.toLowerCase()) % 24) * 20;
+      const tone = Buffer.alloc(sampleCount);
+
+      for (let i = 0; i < sampleCount; i++) {
+        const fade = Math.min(1, i / fadeSamples, (sampleCount - 1 - i) / fadeSamples);
+        const sample = Math.round(8000 * fade * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+        tone[i] = linearToMulaw(sample);
+      }
+      chunks.push(tone);
+    }
+
+    // Pauses follow punctuation the way a speaker would
+    let pauseMs = 40;
+    if (/[.!?]$/.test(word)) {
+      pauseMs = 300;
+    } else if (/[,;:]$/.test(word)) {
+      pauseMs = 150;
+    }
+    chunks.push(Buffer.alloc(Math.round((pauseMs / rate / 1000) * SAMPLE_RATE), MULAW_SILENCE));
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Render an SSML document; <break> tags become silence of their length
+ * @param {string} ssml - SSML document
+ * @param {Object} options - { speakingRate, voiceName }
+ * @returns {Buffer} - Mu-law audio at 8 kHz
+ */
+function renderSsml(ssml, options = {}) {
+  const chunks = [];
+  const breakPattern = /<break\s+time="(\d+)ms"\s*\/>/g;
+  let lastIndex = 0;
+
+  for (const match of ssml.matchAll(breakPattern)) {
+    chunks.push(renderText(stripSsml(ssml.slice(lastIndex, match.index)), options));
+    chunks.push(Buffer.alloc(Math.round((Number(match[1]) / 1000) * SAMPLE_RATE), MULAW_SILENCE));
+    lastIndex = match.index + match[0].length;
+  }
+  chunks.push(renderText(stripSsml(ssml.slice(lastIndex)), options));
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * LocalSynthesisStream - In-process stand-in for a StreamingSynthesize call
+ */
+class LocalSynthesisStream extends EventEmitter {
+  constructor() {
+    super();
+    this.config = null;
+    this.ended = false;
+    this.cancelled = false;
+  }
+
+  write(request) {
+    if (this.ended) {
+      throw new Error('LocalSynthesisStream: write after end');
+    }
+
+    if (request.streamingConfig) {
+      this.config = request.streamingConfig;
+      return true;
+    }
+
+    const input = request.input || {};
+    const options = {
+      speakingRate: this.config?.streamingAudioConfig?.speakingRate,
+      voiceName: this.config?.voice?.name
+    };
+    const audio = input.ssml ? renderSsml(input.ssml, options) : renderText(input.text || '', options);
+
+    for (let offset = 0; offset < audio.length; offset += CHUNK_BYTES) {
+      const audioContent = audio.subarray(offset, offset + CHUNK_BYTES);
+      setImmediate(() => {
+        if (!this.cancelled) this.emit('data', { audioContent });
+      });
+    }
+
+    return true;
+  }
+
+  end() {
+    if (this.ended) return;
+    this.ended = true;
+    setImmediate(() => {
+      if (!this.cancelled) this.emit('end');
+    });
+  }
+
+  cancel() {
+    // Mirrors gRPC: pending output is dropped and the call errors with CANCELLED
+    this.cancelled = true;
+    this.ended = true;
+    setImmediate(() => {
+      const error = new Error('Cancelled on client');
+      error.code = 1;
+      this.emit('error', error);
+    });
+  }
+}
+
+/**
+ * LocalTTSProvider - Offline synthesizer producing deterministic mu-law
+ * tones and silences per word. Needs no credentials; used for tests and
+ * end-to-end runs without network access.
+ */
+class LocalTTSProvider extends TextToSpeechProvider {
+  constructor() {
+    super('local');
+
+    this.capabilities = {
+      streaming: true,
+      streamingSsml: true,
+      streamingReconfig: true,
+      unarySsml: true
+    };
+  }
+
+  createStream() {
+    return new LocalSynthesisStream();
+  }
+
+  async synthesize({ text, ssml, voice = {}, audioConfig = {} }) {
+    const options = { speakingRate: audioConfig.speakingRate, voiceName: voice.name };
+    return ssml ? renderSsml(ssml, options) : renderText(text || '', options);
+  }
+
+  async listVoices(languageCode) {
+    const voices = ['en-GB', 'en-US', 'en-AU', 'en-IN'].map((code) => ({
+      name: `${code}-Local-Tone`,
+      languageCodes: [code],
+      ssmlGender: 'NEUTRAL',
+      naturalSampleRateHertz: SAMPLE_RATE
+    }));
+
+    return languageCode ? voices.filter((voice) => voice.languageCodes.includes(languageCode)) : voices;
+  }
+
+  getAudioFormat() {
+    // Always mu-law at 8 kHz, regardless of the requested config
+    return { encoding: 'MULAW', sampleRateHertz: SAMPLE_RATE };
+  }
+}
+
+module.exports = LocalTTSProvider;
@@ -0,0 +1,68 @@
+/**
+ * TextToSpeechProvider - Base class for speech synthesizers
+ *
+ * Streaming synthesis uses a call object modelled on Google's
+ * StreamingSynthesize RPC:
+ * - write({ streamingConfig: { voice, streamingAudioConfig } })  first request
+ * - write({ input: { text } })                                   text to speak
+ * - end()                                                        no more input
+ * - cancel()                                                     optional; drop pending output
+ *
+ * and emits 'data' ({ audioContent: Buffer }), 'error' and 'end'.
+ *
+ * Providers with capabilities.streamingReconfig accept a new streamingConfig
+ * mid-stream; for the others a new config needs a new call.
+ */
+class TextToSpeechProvider {
+  constructor(name) {
+    this.name = name;
+
+    // What the provider can accept; callers adapt their input accordingly
+    this.capabilities = {
+      streaming: true,
+      streamingSsml: false,
+      streamingReconfig: false, // Whether a new streamingConfig can be written mid-stream
+      unarySsml: true
+    };
+  }
+
+  /**
+   * Open a streaming synthesis call
+   * @returns {Object} - Streaming call (write/end + data/error/end events)
+   */
+  createStream() {
+    throw new Error(`${this.name}: createStream() is not implemented`);
+  }
+
+  /**
+   * Synthesize a complete utterance
+   * @param {Object} request - { text | ssml, voice, audioConfig }
+   * @returns {Promise<Buffer>} - Encoded audio
+   */
+  async synthesize(request) {
+    throw new Error(`${this.name}: synthesize() is not implemented`);
+  }
+
+  /**
+   * List available voices
+   * @param {string} languageCode - Optional language filter (e.g. en-GB)
+   * @returns {Promise<Array>} - [{ name, languageCodes, ssmlGender }]
+   */
+  async listVoices(languageCode) {
+    return [];
+  }
+
+  /**
+   * Declare the audio format produced for a given audio config
+   * @param {Object} audioConfig - Requested audio config
+   * @returns {Object} - { encoding, sampleRateHertz }
+   */
+  getAudioFormat(audioConfig = {}) {
+    return {
+      encoding: audioConfig.audioEncoding || 'MULAW',
+      sampleRateHertz: audioConfig.sampleRateHertz || 8000
+    };
+  }
+}
+
+module.exports = TextToSpeechProvider;
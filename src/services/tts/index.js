@@ -0,0 +1,32 @@
+const { TTS_CONFIG } = require('../../config/tts-config');
+
+// Providers are loaded lazily so unused vendor SDKs and credentials are optional
+const PROVIDERS = {
+  google: () => require('./GoogleTTSProvider'),
+  local: () => require('./LocalTTSProvider')
+};
+
+const instances = new Map();
+
+/**
+ * Get the shared instance of a text-to-speech provider
+ * @param {string} name - Provider name (defaults to TTS_CONFIG.provider)
+ * @returns {TextToSpeechProvider} - Provider instance
+ */
+function getTTSProvider(name = TTS_CONFIG.provider) {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown TTS provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  if (!instances.has(name)) {
+    const Provider = PROVIDERS[name]();
+    instances.set(name, new Provider());
+  }
+
+  return instances.get(name);
+}
+
+module.exports = {
+  getTTSProvider,
+  TTS_PROVIDERS: Object.keys(PROVIDERS)
+};